@@ -1,8 +1,9 @@
-import config from "./config.js";
+import { getGuildConfig } from "./config.js";
 import * as discord from "./discord.js";
 import * as scoutnet from "./scoutnet.js";
 import * as storage from "./storage.js";
 import * as roles from "./roles.js";
+import * as rules from "./rules.js";
 
 /**
  * Server consistency audit.
@@ -13,6 +14,8 @@ import * as roles from "./roles.js";
  */
 
 const SCOUT_ROLE_FALLBACK = "scout";
+const NO_EVENT_ITEM = "(Inget ScoutNet-evenemang konfigurerat — hoppar över.)";
+const NO_DATA_ITEM = "(ScoutNet-data saknas — hoppar över.)";
 
 function normalizeName(s) {
   return s
@@ -25,73 +28,87 @@ function normalizeName(s) {
 /**
  * Static role names the bot might attempt to assign (excludes per-division names).
  */
-function staticManagedRoleNames() {
+function staticManagedRoleNames(gc) {
   const names = new Set();
-  if (config.SCOUTNET_SCOUT_ROLE) names.add(config.SCOUTNET_SCOUT_ROLE);
-  if (config.SCOUTNET_EVENT_ID && config.SCOUTNET_EVENT_ROLE) {
-    names.add(config.SCOUTNET_EVENT_ROLE);
-  }
-  if (config.SCOUTNET_EVENT_ID && config.SCOUTNET_FEE_ROLES) {
-    for (const category of new Set(Object.values(config.SCOUTNET_FEE_ROLES))) {
-      const divConfig = config.SCOUTNET_DIVISION_ROLES?.[category];
-      if (divConfig) {
-        names.add(divConfig.withoutDiv);
-      } else {
-        names.add(category);
-      }
+  if (gc.SCOUTNET_SCOUT_ROLE) names.add(gc.SCOUTNET_SCOUT_ROLE);
+  for (const rule of gc.SCOUTID_CLAIM_ROLES ?? []) names.add(rule.discordRole);
+  for (const rule of gc.SCOUTNET_GROUP_ROLES ?? []) names.add(rule.discordRole);
+  for (const event of gc.SCOUTNET_EVENTS) {
+    if (event.SCOUTNET_EVENT_ROLE) names.add(event.SCOUTNET_EVENT_ROLE);
+    for (const name of rules.getStaticRoleNames(event.SCOUTNET_RULES)) {
+      names.add(name);
     }
   }
   return [...names];
 }
 
 /**
- * Parse a "(suffix)" trailing token from a display name.
+ * Lowercased prefixes of the dynamic division roles across all events:
+ * [{ category, prefix }].
  */
-function extractSuffix(name) {
-  const m = (name || "").match(/\s*\(([^()]*)\)\s*$/);
-  return m ? m[1] : null;
+function divisionPrefixes(gc) {
+  return gc.SCOUTNET_EVENTS.flatMap((event) =>
+    rules.getDivisionPrefixes(event.SCOUTNET_RULES),
+  );
 }
 
 /**
- * Compute desired division role names per category for the set of divisions
- * that actually occur in current ScoutNet data. Returns Map<categoryKey, Set<roleName>>.
+ * A ScoutNet list that has never been fetched successfully (error with
+ * `unavailable`) becomes null, so its checks are skipped instead of the
+ * whole audit failing.
  */
-function expectedDivisionRoleNames(participants) {
-  const expected = new Map();
-  if (!participants || !config.SCOUTNET_DIVISION_ROLES) return expected;
-
-  for (const [category, divConfig] of Object.entries(
-    config.SCOUTNET_DIVISION_ROLES,
-  )) {
-    expected.set(category, new Set());
-  }
+function orUnavailable(promise) {
+  return promise.catch((e) => {
+    if (e.unavailable) return null;
+    throw e;
+  });
+}
 
-  for (const p of Object.values(participants)) {
-    if (p?.cancelled_date != null) continue;
-    const category = config.SCOUTNET_FEE_ROLES?.[String(p.fee_id)];
-    if (!category) continue;
-    const divConfig = config.SCOUTNET_DIVISION_ROLES?.[category];
-    if (!divConfig) continue;
-    const division = p.questions?.[divConfig.questionId];
-    if (!division) continue;
-    const padded = String(division).padStart(2, "0");
-    expected.get(category).add(divConfig.withDiv.replace("{div}", padded));
-  }
-  return expected;
+/**
+ * Parse a "(suffix)" trailing token from a display name.
+ */
+function extractSuffix(name) {
+  const m = (name || "").match(/\s*\(([^()]*)\)\s*$/);
+  return m ? m[1] : null;
 }
 
 export async function runAudit(guildId) {
-  const [guildMembers, guildRoles, linkedUsers, participants, botMember] =
-    await Promise.all([
-      discord.getGuildMembers(guildId),
-      discord.getGuildRoles(guildId),
-      storage.getAllLinkedUsers(),
-      config.SCOUTNET_EVENT_ID ? scoutnet.getParticipants() : null,
-      discord.getBotMember(guildId).catch(() => null),
-    ]);
-
-  const roleMap = new Map();
-  for (const r of guildRoles) roleMap.set(r.name.toLowerCase(), r);
+  const gc = getGuildConfig(guildId);
+  const [
+    guildMembers,
+    guildRoles,
+    linkedUsers,
+    reverify,
+    eventParticipants,
+    groupMembers,
+    botMember,
+  ] = await Promise.all([
+    discord.getGuildMembers(guildId),
+    discord.getGuildRoles(guildId),
+    storage.getAllLinkedUsers(),
+    storage.getAllNeedsReverification(),
+    Promise.all(
+      gc.SCOUTNET_EVENTS.map((e) => orUnavailable(scoutnet.getParticipants(e))),
+    ),
+    gc.SCOUTNET_GROUP_ID ? orUnavailable(scoutnet.getGroupMembers(gc)) : null,
+    discord.getBotMember(guildId).catch(() => null),
+  ]);
+  // [{ event, participants }] in config order, events without data left out
+  const events = gc.SCOUTNET_EVENTS.map((event, i) => ({
+    event,
+    participants: eventParticipants[i],
+  })).filter((e) => e.participants);
+  const eventsUnavailable = events.length < gc.SCOUTNET_EVENTS.length;
+  const groupUnavailable = !!gc.SCOUTNET_GROUP_ID && !groupMembers;
+  const noEventsItem =
+    gc.SCOUTNET_EVENTS.length === 0 ? NO_EVENT_ITEM : NO_DATA_ITEM;
+  const dataStatus = await scoutnet.getDataStatus(gc);
+  // Event name after each ScoutNet item, only needed with several events
+  const eventLabel = (event) =>
+    gc.SCOUTNET_EVENTS.length > 1 ? ` [${event.name}]` : "";
+
+  // Configured role names resolve through the role registry (by ID)
+  const registry = await roles.loadRoleRegistry(guildId, guildRoles);
   const roleById = new Map(guildRoles.map((r) => [r.id, r]));
 
   const linkedMap = new Map(
@@ -99,8 +116,8 @@ export async function runAudit(guildId) {
   );
   const memberMap = new Map(guildMembers.map((m) => [m.user.id, m]));
 
-  const scoutRoleName = config.SCOUTNET_SCOUT_ROLE || SCOUT_ROLE_FALLBACK;
-  const scoutRole = roleMap.get(scoutRoleName.toLowerCase());
+  const scoutRoleName = gc.SCOUTNET_SCOUT_ROLE || SCOUT_ROLE_FALLBACK;
+  const scoutRole = await registry.resolve(scoutRoleName);
 
   const botRoles = botMember
     ? botMember.roles.map((id) => roleById.get(id)).filter(Boolean)
@@ -117,6 +134,13 @@ export async function runAudit(guildId) {
 
   const categories = [];
 
+  // --- 0. ScoutNet-data som saknas eller inte gått att uppdatera ---
+  categories.push({
+    id: "scoutnet_data",
+    title: "ScoutNet-data saknas eller är inaktuell",
+    items: scoutnet.formatDataStatus(dataStatus).map((line) => `- ${line}`),
+  });
+
   // --- 1. Has Scout role but no storage link ---
   {
     const items = [];
@@ -177,20 +201,60 @@ export async function runAudit(guildId) {
     });
   }
 
+  // --- 2b. Samma ScoutID länkat till flera Discord-konton ---
+  {
+    const byScoutId = new Map();
+    for (const u of linkedUsers) {
+      if (!byScoutId.has(u.scoutId)) byScoutId.set(u.scoutId, []);
+      byScoutId.get(u.scoutId).push(u.discordUserId);
+    }
+    const items = [];
+    for (const [scoutId, ids] of byScoutId) {
+      if (ids.length < 2) continue;
+      items.push(
+        `- scoutid=\`${scoutId}\`: ${ids.map((id) => `<@${id}>`).join(", ")}`,
+      );
+    }
+    categories.push({
+      id: "shared_scoutid",
+      title: "Samma ScoutID länkat till flera Discord-konton",
+      items,
+    });
+  }
+
+  // --- 2c. ScoutID-inloggning behöver förnyas ---
+  {
+    const items = [];
+    for (const u of linkedUsers) {
+      const mark = reverify.get(u.scoutId);
+      if (!mark || !memberMap.has(u.discordUserId)) continue;
+      items.push(
+        `- <@${u.discordUserId}> scoutid=\`${u.scoutId}\` sedan ${mark.since.slice(0, 10)} (${mark.reason})`,
+      );
+    }
+    categories.push({
+      id: "needs_reverification",
+      title: "Behöver logga in med ScoutID igen (refresh-token avvisad)",
+      items,
+    });
+  }
+
   // --- 3. Linked but cancelled in ScoutNet ---
   {
     const items = [];
-    if (!participants) {
-      items.push("(SCOUTNET_EVENT_ID inte satt — hoppar över.)");
+    if (events.length === 0) {
+      items.push(noEventsItem);
     } else {
       for (const u of linkedUsers) {
-        const p = participants[u.scoutId];
-        if (p && p.cancelled_date != null) {
-          const name =
-            [p.first_name, p.last_name].filter(Boolean).join(" ") || "?";
-          items.push(
-            `- <@${u.discordUserId}> scoutid=\`${u.scoutId}\` ${name} (avbokad ${p.cancelled_date})`,
-          );
+        for (const { event, participants } of events) {
+          const p = participants[u.scoutId];
+          if (p && p.cancelled_date != null) {
+            const name =
+              [p.first_name, p.last_name].filter(Boolean).join(" ") || "?";
+            items.push(
+              `- <@${u.discordUserId}> scoutid=\`${u.scoutId}\` ${name} (avbokad ${p.cancelled_date})${eventLabel(event)}`,
+            );
+          }
         }
       }
     }
@@ -204,13 +268,16 @@ export async function runAudit(guildId) {
   // --- 4. Name mismatch Discord vs ScoutNet ---
   {
     const items = [];
-    if (!participants) {
-      items.push("(SCOUTNET_EVENT_ID inte satt — hoppar över.)");
+    if (events.length === 0) {
+      items.push(noEventsItem);
     } else {
       for (const u of linkedUsers) {
         const member = memberMap.get(u.discordUserId);
-        const p = participants[u.scoutId];
-        if (!member || !p || p.cancelled_date != null) continue;
+        // Compare with the first event they are actively registered in
+        const p = events
+          .map(({ participants }) => participants[u.scoutId])
+          .find((r) => r && r.cancelled_date == null);
+        if (!member || !p) continue;
         if (!p.first_name && !p.last_name) continue;
 
         const rawDisplay =
@@ -234,11 +301,32 @@ export async function runAudit(guildId) {
     });
   }
 
+  // --- 4b. Länkade men inte med i kårens medlemslista ---
+  {
+    const items = [];
+    if (groupUnavailable) {
+      items.push(NO_DATA_ITEM);
+    } else if (!groupMembers) {
+      items.push("(SCOUTNET_GROUP_ID inte satt — hoppar över.)");
+    } else {
+      for (const u of linkedUsers) {
+        if (!memberMap.has(u.discordUserId)) continue;
+        if (groupMembers[u.scoutId]) continue;
+        items.push(`- <@${u.discordUserId}> scoutid=\`${u.scoutId}\``);
+      }
+    }
+    categories.push({
+      id: "not_in_group",
+      title: "Länkade men inte med i kårens medlemslista i ScoutNet",
+      items,
+    });
+  }
+
   // --- A1a. Statiska roller som boten kan tilldela men som inte finns i guilden ---
   {
     const items = [];
-    for (const name of staticManagedRoleNames()) {
-      if (!roleMap.has(name.toLowerCase())) {
+    for (const name of staticManagedRoleNames(gc)) {
+      if (!(await registry.resolve(name))) {
         items.push(`- \`${name}\``);
       }
     }
@@ -252,14 +340,24 @@ export async function runAudit(guildId) {
   // --- A1b. Division-roller som behövs men saknas (baserat på faktiska ScoutNet-värden) ---
   {
     const items = [];
-    if (!participants) {
-      items.push("(SCOUTNET_EVENT_ID inte satt — hoppar över.)");
+    if (events.length === 0) {
+      items.push(noEventsItem);
     } else {
-      const expected = expectedDivisionRoleNames(participants);
-      for (const [category, names] of expected) {
-        const missing = [...names].filter((n) => !roleMap.has(n.toLowerCase()));
-        if (missing.length > 0) {
-          items.push(`- ${category}: ${missing.sort().join(", ")}`);
+      for (const { event, participants } of events) {
+        const expected = rules.getDivisionRoleNames(
+          event.SCOUTNET_RULES,
+          participants,
+        );
+        for (const [category, names] of expected) {
+          const missing = [];
+          for (const n of names) {
+            if (!(await registry.resolve(n))) missing.push(n);
+          }
+          if (missing.length > 0) {
+            items.push(
+              `- ${category}: ${missing.sort().join(", ")}${eventLabel(event)}`,
+            );
+          }
         }
       }
     }
@@ -273,22 +371,29 @@ export async function runAudit(guildId) {
   // --- A1c. fee_id i ScoutNet som inte är konfigurerade ---
   {
     const items = [];
-    if (!participants) {
-      items.push("(SCOUTNET_EVENT_ID inte satt — hoppar över.)");
-    } else if (!config.SCOUTNET_FEE_ROLES) {
-      items.push("(SCOUTNET_FEE_ROLES inte konfigurerad — hoppar över.)");
+    if (events.length === 0) {
+      items.push(noEventsItem);
+    } else if (
+      !events.some(({ event }) => event.SCOUTNET_RULES.categories.length > 0)
+    ) {
+      items.push("(Inga avgiftskategorier i rollreglerna — hoppar över.)");
     } else {
-      const seen = new Map(); // fee_id → count
-      for (const p of Object.values(participants)) {
-        if (p?.cancelled_date != null) continue;
-        if (p?.fee_id == null) continue;
-        const fid = String(p.fee_id);
-        if (!config.SCOUTNET_FEE_ROLES[fid]) {
-          seen.set(fid, (seen.get(fid) || 0) + 1);
+      for (const { event, participants } of events) {
+        if (event.SCOUTNET_RULES.categories.length === 0) continue;
+        const seen = new Map(); // fee_id → count
+        for (const p of Object.values(participants)) {
+          if (p?.cancelled_date != null) continue;
+          if (p?.fee_id == null) continue;
+          const fid = String(p.fee_id);
+          if (!event.SCOUTNET_RULES.byFeeId[fid]) {
+            seen.set(fid, (seen.get(fid) || 0) + 1);
+          }
+        }
+        for (const [fid, count] of [...seen.entries()].sort()) {
+          items.push(
+            `- fee_id=\`${fid}\` (${count} deltagare) — saknas i rollreglerna${eventLabel(event)}`,
+          );
         }
-      }
-      for (const [fid, count] of [...seen.entries()].sort()) {
-        items.push(`- fee_id=\`${fid}\` (${count} deltagare) — saknas i SCOUTNET_FEE_ROLES`);
       }
     }
     categories.push({
@@ -304,19 +409,25 @@ export async function runAudit(guildId) {
     if (!botMember) {
       items.push("(Kunde inte hämta bot-medlemmen — hoppar över.)");
     } else {
-      // Compute managed role names (incl. division roles from data)
-      const managedNames = new Set(
-        staticManagedRoleNames().map((n) => n.toLowerCase()),
+      // Managed roles: the registry plus configured and division roles
+      // from data (missing ones are already flagged in A1a/A1b)
+      const managedRoles = new Map(
+        registry.managedRoles().map(({ role }) => [role.id, role]),
       );
-      if (participants) {
-        for (const names of expectedDivisionRoleNames(participants).values()) {
-          for (const n of names) managedNames.add(n.toLowerCase());
+      const names = [...staticManagedRoleNames(gc)];
+      for (const { event, participants } of events) {
+        for (const divisionNames of rules
+          .getDivisionRoleNames(event.SCOUTNET_RULES, participants)
+          .values()) {
+          names.push(...divisionNames);
         }
       }
+      for (const name of names) {
+        const r = await registry.resolve(name);
+        if (r) managedRoles.set(r.id, r);
+      }
 
-      for (const lower of managedNames) {
-        const r = roleMap.get(lower);
-        if (!r) continue; // already flagged in A1a/A1b
+      for (const r of managedRoles.values()) {
         if (r.position >= botHighestPosition) {
           items.push(
             `- \`${r.name}\` (position ${r.position}) ligger på eller över botens högsta position (${botHighestPosition})`,
@@ -356,8 +467,8 @@ export async function runAudit(guildId) {
   // --- B3. Drift mellan faktiska och önskade roller (dry-run sync) ---
   {
     const items = [];
-    if (!participants) {
-      items.push("(SCOUTNET_EVENT_ID inte satt — hoppar över.)");
+    if (events.length === 0 && !groupMembers) {
+      items.push(noEventsItem);
     } else {
       for (const u of linkedUsers) {
         const member = memberMap.get(u.discordUserId);
@@ -365,42 +476,40 @@ export async function runAudit(guildId) {
         // Skip users the bot can't modify (admins/mods above bot) — would be false positives
         if (botMember && !canBotModify(member)) continue;
         let desired;
+        let unavailable;
         try {
-          desired = await roles.getDesiredRoles(u.scoutId);
+          ({ roles: desired, unavailable } = await roles.resolveDesiredRoles(
+            guildId,
+            u.scoutId,
+          ));
         } catch {
           continue;
         }
-        const desiredLower = new Set(desired.map((n) => n.toLowerCase()));
-        const currentRoleNames = (member.roles || [])
-          .map((id) => roleById.get(id)?.name)
-          .filter(Boolean);
-
-        const missing = desired.filter((n) => {
-          const r = roleMap.get(n.toLowerCase());
-          if (!r) return false;
-          if (r.managed) return false; // managed roles can't be assigned by our bot
-          return !member.roles.includes(r.id);
-        });
-
-        // For removals we only consider roles the bot manages
-        const managedStatic = new Set(
-          staticManagedRoleNames().map((n) => n.toLowerCase()),
-        );
-        const divPrefixes = Object.values(
-          config.SCOUTNET_DIVISION_ROLES || {},
-        ).map((d) => {
-          const idx = d.withDiv.indexOf("{div}");
-          return idx >= 0 ? d.withDiv.substring(0, idx).toLowerCase() : null;
-        }).filter(Boolean);
-
-        const extra = currentRoleNames.filter((n) => {
-          const lower = n.toLowerCase();
-          if (desiredLower.has(lower)) return false;
-          const r = roleMap.get(lower);
-          if (r?.managed) return false; // can't remove managed roles
-          if (managedStatic.has(lower)) return true;
-          return divPrefixes.some((p) => lower.startsWith(p));
-        });
+        const desiredIds = new Set();
+        const missing = [];
+        for (const n of desired) {
+          const r = await registry.resolve(n);
+          if (!r) continue;
+          desiredIds.add(r.id);
+          if (r.managed) continue; // managed roles can't be assigned by our bot
+          if (!member.roles.includes(r.id)) missing.push(r.name);
+        }
+
+        // For removals we only consider roles in the registry. Incomplete
+        // data: the sync wouldn't remove anything either
+        const extra =
+          unavailable.length > 0
+            ? []
+            : registry
+                .managedRoles()
+                .map(({ role }) => role)
+                .filter(
+                  (r) =>
+                    !r.managed && // can't remove managed roles
+                    member.roles.includes(r.id) &&
+                    !desiredIds.has(r.id),
+                )
+                .map((r) => r.name);
 
         if (missing.length > 0 || extra.length > 0) {
           const parts = [];
@@ -420,21 +529,16 @@ export async function runAudit(guildId) {
   // --- B4. Användare med flera division-roller i samma kategori ---
   {
     const items = [];
-    const divPrefixes = Object.entries(
-      config.SCOUTNET_DIVISION_ROLES || {},
-    ).map(([cat, d]) => {
-      const idx = d.withDiv.indexOf("{div}");
-      return idx >= 0
-        ? { category: cat, prefix: d.withDiv.substring(0, idx).toLowerCase() }
-        : null;
-    }).filter(Boolean);
+    const divPrefixes = divisionPrefixes(gc);
 
     for (const m of guildMembers) {
       const byCategory = new Map();
       for (const id of m.roles) {
         const r = roleById.get(id);
-        if (!r) continue;
-        const lower = r.name.toLowerCase();
+        // Only registered roles, by the name they are bound to
+        const name = registry.nameOf(id);
+        if (!r || !name) continue;
+        const lower = name.toLowerCase();
         for (const { category, prefix } of divPrefixes) {
           if (lower.startsWith(prefix)) {
             if (!byCategory.has(category)) byCategory.set(category, []);
@@ -460,15 +564,18 @@ export async function runAudit(guildId) {
   // --- B5. Fel nickname-suffix ---
   {
     const items = [];
-    if (!participants) {
-      items.push("(SCOUTNET_EVENT_ID inte satt — hoppar över.)");
+    if (events.length === 0) {
+      items.push(noEventsItem);
+    } else if (eventsUnavailable) {
+      // The suffix comes from the first event that gives one
+      items.push(NO_DATA_ITEM);
     } else {
       for (const u of linkedUsers) {
         const member = memberMap.get(u.discordUserId);
         if (!member) continue;
         let expectedSuffix;
         try {
-          expectedSuffix = await roles.getNicknameSuffix(u.scoutId);
+          expectedSuffix = await roles.getNicknameSuffix(guildId, u.scoutId);
         } catch {
           continue;
         }
@@ -515,13 +622,31 @@ export async function runAudit(guildId) {
     meta: {
       guildMembers: guildMembers.length,
       linkedUsers: linkedUsers.length,
-      participants: participants ? Object.keys(participants).length : null,
+      // Distinct members across all events
+      participants:
+        events.length > 0
+          ? new Set(events.flatMap((e) => Object.keys(e.participants))).size
+          : null,
+      groupMembers: groupMembers ? Object.keys(groupMembers).length : null,
+      // Age of the oldest ScoutNet snapshot the checks used
+      scoutnetFetchedAt: oldestFetch(dataStatus),
     },
     categories,
     totals,
   };
 }
 
+function oldestFetch(dataStatus) {
+  const times = dataStatus
+    .map((s) => s.fetchedAt)
+    .filter((t) => t != null);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+function formatTime(ms) {
+  return new Date(ms).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+}
+
 export function formatAuditMarkdown(audit) {
   const lines = [];
   lines.push("**Audit-rapport för ScoutID-länkningar**");
@@ -531,6 +656,10 @@ export function formatAuditMarkdown(audit) {
     `${m.linkedUsers} länkade`,
   ];
   if (m.participants != null) parts.push(`${m.participants} i ScoutNet`);
+  if (m.groupMembers != null) parts.push(`${m.groupMembers} i kåren`);
+  if (m.scoutnetFetchedAt != null) {
+    parts.push(`ScoutNet-data från ${formatTime(m.scoutnetFetchedAt)}`);
+  }
   lines.push(parts.join(" · "));
   lines.push("");
 
@@ -569,6 +698,10 @@ export function summarizeAudit(audit) {
     `${m.linkedUsers} länkade`,
   ];
   if (m.participants != null) parts.push(`${m.participants} i ScoutNet`);
+  if (m.groupMembers != null) parts.push(`${m.groupMembers} i kåren`);
+  if (m.scoutnetFetchedAt != null) {
+    parts.push(`ScoutNet-data från ${formatTime(m.scoutnetFetchedAt)}`);
+  }
   parts.push(`${audit.totals.issues} avvikelser`);
 
   const topIssues = audit.categories
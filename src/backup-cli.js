@@ -0,0 +1,52 @@
+import { readFile, writeFile } from "fs/promises";
+import * as backup from "./backup.js";
+
+/**
+ * Command-line export/import of all bot data (see backup.js for the format).
+ *
+ *   node src/backup-cli.js export <file> [--with-secrets]
+ *   node src/backup-cli.js import <file> [--on-conflict=skip|overwrite|report]
+ *
+ * Import writes into whatever STORAGE_BACKEND is configured, so this is also
+ * the way to move data between backends.
+ */
+
+const [command, file, ...flags] = process.argv.slice(2);
+
+function usage() {
+  console.error(
+    "Usage:\n" +
+      "  node src/backup-cli.js export <file> [--with-secrets]\n" +
+      "  node src/backup-cli.js import <file> [--on-conflict=skip|overwrite|report]",
+  );
+  process.exit(2);
+}
+
+if (!file) usage();
+
+try {
+  if (command === "export") {
+    const includeSecrets = flags.includes("--with-secrets");
+    const { content, counts } = await backup.exportJsonl({ includeSecrets });
+    await writeFile(file, content, "utf8");
+    console.log(
+      `Exported to ${file}${includeSecrets ? " (including secrets)" : ""}:`,
+      counts,
+    );
+  } else if (command === "import") {
+    const onConflict =
+      flags.find((f) => f.startsWith("--on-conflict="))?.split("=")[1] ??
+      "skip";
+    const report = await backup.importJsonl(await readFile(file, "utf8"), {
+      onConflict,
+    });
+    console.log(`Imported ${file}${report.dryRun ? " (dry run)" : ""}:`);
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    usage();
+  }
+  process.exit(0);
+} catch (e) {
+  console.error(`${command} failed:`, e.message);
+  process.exit(1);
+}
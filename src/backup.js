@@ -0,0 +1,255 @@
+import * as storage from "./storage.js";
+
+/**
+ * Export and import of all durable bot data as versioned JSONL.
+ *
+ * The first line is a header, every following line one record:
+ *   {"type":"header","format":"discord-scoutid-backup","version":1,...}
+ *   {"type":"link","discordUserId":"...","scoutId":"...","provider":"scoutid"}
+ *   {"type":"discord-token","userId":"...","tokens":{...}}
+ *   {"type":"scoutid-token","userId":"...","tokens":{...}}
+ *   {"type":"history","record":{...}}
+ *   {"type":"role-binding","guildId":"...","binding":{...}}
+ *
+ * Tokens are written decrypted so a backup can be restored into any backend
+ * and re-encrypted with that install's keys. Without `includeSecrets` only
+ * token metadata (expiry, linked user) is exported; such records are skipped
+ * on import since they can't be used. Role bindings (see role-registry.js)
+ * are exported for every guild, including the ones admins made with
+ * /roles-scoutid. OAuth state, the reverse link index and caches are not
+ * exported — they are short-lived or rebuilt from the links.
+ */
+
+export const FORMAT = "discord-scoutid-backup";
+export const VERSION = 1;
+
+const SECRET_FIELDS = ["access_token", "refresh_token", "id_token"];
+
+/**
+ * What to do when an imported record differs from what is already stored:
+ *   skip       keep the stored value, import everything else
+ *   overwrite  replace the stored value
+ *   report     dry run: write nothing, only report what would happen
+ */
+export const CONFLICT_MODES = ["skip", "overwrite", "report"];
+
+function stripSecrets(tokens) {
+  const rest = { ...tokens };
+  for (const field of SECRET_FIELDS) delete rest[field];
+  return rest;
+}
+
+/**
+ * Build the JSONL export. Returns { content, counts }.
+ */
+export async function exportJsonl({ includeSecrets = false } = {}) {
+  const lines = [];
+  const counts = {
+    link: 0,
+    "discord-token": 0,
+    "scoutid-token": 0,
+    history: 0,
+    "role-binding": 0,
+  };
+  const push = (record) => {
+    lines.push(JSON.stringify(record));
+    if (record.type in counts) counts[record.type]++;
+  };
+
+  push({
+    type: "header",
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    includesSecrets: includeSecrets,
+  });
+  for (const { discordUserId, scoutId, provider } of await storage.getAllLinkedUsers()) {
+    push({ type: "link", discordUserId, scoutId, provider });
+  }
+  for (const { userId, tokens } of await storage.getAllDiscordTokens()) {
+    push({
+      type: "discord-token",
+      userId,
+      tokens: includeSecrets ? tokens : stripSecrets(tokens),
+    });
+  }
+  for (const { userId, tokens } of await storage.getAllScoutIDTokens()) {
+    push({
+      type: "scoutid-token",
+      userId,
+      tokens: includeSecrets ? tokens : stripSecrets(tokens),
+    });
+  }
+  for (const record of await storage.getAllLinkHistory()) {
+    push({ type: "history", record });
+  }
+  for (const { guildId, binding } of await storage.getAllRoleBindings()) {
+    push({ type: "role-binding", guildId, binding });
+  }
+
+  return { content: lines.join("\n") + "\n", counts };
+}
+
+const TOKEN_STORES = {
+  "discord-token": {
+    get: storage.getDiscordTokens,
+    store: storage.storeDiscordTokens,
+  },
+  "scoutid-token": {
+    get: storage.getScoutIDTokens,
+    store: storage.storeScoutIDTokens,
+  },
+};
+
+/**
+ * Decide the outcome for one record and, unless dry-running, write it.
+ * Returns "created" | "overwritten" | "unchanged" | "skipped" | "conflict".
+ */
+async function importRecord(record, { onConflict, report }) {
+  const dryRun = onConflict === "report";
+
+  if (record.type === "link") {
+    const { discordUserId, scoutId } = record;
+    if (!discordUserId || !scoutId) throw new Error("link saknar discordUserId/scoutId");
+    const existing = await storage.getLinkedScoutIDUserId(discordUserId);
+    if (existing === scoutId) return "unchanged";
+    if (existing) {
+      report.conflicts.push(`link ${discordUserId}: ${existing} → ${scoutId}`);
+      if (onConflict !== "overwrite") return "conflict";
+    }
+    if (!dryRun) {
+      await storage.setLinkedScoutIDUserId(
+        discordUserId,
+        scoutId,
+        record.provider ?? "scoutid",
+      );
+    }
+    return existing ? "overwritten" : "created";
+  }
+
+  if (record.type in TOKEN_STORES) {
+    const { get, store } = TOKEN_STORES[record.type];
+    const { userId, tokens } = record;
+    if (!userId || !tokens) throw new Error(`${record.type} saknar userId/tokens`);
+    if (!tokens.access_token) return "skipped"; // exported without secrets
+    const existing = await get(userId);
+    if (existing && JSON.stringify(existing) === JSON.stringify(tokens)) {
+      return "unchanged";
+    }
+    if (existing) {
+      report.conflicts.push(`${record.type} ${userId}`);
+      if (onConflict !== "overwrite") return "conflict";
+    }
+    if (!dryRun) await store(userId, tokens);
+    return existing ? "overwritten" : "created";
+  }
+
+  if (record.type === "history") {
+    const r = record.record;
+    if (!r?.discordUserId || !r.timestamp || !r.id) {
+      throw new Error("history saknar discordUserId/timestamp/id");
+    }
+    // Append-only and keyed by id: an existing row is always identical.
+    if (await storage.hasLinkHistoryRecord(r)) return "unchanged";
+    if (!dryRun) await storage.appendLinkHistory(r);
+    return "created";
+  }
+
+  if (record.type === "role-binding") {
+    const { guildId, binding } = record;
+    if (!guildId || !binding?.name || !binding.roleId) {
+      throw new Error("role-binding saknar guildId/name/roleId");
+    }
+    const bindings = await storage.getRoleBindings(guildId);
+    const existing = bindings.find(
+      (b) => b.name.toLowerCase() === binding.name.toLowerCase(),
+    );
+    if (existing && JSON.stringify(existing) === JSON.stringify(binding)) {
+      return "unchanged";
+    }
+    // A role is bound to one name only (see roleRegistry.bindRole)
+    const other = bindings.find(
+      (b) =>
+        b.roleId === binding.roleId &&
+        b.name.toLowerCase() !== binding.name.toLowerCase(),
+    );
+    if (other) {
+      report.conflicts.push(
+        `role-binding ${guildId} "${binding.name}": rollen är kopplad till "${other.name}"`,
+      );
+      return "conflict";
+    }
+    if (existing) {
+      report.conflicts.push(`role-binding ${guildId} "${binding.name}"`);
+      if (onConflict !== "overwrite") return "conflict";
+    }
+    if (!dryRun) await storage.setRoleBinding(guildId, binding);
+    return existing ? "overwritten" : "created";
+  }
+
+  throw new Error(`okänd posttyp "${record.type}"`);
+}
+
+/**
+ * Import a JSONL export into the configured storage backend.
+ * Returns { dryRun, created, overwritten, unchanged, skipped, conflicts, errors }
+ * where `conflicts` and `errors` are lists of short descriptions.
+ * Throws if the header is missing or the version is unsupported.
+ */
+export async function importJsonl(text, { onConflict = "skip" } = {}) {
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(
+      `Okänt konfliktläge "${onConflict}" (${CONFLICT_MODES.join(", ")})`,
+    );
+  }
+
+  const lines = text.split("\n").filter((l) => l.trim());
+  const header = lines.length > 0 ? JSON.parse(lines[0]) : null;
+  if (header?.type !== "header" || header.format !== FORMAT) {
+    throw new Error("Filen är inte en export från den här boten");
+  }
+  if (!(header.version <= VERSION)) {
+    throw new Error(
+      `Exportversion ${header.version} stöds inte (max ${VERSION})`,
+    );
+  }
+
+  const report = {
+    dryRun: onConflict === "report",
+    created: 0,
+    overwritten: 0,
+    unchanged: 0,
+    skipped: 0,
+    conflicts: [],
+    errors: [],
+  };
+  for (let i = 1; i < lines.length; i++) {
+    try {
+      const outcome = await importRecord(JSON.parse(lines[i]), {
+        onConflict,
+        report,
+      });
+      if (outcome !== "conflict") report[outcome]++;
+    } catch (e) {
+      report.errors.push(`rad ${i + 1}: ${e.message}`);
+    }
+  }
+  return report;
+}
+
+/**
+ * Swedish summary of an import report, for interaction replies.
+ */
+export function formatImportReport(report) {
+  const lines = [];
+  lines.push(
+    `${report.dryRun ? "Provkörning (inget skrevs): " : ""}${report.created} nya, ${report.overwritten} ersatta, ${report.unchanged} oförändrade, ${report.skipped} hoppade över (utan hemligheter), ${report.conflicts.length} konflikter, ${report.errors.length} fel.`,
+  );
+  if (report.conflicts.length > 0) {
+    lines.push("", "**Konflikter:**", ...report.conflicts.map((c) => `- ${c}`));
+  }
+  if (report.errors.length > 0) {
+    lines.push("", "**Fel:**", ...report.errors.map((e) => `- ${e}`));
+  }
+  return lines.join("\n");
+}
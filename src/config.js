@@ -1,65 +1,235 @@
 import * as dotenv from "dotenv";
+import { readFileSync } from "fs";
+import { compileRules, rulesFromLegacy } from "./rules.js";
 
 dotenv.config();
 
 /**
- * Parse fee roles from env var format "feeId:category,feeId:category"
- * Example: "25694:deltagare,27561:deltagare,25696:ist,25702:IST-Direktresa,33293:ledare,34850:ledare,25697:cmt,25693:cmt"
+ * Parse colon-separated role mappings, "field:...:DiscordRole,...", into
+ * [{ ...fields, discordRole }]. The Discord role is the rest of the entry,
+ * so it may contain ":". A list (from GUILDS_CONFIG) may hold such strings
+ * or the parsed objects. Empty entries (e.g. a trailing comma) are ignored;
+ * any other malformed entry throws with the entry. `name` names the setting
+ * in errors.
  */
-function parseFeeRoles(str) {
-  if (!str) return null;
-  const map = {};
-  for (const pair of str.split(",")) {
-    const [feeId, role] = pair.split(":").map((s) => s.trim());
-    if (feeId && role) map[feeId] = role;
+function parseRoleMappings(value, fields, name) {
+  if (value == null || value === "") return null;
+  const keys = [...fields, "discordRole"];
+  const format = [...fields, "DiscordRole"].join(":");
+  const entries = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${name} must be a "${format},..." string or a list`);
   }
-  return Object.keys(map).length > 0 ? map : null;
+  const mappings = [];
+  for (const entry of entries) {
+    if (typeof entry === "string" && !entry.trim()) continue;
+    const parts = typeof entry === "string" ? entry.split(":") : null;
+    const mapping = parts
+      ? {
+          ...Object.fromEntries(fields.map((f, i) => [f, parts[i]])),
+          discordRole: parts.slice(fields.length).join(":"),
+        }
+      : entry;
+    const valid =
+      mapping &&
+      typeof mapping === "object" &&
+      Object.keys(mapping).every((k) => keys.includes(k)) &&
+      keys.every(
+        (k) =>
+          (typeof mapping[k] === "string" || typeof mapping[k] === "number") &&
+          String(mapping[k]).trim()
+      );
+    if (!valid) {
+      const text = parts ? `"${entry.trim()}"` : JSON.stringify(entry);
+      throw new Error(`${name}: ${text} is not ${format}`);
+    }
+    mappings.push(
+      Object.fromEntries(keys.map((k) => [k, String(mapping[k]).trim()]))
+    );
+  }
+  return mappings.length > 0 ? mappings : null;
 }
 
+// Levels of the ScoutID `roles` claim
+const CLAIM_LEVELS = [
+  "organisation",
+  "region",
+  "project",
+  "network",
+  "corps",
+  "district",
+  "group",
+  "troop",
+  "patrol",
+];
+
 /**
- * Parse nickname suffix patterns from env var.
- * Format: "category:withDiv:withoutDiv,..."
- * Example: "deltagare:{div}:,ledare:AL{div}:AL,ist:IST-{div}:IST,IST-Direktresa::IST,cmt::CMT"
+ * Parse ScoutID organisation-claim role rules (SCOUTID_CLAIM_ROLES).
+ * Format: "level:unitId:role:DiscordRole,..."
+ * Example: "group:123:*:Kår-Solbacken,troop:*:leader:Avdelningsledare"
  *
- * {div} is replaced with the zero-padded division number.
- * Empty string means no suffix for that case.
+ * level is a key of the ScoutID `roles` claim (organisation, region,
+ * district, group, troop, patrol, project, ...). unitId and role may be "*"
+ * to match any unit or any role at that level. Malformed entries and
+ * unknown levels throw (see parseRoleMappings).
  */
-function parseNicknameSuffixes(str) {
-  if (!str) return null;
-  const map = {};
-  for (const entry of str.split(",")) {
-    const parts = entry.split(":").map((s) => s.trim());
-    if (parts.length === 3) {
-      map[parts[0]] = { withDiv: parts[1], withoutDiv: parts[2] };
+function parseClaimRoles(value, name) {
+  const rules = parseRoleMappings(value, ["level", "unitId", "role"], name);
+  for (const rule of rules ?? []) {
+    if (!CLAIM_LEVELS.includes(rule.level.toLowerCase())) {
+      throw new Error(
+        `${name}: unknown level "${rule.level}" (expected one of ${CLAIM_LEVELS.join(", ")})`
+      );
     }
   }
-  return Object.keys(map).length > 0 ? map : null;
+  return rules;
 }
 
 /**
- * Parse division role patterns from env var.
- * Format: "category:questionId:withDivPattern:withoutDivRole,..."
- * Example: "deltagare:88168:Deltagare-{div}:Deltagare-Väntande,ledare:107592:Ledare-{div}:Ledare-Väntande"
+ * Parse ScoutNet group-membership role rules (SCOUTNET_GROUP_ROLES).
+ * Format: "unit:role:DiscordRole,..."
+ * Example: "*:Avdelningsledare:ledare,Utmanarna:*:utmanare,*:Styrelseledamot:styrelse"
  *
- * Each category has its own question ID for the division number.
- * {div} is replaced with the zero-padded (2-digit min) division number.
+ * unit is matched against the member's unit (avdelning) ID or name, role
+ * against their unit and group roles (names or IDs). Either may be "*".
+ * Malformed entries throw (see parseRoleMappings).
  */
-function parseDivisionRoles(str) {
+function parseGroupRoles(value, name) {
+  return parseRoleMappings(value, ["unit", "role"], name);
+}
+
+/**
+ * Compile an event's role rules (see rules.js) from a rules object — inline
+ * JSON, a path to a JSON file, or already parsed — or, for older configs,
+ * from the fee/division/nickname strings plus question rules, translated by
+ * rules.rulesFromLegacy. Setting both is an error. `names` gives each key's
+ * name in error messages; `names.legacy` describes the older set as a whole.
+ */
+function loadRoleRules(values, names) {
+  const isSet = (v) => v != null && v !== "";
+  const legacy = [
+    "feeRoles",
+    "divisionRoles",
+    "nicknameSuffixes",
+    "questionRoles",
+  ].filter((key) => isSet(values[key]));
+  const read = (value, name) =>
+    typeof value === "string" ? readJsonConfig(value, name) : value;
+
+  if (isSet(values.rules)) {
+    if (legacy.length > 0) {
+      throw new Error(
+        `${names.rules} replaces ${legacy.map((key) => names[key]).join(", ")} — set only one of them`
+      );
+    }
+    return compileRules(read(values.rules, names.rules), names.rules);
+  }
+  const questionRoles = isSet(values.questionRoles)
+    ? read(values.questionRoles, names.questionRoles)
+    : null;
+  return compileRules(
+    rulesFromLegacy({ ...values, questionRoles }, names),
+    names.legacy
+  );
+}
+
+/**
+ * Parse token encryption keys from env var format "keyId:base64Key,...".
+ * Example: "2025a:3q2+7w...=,2024b:Zm9v..."
+ *
+ * Keys are 32 random bytes, base64-encoded (`openssl rand -base64 32`).
+ * The first key encrypts new values; the others are kept for decrypting rows
+ * written before a rotation. A malformed entry throws, rather than leaving
+ * tokens unencrypted.
+ */
+function parseEncryptionKeys(str) {
   if (!str) return null;
   const map = {};
-  for (const entry of str.split(",")) {
-    const parts = entry.split(":").map((s) => s.trim());
-    if (parts.length === 4) {
-      map[parts[0]] = {
-        questionId: parts[1],
-        withDiv: parts[2],
-        withoutDiv: parts[3],
-      };
+  const entries = str.split(",");
+  entries.forEach((entry, i) => {
+    if (!entry.trim()) return;
+    const idx = entry.indexOf(":");
+    const keyId = idx > 0 ? entry.substring(0, idx).trim() : "";
+    const key = idx > 0 ? entry.substring(idx + 1).trim() : "";
+    // The entry holds a key, so only its position goes in the error
+    if (!keyId || !key) {
+      throw new Error(
+        `TOKEN_ENCRYPTION_KEYS: entry ${i + 1} of ${entries.length} is not keyId:base64Key`
+      );
     }
-  }
+    if (keyId in map) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS: key "${keyId}" is listed twice`);
+    }
+    map[keyId] = key;
+  });
   return Object.keys(map).length > 0 ? map : null;
 }
 
+/**
+ * Parse an interval such as SWEEP_INTERVAL_MINUTES: a number of at least 0,
+ * where 0 means off. Unset gives `fallback`; anything else throws, so a
+ * typo doesn't silently turn a job off.
+ */
+function parseInterval(str, name, fallback) {
+  if (str == null || str.trim() === "") return fallback;
+  const value = Number(str);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a number of at least 0, got "${str}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse a number of days of at least 0 (RETENTION_*_DAYS). Unset gives
+ * null, i.e. that rule is off; anything else throws.
+ */
+function parseDays(str, name) {
+  if (str == null || str.trim() === "") return null;
+  const days = Number(str);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error(`${name} must be a number of days, got "${str}"`);
+  }
+  return days;
+}
+
+/**
+ * Parse a positive whole number such as SYNC_CONCURRENCY. Unset gives
+ * `fallback`; anything else that isn't a whole number of at least 1 throws.
+ */
+function parseCount(str, name, fallback) {
+  if (str == null || str.trim() === "") return fallback;
+  const count = Number.parseInt(str, 10);
+  if (!/^\s*\d+\s*$/.test(str) || count < 1) {
+    throw new Error(
+      `${name} must be a whole number of at least 1, got "${str}"`
+    );
+  }
+  return count;
+}
+
+/**
+ * Parse a local time window "HH[:MM]-HH[:MM]", e.g. "22-07" or "23:30-06".
+ * Returns { start, end } in minutes after midnight; the window may wrap
+ * past midnight. Throws on anything else.
+ */
+function parseQuietHours(str) {
+  if (!str) return null;
+  const m = str
+    .trim()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  const invalid = () =>
+    new Error(
+      `SYNC_QUIET_HOURS must be a local time window like "22-07" or "23:30-06:00", got "${str}"`
+    );
+  if (!m || Number(m[2] ?? 0) >= 60 || Number(m[4] ?? 0) >= 60) {
+    throw invalid();
+  }
+  const start = Number(m[1]) * 60 + Number(m[2] ?? 0);
+  const end = Number(m[3]) * 60 + Number(m[4] ?? 0);
+  if (start >= 24 * 60 || end > 24 * 60) throw invalid();
+  return { start, end };
+}
+
 const config = {
   // Discord
   DISCORD_TOKEN: process.env.DISCORD_TOKEN,
@@ -69,34 +239,393 @@ const config = {
   DISCORD_REDIRECT_URI: process.env.DISCORD_REDIRECT_URI,
   DISCORD_VALIDATION_URL: process.env.DISCORD_VALIDATION_URL,
   DISCORD_GUILD_ID: process.env.DISCORD_GUILD_ID,
+  // Guild whose admins may use the commands that act on every guild's data
+  // (/export-, /import-, /history- and /retention-scoutid), see
+  // getOwnerGuildId
+  OWNER_GUILD_ID: process.env.OWNER_GUILD_ID,
 
   // ScoutID (OIDC)
   SCOUTID_CLIENT_ID: process.env.SCOUTID_CLIENT_ID,
   SCOUTID_CLIENT_SECRET: process.env.SCOUTID_CLIENT_SECRET,
   SCOUTID_REDIRECT_URI: process.env.SCOUTID_REDIRECT_URI,
   SCOUTID_SCOPES: process.env.SCOUTID_SCOPES,
+  // OpenID configuration URL (defaults to scoutid.se's discovery document)
+  SCOUTID_DISCOVERY_URL: process.env.SCOUTID_DISCOVERY_URL,
 
   // ScoutNet
   SCOUTNET_EVENT_ID: process.env.SCOUTNET_EVENT_ID,
   SCOUTNET_PARTICIPANTS_APIKEY: process.env.SCOUTNET_PARTICIPANTS_APIKEY,
+  // Last day of the event (YYYY-MM-DD), used by the retention policy
+  SCOUTNET_EVENT_END_DATE: process.env.SCOUTNET_EVENT_END_DATE,
+  // Kår (group) member list, for roles from group membership
+  SCOUTNET_GROUP_ID: process.env.SCOUTNET_GROUP_ID,
+  SCOUTNET_GROUP_APIKEY: process.env.SCOUTNET_GROUP_APIKEY,
 
   // Role configuration
   SCOUTNET_SCOUT_ROLE: process.env.SCOUTNET_SCOUT_ROLE || "scout",
   SCOUTNET_EVENT_ROLE: process.env.SCOUTNET_EVENT_ROLE || "participant",
-  SCOUTNET_FEE_ROLES: parseFeeRoles(process.env.SCOUTNET_FEE_ROLES),
-  SCOUTNET_DIVISION_ROLES: parseDivisionRoles(
-    process.env.SCOUTNET_DIVISION_ROLES
+  // Fee-category, division, nickname and answer roles (see rules.js): a
+  // JSON rules file, or the older SCOUTNET_FEE_ROLES / _DIVISION_ROLES /
+  // _NICKNAME_SUFFIXES / _QUESTION_ROLES vars
+  SCOUTNET_RULES: loadRoleRules(
+    {
+      rules: process.env.SCOUTNET_ROLE_RULES,
+      feeRoles: process.env.SCOUTNET_FEE_ROLES,
+      divisionRoles: process.env.SCOUTNET_DIVISION_ROLES,
+      nicknameSuffixes: process.env.SCOUTNET_NICKNAME_SUFFIXES,
+      questionRoles: process.env.SCOUTNET_QUESTION_ROLES,
+    },
+    {
+      rules: "SCOUTNET_ROLE_RULES",
+      feeRoles: "SCOUTNET_FEE_ROLES",
+      divisionRoles: "SCOUTNET_DIVISION_ROLES",
+      nicknameSuffixes: "SCOUTNET_NICKNAME_SUFFIXES",
+      questionRoles: "SCOUTNET_QUESTION_ROLES",
+      legacy: "SCOUTNET_* role vars",
+    }
+  ),
+  // Roles from ScoutID organisation claims (kår, distrikt, avdelning, ...)
+  SCOUTID_CLAIM_ROLES: parseClaimRoles(
+    process.env.SCOUTID_CLAIM_ROLES,
+    "SCOUTID_CLAIM_ROLES"
+  ),
+  // Roles from the ScoutNet group member list (unit and role fields)
+  SCOUTNET_GROUP_ROLES: parseGroupRoles(
+    process.env.SCOUTNET_GROUP_ROLES,
+    "SCOUTNET_GROUP_ROLES"
+  ),
+  // Create managed roles that are missing in Discord when a sync needs them
+  // (styled by roleStyle in the role rules, see provisioning.js)
+  ROLE_AUTO_CREATE: process.env.ROLE_AUTO_CREATE === "true",
+  // After a bulk sync, delete division roles the bot created that no
+  // participant has any more
+  ROLE_DELETE_EMPTY_DIVISIONS:
+    process.env.ROLE_DELETE_EMPTY_DIVISIONS === "true",
+
+  // What to do when a ScoutID is already linked to another Discord account:
+  // "reject", "replace" (unlink the other account) or "warn" (allow, log it)
+  LINK_POLICY: process.env.LINK_POLICY || "warn",
+
+  // Data retention: unlink and delete a member's data this many days after
+  // they cancelled in ScoutNet, left every guild, or the event ended.
+  // Unset = that rule is off.
+  RETENTION_CANCELLED_DAYS: parseDays(
+    process.env.RETENTION_CANCELLED_DAYS,
+    "RETENTION_CANCELLED_DAYS"
   ),
-  SCOUTNET_NICKNAME_SUFFIXES: parseNicknameSuffixes(
-    process.env.SCOUTNET_NICKNAME_SUFFIXES
+  RETENTION_LEFT_GUILD_DAYS: parseDays(
+    process.env.RETENTION_LEFT_GUILD_DAYS,
+    "RETENTION_LEFT_GUILD_DAYS"
   ),
+  RETENTION_EVENT_END_DAYS: parseDays(
+    process.env.RETENTION_EVENT_END_DAYS,
+    "RETENTION_EVENT_END_DAYS"
+  ),
+  RETENTION_INTERVAL_HOURS: parseInterval(
+    process.env.RETENTION_INTERVAL_HOURS,
+    "RETENTION_INTERVAL_HOURS",
+    24
+  ),
+  // Only log what the scheduled job would purge
+  RETENTION_DRY_RUN: process.env.RETENTION_DRY_RUN === "true",
+
+  // Scheduled role sync in every guild (0 = off). "changed" syncs only
+  // members whose ScoutNet data changed, "full" every linked member.
+  SYNC_INTERVAL_MINUTES: parseInterval(
+    process.env.SYNC_INTERVAL_MINUTES,
+    "SYNC_INTERVAL_MINUTES",
+    0
+  ),
+  SYNC_MODE: process.env.SYNC_MODE === "full" ? "full" : "changed",
+  // No scheduled sync in this local time window, e.g. "22-07"
+  SYNC_QUIET_HOURS: parseQuietHours(process.env.SYNC_QUIET_HOURS),
+  SYNC_TIMEZONE: process.env.SYNC_TIMEZONE || "Europe/Stockholm",
+  // Members synced at the same time in a bulk sync (Discord's rate limits
+  // are respected either way, see ratelimit.js)
+  SYNC_CONCURRENCY: parseCount(
+    process.env.SYNC_CONCURRENCY,
+    "SYNC_CONCURRENCY",
+    4
+  ),
+  // Channel for the sync summary (DISCORD_GUILD_ID's guild; per guild in
+  // GUILDS_CONFIG as syncReportChannelId)
+  SYNC_REPORT_CHANNEL_ID: process.env.SYNC_REPORT_CHANNEL_ID,
 
   // General
   COOKIE_SECRET: process.env.COOKIE_SECRET,
+  // How often to purge expired OAuth state and orphaned tokens (0 = never)
+  SWEEP_INTERVAL_MINUTES: parseInterval(
+    process.env.SWEEP_INTERVAL_MINUTES,
+    "SWEEP_INTERVAL_MINUTES",
+    60
+  ),
+  TOKEN_ENCRYPTION_KEYS: parseEncryptionKeys(process.env.TOKEN_ENCRYPTION_KEYS),
+
+  // Storage: "azure" (Table Storage / Azurite) or "file" (local JSON file).
+  // Defaults to azure when a connection string is set, otherwise file.
+  STORAGE_BACKEND:
+    process.env.STORAGE_BACKEND ||
+    (process.env.TABLE_CONNECTION_STRING ? "azure" : "file"),
+  STORAGE_FILE: process.env.STORAGE_FILE || "data/scoutid-storage.json",
 
   // Storage (Azure Table Storage)
   TABLE_CONNECTION_STRING: process.env.TABLE_CONNECTION_STRING,
   TABLE_NAME: process.env.TABLE_NAME || "scoutidlinks",
 };
 
+/**
+ * Per-guild role configuration.
+ *
+ * GUILDS_CONFIG is either inline JSON or a path to a JSON file, keyed by
+ * guild ID:
+ *
+ *   {
+ *     "123456789012345678": {
+ *       "name": "Jamboree",
+ *       "scoutRole": "scout",
+ *       "claimRoles": "group:123:*:Kår-Solbacken,troop:*:leader:Avdelningsledare",
+ *       "scoutnetGroupId": "789",
+ *       "scoutnetGroupApiKey": "...",
+ *       "groupRoles": "*:Avdelningsledare:ledare,Utmanarna:*:utmanare",
+ *       "syncReportChannelId": "345678901234567890",
+ *       "autoCreateRoles": true,
+ *       "deleteEmptyDivisionRoles": false,
+ *       "events": [
+ *         {
+ *           "name": "Jamboree",
+ *           "scoutnetEventId": "1234",
+ *           "scoutnetApiKey": "...",
+ *           "eventEndDate": "2027-08-10",
+ *           "eventRole": "WSJ-event",
+ *           "rules": "rules/jamboree.json"
+ *         },
+ *         { "name": "Ledarkurs", "scoutnetEventId": "5678", ... }
+ *       ]
+ *     }
+ *   }
+ *
+ * Each event has its own API key and role sets; a member gets the roles of
+ * every event they are registered in. The order of `events` is the
+ * precedence order: the nickname suffix (and ScoutNet name) come from the
+ * first event in the list that gives the member one. A guild with a single
+ * event may put the event keys at the top level instead of in `events`.
+ *
+ * The group keys are per guild, not per event: a kår server reads the kår's
+ * ScoutNet member list whether or not it also follows events.
+ *
+ * `rules` is the event's role rules (see rules.js), inline, as a path to a
+ * JSON file or as an object. Instead of `rules` an event may still use
+ * feeRoles/divisionRoles/nicknameSuffixes/questionRoles, in the env vars'
+ * formats or already parsed; they are translated into the same rules.
+ * claimRoles/groupRoles accept the env var string formats or parsed
+ * objects. Missing keys mean "not used" — only the scout/event role names
+ * fall back to the defaults.
+ *
+ * DISCORD_GUILD_ID, if set and not listed in GUILDS_CONFIG, is configured
+ * from the single-event SCOUTNET_* env vars as before.
+ *
+ * Events use the same SCOUTNET_* keys as the env-based config, so code
+ * reads `getGuildConfig(guildId).SCOUTNET_EVENTS[i].SCOUTNET_RULES` etc.
+ */
+function buildEventConfig(entry) {
+  const where = `GUILDS_CONFIG event ${entry.scoutnetEventId}`;
+  return {
+    name: entry.name ?? String(entry.scoutnetEventId),
+    SCOUTNET_EVENT_ID: String(entry.scoutnetEventId),
+    SCOUTNET_PARTICIPANTS_APIKEY: entry.scoutnetApiKey ?? null,
+    SCOUTNET_EVENT_END_DATE: entry.eventEndDate ?? null,
+    SCOUTNET_EVENT_ROLE: entry.eventRole || "participant",
+    SCOUTNET_RULES: loadRoleRules(entry, {
+      rules: `${where} rules`,
+      feeRoles: `${where} feeRoles`,
+      divisionRoles: `${where} divisionRoles`,
+      nicknameSuffixes: `${where} nicknameSuffixes`,
+      questionRoles: `${where} questionRoles`,
+      legacy: where,
+    }),
+  };
+}
+
+function buildGuildConfig(guildId, entry) {
+  let events = entry.events ?? [];
+  if (!Array.isArray(events)) {
+    throw new Error(`GUILDS_CONFIG: "${guildId}".events must be an array`);
+  }
+  // Single-event shorthand: event keys at the guild level
+  if (events.length === 0 && entry.scoutnetEventId) events = [entry];
+  for (const e of events) {
+    if (!e?.scoutnetEventId) {
+      throw new Error(
+        `GUILDS_CONFIG: every event in "${guildId}" needs a scoutnetEventId`
+      );
+    }
+  }
+
+  return {
+    guildId,
+    name: entry.name ?? guildId,
+    SCOUTNET_SCOUT_ROLE: entry.scoutRole || "scout",
+    SCOUTNET_EVENTS: events.map(buildEventConfig),
+    SCOUTID_CLAIM_ROLES: parseClaimRoles(
+      entry.claimRoles,
+      `GUILDS_CONFIG: "${guildId}".claimRoles`
+    ),
+    SCOUTNET_GROUP_ID:
+      entry.scoutnetGroupId != null ? String(entry.scoutnetGroupId) : null,
+    SCOUTNET_GROUP_APIKEY: entry.scoutnetGroupApiKey ?? null,
+    SCOUTNET_GROUP_ROLES: parseGroupRoles(
+      entry.groupRoles,
+      `GUILDS_CONFIG: "${guildId}".groupRoles`
+    ),
+    ROLE_AUTO_CREATE: entry.autoCreateRoles === true,
+    ROLE_DELETE_EMPTY_DIVISIONS: entry.deleteEmptyDivisionRoles === true,
+    SYNC_REPORT_CHANNEL_ID: entry.syncReportChannelId ?? null,
+  };
+}
+
+/**
+ * Read a JSON config given either inline or as a path to a JSON file.
+ */
+function readJsonConfig(str, name) {
+  try {
+    const json = /^[[{]/.test(str.trim()) ? str : readFileSync(str, "utf8");
+    return JSON.parse(json);
+  } catch (e) {
+    throw new Error(`${name} could not be read: ${e.message}`);
+  }
+}
+
+function loadGuildConfigs(str) {
+  const guilds = {};
+  if (str) {
+    const parsed = readJsonConfig(str, "GUILDS_CONFIG");
+    for (const [guildId, entry] of Object.entries(parsed)) {
+      if (!/^\d+$/.test(guildId) || typeof entry !== "object" || !entry) {
+        throw new Error(
+          `GUILDS_CONFIG: "${guildId}" must be a guild ID mapping to an object`
+        );
+      }
+      guilds[guildId] = buildGuildConfig(guildId, entry);
+    }
+  }
+
+  if (config.DISCORD_GUILD_ID && !guilds[config.DISCORD_GUILD_ID]) {
+    const events = [];
+    if (config.SCOUTNET_EVENT_ID) {
+      events.push({
+        name: config.SCOUTNET_EVENT_ID,
+        SCOUTNET_EVENT_ID: config.SCOUTNET_EVENT_ID,
+        SCOUTNET_PARTICIPANTS_APIKEY: config.SCOUTNET_PARTICIPANTS_APIKEY,
+        SCOUTNET_EVENT_END_DATE: config.SCOUTNET_EVENT_END_DATE,
+        SCOUTNET_EVENT_ROLE: config.SCOUTNET_EVENT_ROLE,
+        SCOUTNET_RULES: config.SCOUTNET_RULES,
+      });
+    }
+    guilds[config.DISCORD_GUILD_ID] = {
+      guildId: config.DISCORD_GUILD_ID,
+      name: config.DISCORD_GUILD_ID,
+      SCOUTNET_SCOUT_ROLE: config.SCOUTNET_SCOUT_ROLE,
+      SCOUTNET_EVENTS: events,
+      SCOUTID_CLAIM_ROLES: config.SCOUTID_CLAIM_ROLES,
+      SCOUTNET_GROUP_ID: config.SCOUTNET_GROUP_ID ?? null,
+      SCOUTNET_GROUP_APIKEY: config.SCOUTNET_GROUP_APIKEY ?? null,
+      SCOUTNET_GROUP_ROLES: config.SCOUTNET_GROUP_ROLES,
+      ROLE_AUTO_CREATE: config.ROLE_AUTO_CREATE,
+      ROLE_DELETE_EMPTY_DIVISIONS: config.ROLE_DELETE_EMPTY_DIVISIONS,
+      SYNC_REPORT_CHANNEL_ID: config.SYNC_REPORT_CHANNEL_ID ?? null,
+    };
+  }
+  return guilds;
+}
+
+const guildConfigs = loadGuildConfigs(process.env.GUILDS_CONFIG);
+
+/**
+ * Additional OIDC identity providers (ScoutID is always available).
+ *
+ * OIDC_PROVIDERS is inline JSON or a path to a JSON file, keyed by provider
+ * ID (lowercase letters, digits and dashes):
+ *
+ *   {
+ *     "spejder-dk": {
+ *       "name": "Spejder ID",
+ *       "discoveryUrl": "https://login.example.dk/.well-known/openid-configuration",
+ *       "clientId": "...",
+ *       "clientSecret": "...",
+ *       "scopes": "openid profile email",
+ *       "idClaim": "sub"
+ *     }
+ *   }
+ *
+ * `name` is shown to members and sent to Discord as the linked role's
+ * platform name. `redirectUri` defaults to SCOUTID_REDIRECT_URI (the shared
+ * /scoutid-oauth-callback) and `idClaim` to "sub".
+ */
+function loadProviderConfigs(str) {
+  const providers = {};
+  if (!str) return providers;
+  const parsed = readJsonConfig(str, "OIDC_PROVIDERS");
+  for (const [id, entry] of Object.entries(parsed)) {
+    if (!/^[a-z0-9-]+$/.test(id) || id === "scoutid") {
+      throw new Error(
+        `OIDC_PROVIDERS: "${id}" is not a valid provider ID (lowercase letters, digits, dashes; not "scoutid")`
+      );
+    }
+    if (!entry?.discoveryUrl || !entry.clientId) {
+      throw new Error(
+        `OIDC_PROVIDERS: "${id}" needs discoveryUrl and clientId`
+      );
+    }
+    providers[id] = {
+      id,
+      name: entry.name || id,
+      discoveryUrl: entry.discoveryUrl,
+      clientId: entry.clientId,
+      clientSecret: entry.clientSecret,
+      redirectUri: entry.redirectUri || config.SCOUTID_REDIRECT_URI,
+      scopes: entry.scopes || "openid profile email",
+      idClaim: entry.idClaim || "sub",
+    };
+  }
+  return providers;
+}
+
+const providerConfigs = loadProviderConfigs(process.env.OIDC_PROVIDERS);
+
+/**
+ * Configured generic OIDC providers (see loadProviderConfigs).
+ */
+export function getProviderConfigs() {
+  return Object.values(providerConfigs);
+}
+
+/**
+ * IDs of all guilds this deployment serves.
+ */
+export function getGuildIds() {
+  return Object.keys(guildConfigs);
+}
+
+/**
+ * The owner guild: OWNER_GUILD_ID, else DISCORD_GUILD_ID, else the only
+ * configured guild. Null when several guilds are configured without either,
+ * which leaves the owner-only commands unusable.
+ */
+export function getOwnerGuildId() {
+  const guildIds = getGuildIds();
+  return (
+    config.OWNER_GUILD_ID ??
+    config.DISCORD_GUILD_ID ??
+    (guildIds.length === 1 ? guildIds[0] : null)
+  );
+}
+
+/**
+ * Role configuration for a guild. Unknown guilds get a config without any
+ * ScoutNet events, i.e. only the scout (and claim) roles are managed there.
+ */
+export function getGuildConfig(guildId) {
+  return guildConfigs[guildId] ?? buildGuildConfig(guildId, {});
+}
+
 export default config;
@@ -2,15 +2,26 @@ import crypto from "crypto";
 
 import * as storage from "./storage.js";
 import config from "./config.js";
+import { createRateLimiter } from "./ratelimit.js";
 
 /**
  * Discord API client for OAuth2, role management, and interactions.
+ *
+ * Every request goes through one rate limiter (see ratelimit.js), which
+ * waits out Discord's route and global limits and retries 429s.
  */
 
+const limiter = createRateLimiter();
+
 // --- OAuth2 ---
 
-export function getOAuthUrl() {
+/**
+ * Discord's authorize URL for a new login. The state row remembers what the
+ * login is for: "link" (continue to the identity provider) or "unlink".
+ */
+export async function getOAuthUrl(intent = "link") {
   const state = crypto.randomUUID();
+  await storage.storeStateData(state, { intent });
 
   const url = new URL("https://discord.com/api/oauth2/authorize");
   url.searchParams.set("client_id", config.DISCORD_CLIENT_ID);
@@ -32,19 +43,17 @@ export async function getOAuthTokens(code) {
     redirect_uri: config.DISCORD_REDIRECT_URI,
   });
 
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      body,
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-    });
-    if (response.ok) return await response.json();
-    const error = new Error(
-      `Error fetching OAuth tokens: [${response.status}] ${response.statusText}`,
-    );
-    error.status = response.status;
-    throw error;
+  const response = await limiter.fetch(url, {
+    body,
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
   });
+  if (response.ok) return await response.json();
+  const error = new Error(
+    `Error fetching OAuth tokens: [${response.status}] ${response.statusText}`,
+  );
+  error.status = response.status;
+  throw error;
 }
 
 export async function getAccessToken(userId, tokens) {
@@ -57,23 +66,20 @@ export async function getAccessToken(userId, tokens) {
       refresh_token: tokens.refresh_token,
     });
 
-    const newTokens = await retryWithBackoff(async () => {
-      const response = await fetch(url, {
-        body,
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      });
-      if (response.ok) {
-        const tokens = await response.json();
-        tokens.expires_at = Date.now() + tokens.expires_in * 1000;
-        return tokens;
-      }
+    const response = await limiter.fetch(url, {
+      body,
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    });
+    if (!response.ok) {
       const error = new Error(
         `Error refreshing access token: [${response.status}] ${response.statusText}`,
       );
       error.status = response.status;
       throw error;
-    });
+    }
+    const newTokens = await response.json();
+    newTokens.expires_at = Date.now() + newTokens.expires_in * 1000;
 
     await storage.storeDiscordTokens(userId, newTokens);
     return newTokens.access_token;
@@ -85,69 +91,68 @@ export async function getAccessToken(userId, tokens) {
 
 export async function getUserData(tokens) {
   const url = "https://discord.com/api/v10/oauth2/@me";
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      headers: { Authorization: `Bearer ${tokens.access_token}` },
-    });
-    if (response.ok) return await response.json();
-    const error = new Error(
-      `Error fetching user data: [${response.status}] ${response.statusText}`,
-    );
-    error.status = response.status;
-    throw error;
+  const response = await limiter.fetch(url, {
+    headers: { Authorization: `Bearer ${tokens.access_token}` },
   });
+  if (response.ok) return await response.json();
+  const error = new Error(
+    `Error fetching user data: [${response.status}] ${response.statusText}`,
+  );
+  error.status = response.status;
+  throw error;
 }
 
 export async function getUserGuilds(tokens) {
   const url = "https://discord.com/api/v10/users/@me/guilds";
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      headers: { Authorization: `Bearer ${tokens.access_token}` },
-    });
-    if (response.ok) return await response.json();
-    const error = new Error(
-      `Error fetching user guilds: [${response.status}] ${response.statusText}`,
-    );
-    error.status = response.status;
-    throw error;
+  const response = await limiter.fetch(url, {
+    headers: { Authorization: `Bearer ${tokens.access_token}` },
   });
+  if (response.ok) return await response.json();
+  const error = new Error(
+    `Error fetching user guilds: [${response.status}] ${response.statusText}`,
+  );
+  error.status = response.status;
+  throw error;
 }
 
 // --- Linked role metadata ---
 
-export async function pushMetadata(userId, tokens, metadata) {
+export async function pushMetadata(
+  userId,
+  tokens,
+  metadata,
+  platformName = "ScoutID",
+) {
   const url = `https://discord.com/api/v10/users/@me/applications/${config.DISCORD_CLIENT_ID}/role-connection`;
 
-  await retryWithBackoff(async () => {
-    const accessToken = await getAccessToken(userId, tokens);
-    const response = await fetch(url, {
-      method: "PUT",
-      body: JSON.stringify({ platform_name: "ScoutID", metadata }),
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
-    });
-    if (!response.ok) {
-      const body = await response.text();
-      console.error(
-        `Error pushing metadata: [${response.status}] ${response.statusText}: ${body}`,
-      );
-      const error = new Error(
-        `Error pushing metadata: [${response.status}] ${response.statusText}`,
-      );
-      error.status = response.status;
-      throw error;
-    }
+  const accessToken = await getAccessToken(userId, tokens);
+  const response = await limiter.fetch(url, {
+    method: "PUT",
+    body: JSON.stringify({ platform_name: platformName, metadata }),
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
   });
+  if (!response.ok) {
+    const body = await response.text();
+    console.error(
+      `Error pushing metadata: [${response.status}] ${response.statusText}: ${body}`,
+    );
+    const error = new Error(
+      `Error pushing metadata: [${response.status}] ${response.statusText}`,
+    );
+    error.status = response.status;
+    throw error;
+  }
 }
 
 // --- Guild member management ---
 
 export async function updateGuildMemberNickname(guildId, userId, nickname) {
   const url = `https://discord.com/api/v10/guilds/${guildId}/members/${userId}`;
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
+  try {
+    const response = await limiter.fetch(url, {
       method: "PATCH",
       headers: {
         Authorization: `Bot ${config.DISCORD_TOKEN}`,
@@ -161,25 +166,21 @@ export async function updateGuildMemberNickname(guildId, userId, nickname) {
       );
       return true;
     }
-    const error = new Error(
-      `Error updating nickname in guild ${guildId}: [${response.status}]`,
-    );
-    error.status = response.status;
-    throw error;
-  }).catch(() => false);
+  } catch {
+    // A failed request counts as a refused update
+  }
+  return false;
 }
 
 export async function getGuildRoles(guildId) {
   const url = `https://discord.com/api/v10/guilds/${guildId}/roles`;
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
-    });
-    if (response.ok) return await response.json();
-    const error = new Error(`Error fetching guild roles: [${response.status}]`);
-    error.status = response.status;
-    throw error;
+  const response = await limiter.fetch(url, {
+    headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
   });
+  if (response.ok) return await response.json();
+  const error = new Error(`Error fetching guild roles: [${response.status}]`);
+  error.status = response.status;
+  throw error;
 }
 
 export async function getGuildMembers(guildId) {
@@ -187,17 +188,17 @@ export async function getGuildMembers(guildId) {
   let after = "0";
   while (true) {
     const url = `https://discord.com/api/v10/guilds/${guildId}/members?limit=1000&after=${after}`;
-    const page = await retryWithBackoff(async () => {
-      const response = await fetch(url, {
-        headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
-      });
-      if (response.ok) return await response.json();
+    const response = await limiter.fetch(url, {
+      headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
+    });
+    if (!response.ok) {
       const error = new Error(
         `Error fetching guild members: [${response.status}]`,
       );
       error.status = response.status;
       throw error;
-    });
+    }
+    const page = await response.json();
     if (!page.length) break;
     members.push(...page);
     if (page.length < 1000) break;
@@ -211,7 +212,7 @@ let cachedBotUserId = null;
 export async function getCurrentBotUserId() {
   if (cachedBotUserId) return cachedBotUserId;
   const url = "https://discord.com/api/v10/users/@me";
-  const response = await fetch(url, {
+  const response = await limiter.fetch(url, {
     headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
   });
   if (!response.ok) {
@@ -229,53 +230,144 @@ export async function getBotMember(guildId) {
 
 export async function getGuildMember(guildId, userId) {
   const url = `https://discord.com/api/v10/guilds/${guildId}/members/${userId}`;
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
-    });
-    if (response.ok) return await response.json();
-    const error = new Error(
-      `Error fetching guild member: [${response.status}]`,
-    );
-    error.status = response.status;
-    throw error;
+  const response = await limiter.fetch(url, {
+    headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
   });
+  if (response.ok) return await response.json();
+  const error = new Error(`Error fetching guild member: [${response.status}]`);
+  error.status = response.status;
+  throw error;
+}
+
+/**
+ * True if the user is a member of the guild (false on 404).
+ */
+export async function isGuildMember(guildId, userId) {
+  try {
+    await getGuildMember(guildId, userId);
+    return true;
+  } catch (e) {
+    if (e.status === 404) return false;
+    throw e;
+  }
 }
 
 export async function addRoleToUser(guildId, userId, roleId) {
   const url = `https://discord.com/api/v10/guilds/${guildId}/members/${userId}/roles/${roleId}`;
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      method: "PUT",
-      headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
-    });
-    if (!response.ok) {
-      const error = new Error(
-        `Error adding role ${roleId}: [${response.status}]`,
-      );
-      error.status = response.status;
-      throw error;
-    }
-    return true;
+  const response = await limiter.fetch(url, {
+    method: "PUT",
+    headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
   });
+  if (!response.ok) {
+    const error = new Error(
+      `Error adding role ${roleId}: [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return true;
 }
 
 export async function removeRoleFromUser(guildId, userId, roleId) {
   const url = `https://discord.com/api/v10/guilds/${guildId}/members/${userId}/roles/${roleId}`;
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      method: "DELETE",
-      headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
-    });
-    if (!response.ok) {
-      const error = new Error(
-        `Error removing role ${roleId}: [${response.status}]`,
-      );
-      error.status = response.status;
-      throw error;
-    }
-    return true;
+  const response = await limiter.fetch(url, {
+    method: "DELETE",
+    headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
   });
+  if (!response.ok) {
+    const error = new Error(
+      `Error removing role ${roleId}: [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Create a guild role. `role` is { name, color, hoist, mentionable }.
+ * Returns the new role (at the bottom, just above @everyone).
+ */
+export async function createGuildRole(guildId, role) {
+  const url = `https://discord.com/api/v10/guilds/${guildId}/roles`;
+  const response = await limiter.fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ ...role, permissions: "0" }),
+  });
+  if (!response.ok) {
+    const error = new Error(
+      `Error creating role "${role.name}": [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return await response.json();
+}
+
+/**
+ * Move a guild role to `position` (the roles in between shift one step).
+ */
+export async function setGuildRolePosition(guildId, roleId, position) {
+  const url = `https://discord.com/api/v10/guilds/${guildId}/roles`;
+  const response = await limiter.fetch(url, {
+    method: "PATCH",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify([{ id: roleId, position }]),
+  });
+  if (!response.ok) {
+    const error = new Error(
+      `Error moving role ${roleId}: [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return true;
+}
+
+export async function deleteGuildRole(guildId, roleId) {
+  const url = `https://discord.com/api/v10/guilds/${guildId}/roles/${roleId}`;
+  const response = await limiter.fetch(url, {
+    method: "DELETE",
+    headers: { Authorization: `Bot ${config.DISCORD_TOKEN}` },
+  });
+  if (!response.ok) {
+    const error = new Error(
+      `Error deleting role ${roleId}: [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Post a message to a channel as the bot.
+ */
+export async function sendChannelMessage(channelId, content) {
+  const url = `https://discord.com/api/v10/channels/${channelId}/messages`;
+  const response = await limiter.fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ content, allowed_mentions: { parse: [] } }),
+  });
+  if (!response.ok) {
+    const error = new Error(
+      `Error posting to channel ${channelId}: [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return await response.json();
 }
 
 // --- Slash commands ---
@@ -294,28 +386,40 @@ export async function registerGuildCommand(guildId) {
       },
       {
         name: "alla",
-        description: "Uppdatera alla länkade användare (admin krävs)",
+        description:
+          "Uppdatera länkade användare som ändrats i ScoutNet (admin krävs)",
+        type: 5, // BOOLEAN
+        required: false,
+      },
+      {
+        name: "fullständig",
+        description: "Med alla: uppdatera alla länkade, inte bara ändrade",
+        type: 5, // BOOLEAN
+        required: false,
+      },
+      {
+        name: "plan",
+        description:
+          "Visa vad en fullständig synk skulle ändra, utan att ändra något (admin krävs)",
         type: 5, // BOOLEAN
         required: false,
       },
     ],
   };
 
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bot ${config.DISCORD_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(command),
-    });
-    if (response.ok) return await response.json();
-    const errorText = await response.text();
-    throw new Error(
-      `Error registering command: [${response.status}] ${errorText}`,
-    );
+  const response = await limiter.fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(command),
   });
+  if (response.ok) return await response.json();
+  const errorText = await response.text();
+  throw new Error(
+    `Error registering command: [${response.status}] ${errorText}`,
+  );
 }
 
 export async function registerStatusCommand(guildId) {
@@ -334,21 +438,19 @@ export async function registerStatusCommand(guildId) {
     ],
   };
 
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bot ${config.DISCORD_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(command),
-    });
-    if (response.ok) return await response.json();
-    const errorText = await response.text();
-    throw new Error(
-      `Error registering command: [${response.status}] ${errorText}`,
-    );
+  const response = await limiter.fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(command),
   });
+  if (response.ok) return await response.json();
+  const errorText = await response.text();
+  throw new Error(
+    `Error registering command: [${response.status}] ${errorText}`,
+  );
 }
 
 export async function registerAuditCommand(guildId) {
@@ -359,21 +461,19 @@ export async function registerAuditCommand(guildId) {
     default_member_permissions: "8", // ADMINISTRATOR
   };
 
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bot ${config.DISCORD_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(command),
-    });
-    if (response.ok) return await response.json();
-    const errorText = await response.text();
-    throw new Error(
-      `Error registering command: [${response.status}] ${errorText}`,
-    );
+  const response = await limiter.fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(command),
   });
+  if (response.ok) return await response.json();
+  const errorText = await response.text();
+  throw new Error(
+    `Error registering command: [${response.status}] ${errorText}`,
+  );
 }
 
 export async function registerLinkCommand(guildId) {
@@ -398,23 +498,185 @@ export async function registerLinkCommand(guildId) {
     ],
   };
 
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bot ${config.DISCORD_TOKEN}`,
-        "Content-Type": "application/json",
+  const response = await limiter.fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(command),
+  });
+  if (response.ok) return await response.json();
+  const errorText = await response.text();
+  throw new Error(
+    `Error registering command: [${response.status}] ${errorText}`,
+  );
+}
+
+export async function registerHistoryCommand(guildId) {
+  return await createGuildCommand(guildId, {
+    name: "history-scoutid",
+    description: "Visa länkhistorik för en person eller ett ScoutNet member_no (admin)",
+    default_member_permissions: "8", // ADMINISTRATOR
+    options: [
+      {
+        name: "person",
+        description: "Discord-användare att visa historik för",
+        type: 6, // USER
+        required: false,
       },
-      body: JSON.stringify(command),
-    });
-    if (response.ok) return await response.json();
-    const errorText = await response.text();
-    throw new Error(
-      `Error registering command: [${response.status}] ${errorText}`,
-    );
+      {
+        name: "scoutid",
+        description: "ScoutNet member_no att visa historik för",
+        type: 3, // STRING
+        required: false,
+      },
+    ],
+  });
+}
+
+export async function registerUnlinkCommand(guildId) {
+  return await createGuildCommand(guildId, {
+    name: "unlink-scoutid",
+    description: "Ta bort din ScoutID-länk och dina lagrade uppgifter",
+    options: [
+      {
+        name: "person",
+        description: "Person att avlänka (admin i ägarservern krävs för andra)",
+        type: 6, // USER
+        required: false,
+      },
+    ],
+  });
+}
+
+export async function registerExportCommand(guildId) {
+  return await createGuildCommand(guildId, {
+    name: "export-scoutid",
+    description: "Exportera länkar, tokens och historik som JSONL-fil (admin)",
+    default_member_permissions: "8", // ADMINISTRATOR
+  });
+}
+
+export async function registerImportCommand(guildId) {
+  return await createGuildCommand(guildId, {
+    name: "import-scoutid",
+    description: "Importera en JSONL-export från /export-scoutid (admin)",
+    default_member_permissions: "8", // ADMINISTRATOR
+    options: [
+      {
+        name: "fil",
+        description: "JSONL-fil från /export-scoutid eller backup-cli.js",
+        type: 11, // ATTACHMENT
+        required: true,
+      },
+      {
+        name: "konflikt",
+        description: "Vad som händer när en post redan finns (standard: skip)",
+        type: 3, // STRING
+        required: false,
+        choices: [
+          { name: "skip — behåll befintliga", value: "skip" },
+          { name: "overwrite — ersätt befintliga", value: "overwrite" },
+          { name: "report — provkör, skriv inget", value: "report" },
+        ],
+      },
+    ],
+  });
+}
+
+export async function registerChangesCommand(guildId) {
+  return await createGuildCommand(guildId, {
+    name: "changes-scoutid",
+    description: "Visa vad som ändrats i ScoutNet (admin)",
+    default_member_permissions: "8", // ADMINISTRATOR
+    options: [
+      {
+        name: "timmar",
+        description: "Hur långt tillbaka (standard: 24)",
+        type: 4, // INTEGER
+        required: false,
+        min_value: 1,
+        max_value: 336,
+      },
+    ],
   });
 }
 
+export async function registerRetentionCommand(guildId) {
+  return await createGuildCommand(guildId, {
+    name: "retention-scoutid",
+    description: "Visa eller kör gallring av inaktiva länkar (admin)",
+    default_member_permissions: "8", // ADMINISTRATOR
+    options: [
+      {
+        name: "utför",
+        description: "Radera på riktigt (standard: nej, bara rapport)",
+        type: 5, // BOOLEAN
+        required: false,
+      },
+    ],
+  });
+}
+
+export async function registerRolesCommand(guildId) {
+  return await createGuildCommand(guildId, {
+    name: "roles-scoutid",
+    description: "Visa eller ändra vilka Discord-roller boten hanterar (admin)",
+    default_member_permissions: "8", // ADMINISTRATOR
+    options: [
+      {
+        name: "namn",
+        description: "Rollnamnet i konfigurationen, t.ex. Deltagare-05",
+        type: 3, // STRING
+        required: false,
+      },
+      {
+        name: "roll",
+        description: "Med namn: Discord-rollen som namnet ska kopplas till",
+        type: 8, // ROLE
+        required: false,
+      },
+      {
+        name: "ta-bort",
+        description: "Med namn: ta bort kopplingen",
+        type: 5, // BOOLEAN
+        required: false,
+      },
+      {
+        name: "skapa",
+        description: "Skapa de hanterade roller som saknas i Discord",
+        type: 5, // BOOLEAN
+        required: false,
+      },
+      {
+        name: "rensa",
+        description:
+          "Ta bort divisionsroller som boten skapat och som ingen deltagare har kvar",
+        type: 5, // BOOLEAN
+        required: false,
+      },
+    ],
+  });
+}
+
+async function createGuildCommand(guildId, command) {
+  const url = `https://discord.com/api/v10/applications/${config.DISCORD_CLIENT_ID}/guilds/${guildId}/commands`;
+  const response = await limiter.fetch(url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bot ${config.DISCORD_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(command),
+  });
+  if (response.ok) return await response.json();
+  const errorText = await response.text();
+  throw new Error(
+    `Error registering command: [${response.status}] ${errorText}`,
+  );
+}
+
 // --- Interaction verification ---
 
 export function verifyInteraction(publicKey, signature, timestamp, body) {
@@ -436,24 +698,29 @@ export function verifyInteraction(publicKey, signature, timestamp, body) {
 }
 
 // --- Interaction responses ---
+//
+// `components` (message buttons, see applyPlanButton) replace the message's
+// current ones when given; [] removes them.
 
-export async function editInteractionResponse(interactionToken, content) {
+export async function editInteractionResponse(
+  interactionToken,
+  content,
+  { components } = {},
+) {
   const url = `https://discord.com/api/v10/webhooks/${config.DISCORD_CLIENT_ID}/${interactionToken}/messages/@original`;
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, {
-      method: "PATCH",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ content }),
-    });
-    if (!response.ok) {
-      const error = new Error(
-        `Error editing interaction response: [${response.status}]`,
-      );
-      error.status = response.status;
-      throw error;
-    }
-    return true;
+  const response = await limiter.fetch(url, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ content, components }),
   });
+  if (!response.ok) {
+    const error = new Error(
+      `Error editing interaction response: [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return true;
 }
 
 export async function editInteractionResponseWithFile(
@@ -461,6 +728,7 @@ export async function editInteractionResponseWithFile(
   content,
   filename,
   fileContent,
+  { components } = {},
 ) {
   const url = `https://discord.com/api/v10/webhooks/${config.DISCORD_CLIENT_ID}/${interactionToken}/messages/@original`;
   const form = new FormData();
@@ -468,6 +736,7 @@ export async function editInteractionResponseWithFile(
     "payload_json",
     JSON.stringify({
       content,
+      components,
       attachments: [{ id: 0, filename }],
     }),
   );
@@ -477,35 +746,33 @@ export async function editInteractionResponseWithFile(
     filename,
   );
 
-  return await retryWithBackoff(async () => {
-    const response = await fetch(url, { method: "PATCH", body: form });
-    if (!response.ok) {
-      const error = new Error(
-        `Error editing interaction response with file: [${response.status}]`,
-      );
-      error.status = response.status;
-      throw error;
-    }
-    return true;
-  });
+  const response = await limiter.fetch(url, { method: "PATCH", body: form });
+  if (!response.ok) {
+    const error = new Error(
+      `Error editing interaction response with file: [${response.status}]`,
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return true;
 }
 
-// --- Retry helper ---
-
-async function retryWithBackoff(fn, maxRetries = 3) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.status === 429 && attempt < maxRetries - 1) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.log(
-          `Rate limited, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`,
-        );
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      } else {
-        throw error;
-      }
-    }
-  }
+/**
+ * Message components with one button that applies the stored role sync plan
+ * `planId` (custom_id "apply-plan:<planId>", handled in server.js).
+ */
+export function applyPlanButton(planId) {
+  return [
+    {
+      type: 1, // ACTION_ROW
+      components: [
+        {
+          type: 2, // BUTTON
+          style: 4, // DANGER
+          label: "Utför planen",
+          custom_id: `apply-plan:${planId}`,
+        },
+      ],
+    },
+  ];
 }
@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import config from "./config.js";
+
+/**
+ * Envelope encryption for secrets at rest (OAuth tokens).
+ *
+ * Each value is encrypted with its own random data key (AES-256-GCM), and the
+ * data key is in turn encrypted ("wrapped") with a master key from
+ * TOKEN_ENCRYPTION_KEYS. The stored record carries the id of the master key
+ * that wrapped it, so keys can be rotated: put the new key first, keep the
+ * old ones listed until `node src/reencrypt.js` has rewritten every row.
+ *
+ * Stored shape: { value, dek, keyId } where `value` and `dek` are
+ * base64(iv | authTag | ciphertext).
+ *
+ * With no keys configured, values pass through as plaintext.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const masterKeys = new Map();
+for (const [keyId, base64] of Object.entries(config.TOKEN_ENCRYPTION_KEYS ?? {})) {
+  const key = Buffer.from(base64, "base64");
+  if (key.length !== 32) {
+    throw new Error(
+      `TOKEN_ENCRYPTION_KEYS: key "${keyId}" must be 32 bytes of base64 (got ${key.length} bytes)`,
+    );
+  }
+  masterKeys.set(keyId, key);
+}
+
+// The first configured key is the active one; the rest are only for reading.
+const activeKeyId = masterKeys.keys().next().value ?? null;
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+function open(key, sealed) {
+  const buf = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    buf.subarray(0, IV_BYTES),
+  );
+  decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([
+    decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)),
+    decipher.final(),
+  ]);
+}
+
+export function isEnabled() {
+  return activeKeyId !== null;
+}
+
+export function getActiveKeyId() {
+  return activeKeyId;
+}
+
+/**
+ * Encrypt a string. Returns { value, dek, keyId }, or { value } unchanged
+ * when encryption is not configured.
+ */
+export function encrypt(plaintext) {
+  if (!activeKeyId) return { value: plaintext };
+  const dataKey = crypto.randomBytes(32);
+  return {
+    value: seal(dataKey, Buffer.from(plaintext, "utf8")),
+    dek: seal(masterKeys.get(activeKeyId), dataKey),
+    keyId: activeKeyId,
+  };
+}
+
+/**
+ * Decrypt a stored { value, dek, keyId } record. Records without a keyId are
+ * legacy plaintext and are returned as-is.
+ */
+export function decrypt({ value, dek, keyId }) {
+  if (!keyId) return value;
+  const masterKey = masterKeys.get(keyId);
+  if (!masterKey) {
+    throw new Error(
+      `Value encrypted with unknown key "${keyId}" — add it to TOKEN_ENCRYPTION_KEYS`,
+    );
+  }
+  const dataKey = open(masterKey, dek);
+  return open(dataKey, value).toString("utf8");
+}
+
+/**
+ * True if a stored record is not wrapped by the active key (plaintext, or an
+ * older key) and should be rewritten.
+ */
+export function needsReencryption({ keyId }) {
+  if (!activeKeyId) return false;
+  return keyId !== activeKeyId;
+}
@@ -0,0 +1,141 @@
+import { getProviderConfigs } from "./config.js";
+import * as oidc from "./oidc.js";
+import * as scoutid from "./scoutid.js";
+import * as storage from "./storage.js";
+
+/**
+ * Identity providers that can verify a member.
+ *
+ * ScoutID is the default; other scout associations' OIDC providers are
+ * configured in OIDC_PROVIDERS. Every provider has the same shape:
+ *
+ *   { id, name,
+ *     getAuthorizationUrl() → { state, nonce, codeVerifier, url },
+ *     getTokens({ code, codeVerifier }),
+ *     verifyIdToken(idToken, { nonce }) → claims,
+ *     getAccessToken(linkedId, tokens) → access token (refreshed if expired),
+ *     getUserData(tokens) → { sub, userId, name, email, memberships } }
+ *
+ * `userId` is the member's ID at the provider. The ID stored in the link is
+ * the bare ScoutID member number for ScoutID and "<provider>:<userId>" for
+ * everyone else, so IDs from different providers can never collide and
+ * ScoutNet lookups simply find nothing for non-ScoutID members. The link row
+ * also records the provider (see storage.setLinkedScoutIDUserId).
+ */
+
+export const DEFAULT_PROVIDER = "scoutid";
+
+const providers = new Map();
+
+providers.set(DEFAULT_PROVIDER, {
+  id: DEFAULT_PROVIDER,
+  name: "ScoutID",
+  getAuthorizationUrl: scoutid.getOidcAuthorizationUrl,
+  getTokens: scoutid.getOidcTokens,
+  verifyIdToken: scoutid.verifyIdToken,
+  getAccessToken: scoutid.getScoutIDAccessToken,
+  async getUserData(tokens) {
+    const data = await scoutid.getUserData(tokens);
+    return { ...data, userId: data.scoutid };
+  },
+});
+
+for (const pc of getProviderConfigs()) {
+  const client = oidc.createOidcClient(pc);
+  providers.set(pc.id, {
+    id: pc.id,
+    name: pc.name,
+    getAuthorizationUrl: client.getAuthorizationUrl,
+    getTokens: client.getTokens,
+    verifyIdToken: client.verifyIdToken,
+    getAccessToken: client.getAccessToken,
+    async getUserData(tokens) {
+      const data = await client.getUserInfo(tokens);
+      const name =
+        data.name ||
+        [data.given_name, data.family_name].filter(Boolean).join(" ");
+      return {
+        sub: data.sub,
+        userId: String(data[pc.idClaim] ?? data.sub),
+        name,
+        email: data.email,
+        memberships: [],
+      };
+    },
+  });
+}
+
+/**
+ * The provider with this ID, or null if it isn't configured.
+ */
+export function getProvider(id) {
+  return providers.get(id) ?? null;
+}
+
+export function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * The ID to store in the link for a member verified by `providerId`.
+ */
+export function getLinkedId(providerId, userId) {
+  return providerId === DEFAULT_PROVIDER ? userId : `${providerId}:${userId}`;
+}
+
+/**
+ * ID of the provider that issued a linked ID (see getLinkedId). Only a
+ * configured provider's "<provider>:" prefix counts, so any other ID (e.g.
+ * one typed by an admin that happens to contain ":") is a ScoutID one.
+ */
+export function getProviderIdForLinkedId(linkedId) {
+  const id = String(linkedId);
+  const idx = id.indexOf(":");
+  const prefix = idx > 0 ? id.substring(0, idx) : null;
+  return prefix && prefix !== DEFAULT_PROVIDER && providers.has(prefix)
+    ? prefix
+    : DEFAULT_PROVIDER;
+}
+
+/**
+ * Fetch the member's current profile from their provider with the stored
+ * tokens (refreshed if expired). Returns null if no tokens are stored.
+ */
+export async function getLinkedUserData(linkedId) {
+  const tokens = await storage.getScoutIDTokens(linkedId);
+  if (!tokens) return null;
+  const providerId = getProviderIdForLinkedId(linkedId);
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Identity provider "${providerId}" is not configured`);
+  }
+  const accessToken = await provider.getAccessToken(linkedId, tokens);
+  return await provider.getUserData({ access_token: accessToken });
+}
+
+/**
+ * Organisation memberships for a linked ID as stored at the last login or
+ * refresh. With `maxAgeMs`, re-read them from the provider with the stored
+ * tokens first if the snapshot is missing or older than that (0: always);
+ * if that fails the stored snapshot is used.
+ */
+export async function getMemberships(linkedId, { maxAgeMs = null } = {}) {
+  const stored = await storage.getScoutIDClaims(linkedId);
+  const stale =
+    maxAgeMs != null &&
+    (!stored || Date.now() - Date.parse(stored.fetchedAt) >= maxAgeMs);
+  if (stale) {
+    try {
+      const data = await getLinkedUserData(linkedId);
+      if (data) {
+        await storage.storeScoutIDClaims(linkedId, data.memberships);
+        return data.memberships;
+      }
+    } catch (e) {
+      console.error(
+        `Error refreshing memberships for ${linkedId}: ${e.message}`,
+      );
+    }
+  }
+  return stored?.memberships ?? [];
+}
@@ -0,0 +1,226 @@
+import config, { getGuildIds } from "./config.js";
+import * as discord from "./discord.js";
+import * as roles from "./roles.js";
+import * as storage from "./storage.js";
+
+/**
+ * Discord <-> ScoutID link management.
+ *
+ * All code paths that create or remove a link (the OAuth callback and
+ * /link-scoutid) go through linkAccounts()/unlinkAccount() so the uniqueness
+ * policy and the history journal are applied the same way everywhere.
+ *
+ * LINK_POLICY decides what happens when the ScoutID is already linked to
+ * another Discord account:
+ *   reject   refuse the new link, the existing one stays
+ *   replace  unlink the other account(s) and delete their data as
+ *            deleteMemberData does (metadata, roles, tokens), then link
+ *   warn     link anyway and report the other account(s) (default)
+ *
+ * Every change is appended to the link history:
+ *   { action, discordUserId, actorId, oldScoutId, newScoutId, source, provider, timestamp }
+ * where action is link | relink | reconfirm | unlink, actorId is who caused
+ * it (the member themselves for OAuth) and source is "oauth", "admin" or
+ * "self" (the member unlinked themselves).
+ */
+
+export const LINK_POLICIES = ["reject", "replace", "warn"];
+
+if (!LINK_POLICIES.includes(config.LINK_POLICY)) {
+  throw new Error(
+    `Unknown LINK_POLICY "${config.LINK_POLICY}" (expected one of: ${LINK_POLICIES.join(", ")})`,
+  );
+}
+
+/**
+ * Link a Discord user to a ScoutID, applying LINK_POLICY.
+ *
+ * `source` is "oauth" or "admin"; `actorId` defaults to the linked user.
+ * `provider` is the identity provider that verified the account (see
+ * identity.js); `scoutId` is then that provider's linked ID.
+ *
+ * Returns { previous, conflicts, replaced } on success, where `previous` is
+ * the ScoutID this Discord user was linked to before (or null), `conflicts`
+ * the other Discord users sharing the ScoutID and `replaced` the ones that
+ * were unlinked because of it. Returns { error, conflicts } when rejected.
+ */
+export async function linkAccounts(
+  discordUserId,
+  scoutId,
+  {
+    source,
+    actorId = discordUserId,
+    policy = config.LINK_POLICY,
+    provider = "scoutid",
+  },
+) {
+  const previous = await storage.getLinkedScoutIDUserId(discordUserId);
+  const conflicts = (await storage.getLinkedDiscordUserIds(scoutId)).filter(
+    (id) => id !== discordUserId,
+  );
+
+  const rejected = (conflicts) => ({
+    error: `ScoutID ${scoutId} är redan länkat till ${conflicts.map((id) => `<@${id}>`).join(", ")}`,
+    conflicts,
+  });
+  if (conflicts.length > 0 && policy === "reject") return rejected(conflicts);
+
+  const replaced = [];
+  if (conflicts.length > 0 && policy === "replace") {
+    for (const otherId of conflicts) {
+      const { scoutId: unlinked } = await deleteMemberData(otherId, {
+        source,
+        actorId,
+      });
+      if (unlinked) replaced.push(otherId);
+    }
+  } else if (conflicts.length > 0) {
+    console.warn(
+      `ScoutID ${scoutId} linked to Discord user ${discordUserId} but is also linked to ${conflicts.join(", ")}`,
+    );
+  }
+
+  // Under reject the link is written only if nobody linked the ScoutID
+  // since the check above
+  const linked = await storage.setLinkedScoutIDUserId(
+    discordUserId,
+    scoutId,
+    provider,
+    { exclusive: policy === "reject" },
+  );
+  if (policy === "reject" && linked.conflicts.length > 0) {
+    return rejected(linked.conflicts);
+  }
+  await storage.appendLinkHistory({
+    action: !previous ? "link" : previous === scoutId ? "reconfirm" : "relink",
+    discordUserId,
+    actorId,
+    oldScoutId: previous,
+    newScoutId: scoutId,
+    source,
+    provider,
+  });
+  return { previous, conflicts, replaced };
+}
+
+/**
+ * Remove a Discord user's link and record it in the history.
+ * Returns the ScoutID that was unlinked, or null if there was no link.
+ */
+export async function unlinkAccount(discordUserId, { source, actorId = discordUserId }) {
+  const previous = await storage.removeLinkedScoutIDUserId(discordUserId);
+  if (!previous) return null;
+  await storage.appendLinkHistory({
+    action: "unlink",
+    discordUserId,
+    actorId,
+    oldScoutId: previous,
+    newScoutId: null,
+    source,
+  });
+  return previous;
+}
+
+/**
+ * Unlink a member and delete the personal data we hold about them (GDPR
+ * erasure): clears the Discord role-connection metadata (name, e-mail), strips
+ * bot-managed roles and nickname suffix in every configured guild, removes
+ * the link and deletes the stored Discord and ScoutID tokens. The unlink
+ * itself is kept in the link history.
+ *
+ * Each step is attempted even if an earlier one fails. Returns
+ * { scoutId, metadataCleared, guilds, errors } where `guilds` lists the
+ * guild IDs the member was stripped in.
+ */
+export async function deleteMemberData(discordUserId, { source, actorId = discordUserId }) {
+  const errors = [];
+  const scoutId = await storage.getLinkedScoutIDUserId(discordUserId);
+
+  // Clear role-connection metadata while we still have the user's tokens.
+  let metadataCleared = false;
+  const discordTokens = await storage.getDiscordTokens(discordUserId);
+  if (discordTokens) {
+    try {
+      await discord.pushMetadata(discordUserId, discordTokens, {});
+      metadataCleared = true;
+    } catch (e) {
+      errors.push(`metadata: ${e.message}`);
+    }
+  }
+
+  // Unlink before stripping so a concurrent sync can't re-add roles.
+  await unlinkAccount(discordUserId, { source, actorId });
+
+  const guilds = [];
+  for (const guildId of getGuildIds()) {
+    try {
+      if (!(await discord.isGuildMember(guildId, discordUserId))) continue;
+      await roles.stripUnlinkedUser(guildId, discordUserId);
+      guilds.push(guildId);
+    } catch (e) {
+      errors.push(`guild ${guildId}: ${e.message}`);
+    }
+  }
+
+  await storage.deleteDiscordTokens(discordUserId);
+  if (scoutId) {
+    // ScoutID tokens are keyed by scoutId; keep them only if another
+    // Discord account still uses that ScoutID and logged in with them.
+    const scoutIDTokens = await storage.getScoutIDTokens(scoutId).catch(() => null);
+    const stillLinked = await storage.getLinkedDiscordUserIds(scoutId);
+    if (
+      stillLinked.length === 0 ||
+      !scoutIDTokens ||
+      scoutIDTokens.discord_user_id === discordUserId
+    ) {
+      await storage.deleteScoutIDTokens(scoutId);
+    }
+  }
+
+  console.log(
+    `Deleted data for Discord user ${discordUserId} (scoutid=${scoutId ?? "-"}, source=${source}, by ${actorId})${errors.length ? `: ${errors.join("; ")}` : ""}`,
+  );
+  return { scoutId, metadataCleared, guilds, errors };
+}
+
+/**
+ * Human-readable (Swedish) note about other accounts affected by a link,
+ * for interaction replies. Returns "" when there is nothing to report.
+ */
+export function formatLinkConflicts({ conflicts, replaced }) {
+  if (replaced?.length > 0) {
+    return `⚠️ Tog bort länken för ${replaced.map((id) => `<@${id}>`).join(", ")} (samma ScoutID).`;
+  }
+  if (conflicts?.length > 0) {
+    return `⚠️ Samma ScoutID är även länkat till ${conflicts.map((id) => `<@${id}>`).join(", ")}.`;
+  }
+  return "";
+}
+
+const ACTION_LABELS = {
+  link: "🔗 Länkad",
+  relink: "🔁 Omlänkad",
+  reconfirm: "✅ Bekräftad",
+  unlink: "✂️ Avlänkad",
+};
+
+const SOURCE_LABELS = {
+  oauth: "via ScoutID-inloggning",
+  admin: "av admin",
+  self: "av användaren själv",
+  retention: "av gallringen",
+};
+
+/**
+ * One line per history record, e.g.
+ * "2026-03-01 14:02 🔁 Omlänkad av admin <@123>: `111` → `222`".
+ */
+export function formatHistoryRecord(r) {
+  const when = new Date(r.timestamp).toISOString().slice(0, 16).replace("T", " ");
+  const action = ACTION_LABELS[r.action] ?? r.action;
+  const source = SOURCE_LABELS[r.source] ?? r.source ?? "";
+  const actor =
+    r.actorId && r.actorId !== r.discordUserId ? ` <@${r.actorId}>` : "";
+  const change = `\`${r.oldScoutId ?? "–"}\` → \`${r.newScoutId ?? "–"}\``;
+  return `${when} ${action} ${source}${actor}: <@${r.discordUserId}> ${change}`;
+}
@@ -0,0 +1,105 @@
+import config from "./config.js";
+import * as storage from "./storage.js";
+
+/**
+ * Periodic in-process maintenance ("sweeper").
+ *
+ * Every SWEEP_INTERVAL_MINUTES it purges expired OAuth state rows, expired
+ * ScoutNet change-log rows, expired role sync plans and token rows no link
+ * refers to any more (see storage.purgeOrphanTokens). The
+ * result of the last run is persisted so /status-scoutid can show it from any
+ * replica. Running the sweep on several replicas at once is harmless: every
+ * backend ignores deletes of rows that are already gone. A step that fails
+ * is logged and recorded in `errors`; the steps after it still run.
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one sweep now. Returns
+ * { finishedAt, durationMs, state, scoutNetChanges, syncPlans,
+ *   discordTokens, scoutIdTokens, errors }; the count of a failed step is
+ * null.
+ */
+export async function runSweep() {
+  const startedAt = Date.now();
+  const errors = [];
+  const step = async (name, fn) => {
+    try {
+      return await fn();
+    } catch (e) {
+      console.error(`Sweep step ${name} failed:`, e.message);
+      errors.push(`${name}: ${e.message}`);
+      return null;
+    }
+  };
+
+  const state = await step("state", () => storage.purgeExpiredState(startedAt));
+  const scoutNetChanges = await step("scoutnet-changes", () =>
+    storage.purgeExpiredScoutNetChanges(startedAt),
+  );
+  const syncPlans = await step("sync-plans", () =>
+    storage.purgeExpiredSyncPlans(startedAt),
+  );
+  const { discordTokens = null, scoutIdTokens = null } =
+    (await step("tokens", () => storage.purgeOrphanTokens(startedAt))) ?? {};
+
+  const result = {
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    state,
+    scoutNetChanges,
+    syncPlans,
+    discordTokens,
+    scoutIdTokens,
+    errors,
+  };
+  const count = (n) => n ?? "?";
+  console.log(
+    `Sweep done: ${count(state)} expired state, ${count(scoutNetChanges)} ScoutNet changes, ${count(syncPlans)} sync plan rows, ${count(discordTokens)} Discord tokens, ${count(scoutIdTokens)} ScoutID tokens removed, ${errors.length} failed steps (${result.durationMs} ms)`,
+  );
+  await storage.storeMeta("last-sweep", result);
+  return result;
+}
+
+/**
+ * Start the periodic sweep (first run shortly after startup).
+ * Does nothing if the interval is 0 or the sweeper is already running.
+ */
+export function startSweeper(intervalMinutes = config.SWEEP_INTERVAL_MINUTES) {
+  if (timer || !intervalMinutes) return;
+
+  const tick = async () => {
+    if (running) return; // previous sweep still in progress
+    running = true;
+    try {
+      await runSweep();
+    } catch (e) {
+      console.error("Sweep failed:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  setTimeout(tick, 30 * 1000).unref();
+}
+
+export async function getLastSweep() {
+  return await storage.getMeta("last-sweep");
+}
+
+/**
+ * One-line Swedish summary for /status-scoutid.
+ */
+export function formatSweep(result) {
+  if (!result) return "🧹 Städning: har inte körts än";
+  const when = result.finishedAt.slice(0, 16).replace("T", " ");
+  const count = (n) => n ?? "?";
+  const failed = result.errors?.length
+    ? ` (⚠️ misslyckades: ${result.errors.join("; ")})`
+    : "";
+  return `🧹 Senaste städning ${when} UTC: ${count(result.state)} utgångna state, ${result.scoutNetChanges ?? 0} gamla ScoutNet-ändringar, ${count(result.discordTokens)} Discord-tokens, ${count(result.scoutIdTokens)} ScoutID-tokens borttagna${failed}`;
+}
@@ -0,0 +1,311 @@
+import crypto from "crypto";
+import * as storage from "./storage.js";
+
+/**
+ * Generic OpenID Connect client (authorization code + PKCE).
+ *
+ * createOidcClient() returns the functions for one provider. Endpoints and
+ * signing keys are loaded from the provider's discovery document and cached
+ * in memory. Used by scoutid.js and by the generic providers configured in
+ * OIDC_PROVIDERS (see identity.js).
+ */
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// Tolerated clock difference when checking exp/iat
+const CLOCK_SKEW_SECONDS = 60;
+
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+};
+
+/**
+ * settings: { name, discoveryUrl, clientId, clientSecret, redirectUri, scopes }
+ * `name` is only used in error messages.
+ */
+export function createOidcClient(settings) {
+  const { name } = settings;
+  let discovery = null; // { fetchedAt, promise }
+  let jwks = null; // { uri, fetchedAt, promise }
+
+  /**
+   * Fetch (or return the cached) OpenID configuration.
+   */
+  async function getOpenIdConfiguration() {
+    if (!discovery || Date.now() - discovery.fetchedAt > DISCOVERY_TTL_MS) {
+      const promise = fetchJson(
+        settings.discoveryUrl,
+        `${name} OpenID configuration`,
+      );
+      discovery = { fetchedAt: Date.now(), promise };
+      // Don't cache failures
+      promise.catch(() => {
+        if (discovery?.promise === promise) discovery = null;
+      });
+    }
+    return await discovery.promise;
+  }
+
+  async function getSigningKeys({ refresh = false } = {}) {
+    const { jwks_uri: uri } = await getOpenIdConfiguration();
+    if (
+      refresh ||
+      !jwks ||
+      jwks.uri !== uri ||
+      Date.now() - jwks.fetchedAt > DISCOVERY_TTL_MS
+    ) {
+      const promise = fetchJson(uri, `${name} JWKS`).then(
+        (data) => data.keys ?? [],
+      );
+      jwks = { uri, fetchedAt: Date.now(), promise };
+      promise.catch(() => {
+        if (jwks?.promise === promise) jwks = null;
+      });
+    }
+    return await jwks.promise;
+  }
+
+  /**
+   * Generate the url which the user will be directed to in order to log in.
+   * Returns { state, nonce, codeVerifier, url }; the caller keeps state,
+   * nonce and codeVerifier for the callback.
+   */
+  async function getAuthorizationUrl() {
+    // OIDC requires: state, nonce, PKCE (code_verifier + code_challenge), scope incl. openid
+    const state = crypto.randomUUID();
+    const nonce = crypto.randomUUID();
+
+    const codeVerifier = crypto.randomBytes(64).toString("base64url");
+    const codeChallenge = crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url");
+
+    const { authorization_endpoint } = await getOpenIdConfiguration();
+    const url = new URL(authorization_endpoint);
+    url.searchParams.set("client_id", settings.clientId);
+    url.searchParams.set("redirect_uri", settings.redirectUri);
+    url.searchParams.set("response_type", "code");
+    url.searchParams.set("scope", settings.scopes || "openid profile email");
+    url.searchParams.set("state", state);
+    url.searchParams.set("nonce", nonce);
+    url.searchParams.set("code_challenge", codeChallenge);
+    url.searchParams.set("code_challenge_method", "S256");
+
+    return { state, nonce, codeVerifier, url: url.toString() };
+  }
+
+  /**
+   * Exchange an authorization code for tokens.
+   */
+  async function getTokens({ code, codeVerifier }) {
+    if (!code) throw new Error("Missing authorization code");
+    if (!codeVerifier) throw new Error("Missing PKCE code_verifier");
+
+    const { token_endpoint: url } = await getOpenIdConfiguration();
+    const body = new URLSearchParams({
+      client_id: settings.clientId,
+      client_secret: settings.clientSecret,
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: settings.redirectUri,
+      code_verifier: codeVerifier,
+    });
+
+    const response = await fetch(url, {
+      body,
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    });
+    if (response.ok) return await response.json();
+    const errorText = await response.text();
+    throw new Error(
+      `Error fetching ${name} OIDC tokens: [${response.status}] ${response.statusText} - ${errorText}`,
+    );
+  }
+
+  /**
+   * Return a valid access token for tokens stored under `userKey` (the
+   * linked ID), refreshing and persisting them first if it has expired.
+   *
+   * If the provider rejects the refresh token (or there is none), the link
+   * is marked as needing re-verification and the error is rethrown with
+   * `needsReverification` set; the member has to log in again.
+   */
+  async function getAccessToken(userKey, tokens) {
+    if (Date.now() <= tokens.expires_at) return tokens.access_token;
+
+    if (!tokens.refresh_token) {
+      await storage.markNeedsReverification(userKey, "no refresh token");
+      const error = new Error(
+        `${name} access token expired and no refresh token stored`,
+      );
+      error.needsReverification = true;
+      throw error;
+    }
+
+    const { token_endpoint: url } = await getOpenIdConfiguration();
+    const body = new URLSearchParams({
+      client_id: settings.clientId,
+      client_secret: settings.clientSecret,
+      grant_type: "refresh_token",
+      refresh_token: tokens.refresh_token,
+    });
+
+    const response = await fetch(url, {
+      body,
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(
+        `Error refreshing ${name} access token: [${response.status}] ${response.statusText} - ${errorText}`,
+      );
+      error.status = response.status;
+      // 400 invalid_grant / 401: the refresh token is no good any more.
+      // Anything else (5xx, network) is transient and leaves the link alone.
+      if (response.status === 400 || response.status === 401) {
+        await storage.markNeedsReverification(
+          userKey,
+          `refresh rejected [${response.status}]`,
+        );
+        error.needsReverification = true;
+      }
+      throw error;
+    }
+
+    const newTokens = await response.json();
+    const stored = {
+      discord_user_id: tokens.discord_user_id,
+      access_token: newTokens.access_token,
+      // Providers may keep the refresh token unchanged and omit it
+      refresh_token: newTokens.refresh_token ?? tokens.refresh_token,
+      expires_at: Date.now() + newTokens.expires_in * 1000,
+    };
+    await storage.storeScoutIDTokens(userKey, stored);
+    return stored.access_token;
+  }
+
+  /**
+   * Raw userinfo response for an access token.
+   */
+  async function getUserInfo(tokens) {
+    const { userinfo_endpoint: url } = await getOpenIdConfiguration();
+    const response = await fetch(url, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    if (response.ok) return await response.json();
+    const errorText = await response.text();
+    throw new Error(
+      `Error fetching ${name} user data: [${response.status}] ${response.statusText} - ${errorText}`,
+    );
+  }
+
+  /**
+   * Verify an id_token from the token endpoint: signature against the
+   * provider's JWKS, then iss, aud/azp, exp/iat and nonce.
+   * Returns the token's claims; throws if anything does not match.
+   */
+  async function verifyIdToken(idToken, { nonce }) {
+    if (!idToken) throw new Error("Missing id_token");
+    const parts = idToken.split(".");
+    if (parts.length !== 3) throw new Error("Malformed id_token");
+
+    let header, claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+      claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    } catch {
+      throw new Error("Malformed id_token");
+    }
+
+    const alg = SIGNING_ALGORITHMS[header.alg];
+    if (!alg) throw new Error(`Unsupported id_token algorithm: ${header.alg}`);
+
+    // Unknown kid: the provider may have rotated keys, refetch once.
+    let jwk = findKey(await getSigningKeys(), header);
+    if (!jwk) jwk = findKey(await getSigningKeys({ refresh: true }), header);
+    if (!jwk) {
+      throw new Error(
+        `No matching ${name} signing key (kid=${header.kid ?? "-"})`,
+      );
+    }
+
+    const valid = crypto.verify(
+      alg.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      {
+        key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+        padding: alg.padding,
+        dsaEncoding: alg.dsaEncoding,
+      },
+      Buffer.from(parts[2], "base64url"),
+    );
+    if (!valid) throw new Error("Invalid id_token signature");
+
+    const { issuer } = await getOpenIdConfiguration();
+    if (claims.iss !== issuer) {
+      throw new Error(`Unexpected id_token issuer: ${claims.iss}`);
+    }
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audience.includes(settings.clientId)) {
+      throw new Error("id_token audience does not include this client");
+    }
+    if (audience.length > 1 && claims.azp !== settings.clientId) {
+      throw new Error("id_token azp does not match this client");
+    }
+    const now = Math.floor(Date.now() / 1000);
+    if (
+      typeof claims.exp !== "number" ||
+      claims.exp + CLOCK_SKEW_SECONDS < now
+    ) {
+      throw new Error("id_token has expired");
+    }
+    if (
+      typeof claims.iat === "number" &&
+      claims.iat - CLOCK_SKEW_SECONDS > now
+    ) {
+      throw new Error("id_token issued in the future");
+    }
+    if (!nonce || claims.nonce !== nonce) {
+      throw new Error("id_token nonce mismatch");
+    }
+    if (!claims.sub) throw new Error("id_token has no sub");
+
+    return claims;
+  }
+
+  return {
+    getOpenIdConfiguration,
+    getAuthorizationUrl,
+    getTokens,
+    getAccessToken,
+    getUserInfo,
+    verifyIdToken,
+  };
+}
+
+async function fetchJson(url, what) {
+  const response = await fetch(url);
+  if (response.ok) return await response.json();
+  const errorText = await response.text();
+  const error = new Error(
+    `Error fetching ${what}: [${response.status}] ${response.statusText} - ${errorText}`,
+  );
+  error.status = response.status;
+  throw error;
+}
+
+function findKey(keys, header) {
+  return keys.find(
+    (k) =>
+      (!header.kid || k.kid === header.kid) &&
+      (!k.use || k.use === "sig") &&
+      (!k.alg || k.alg === header.alg),
+  );
+}
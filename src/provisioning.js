@@ -0,0 +1,213 @@
+import { getGuildConfig } from "./config.js";
+import * as discord from "./discord.js";
+import * as scoutnet from "./scoutnet.js";
+import * as storage from "./storage.js";
+import * as rules from "./rules.js";
+import * as roleRegistry from "./role-registry.js";
+
+/**
+ * Role provisioning: creating managed roles that are missing in Discord,
+ * and deleting division roles that nobody has any more.
+ *
+ * A role is created with the roleStyle of the rules that give it (see
+ * rules.getRoleStyle; with several events the first in config order that
+ * has a style wins): colour, hoist, mentionable, and placed just below or
+ * above a named role. Without a style it gets Discord's defaults at the
+ * bottom of the role list. New roles never get any permissions and are
+ * never placed at or above the bot's highest role, where the bot couldn't
+ * assign them. They are bound in the role registry with source "created".
+ *
+ * Roles are created when a sync needs them and the guild has
+ * ROLE_AUTO_CREATE (see roles.planUserRoles), or all at once with
+ * /roles-scoutid skapa. deleteEmptyDivisionRoles only deletes division roles
+ * the bot created itself, and only with fresh data for every event.
+ */
+
+// Roles being created: `${guildId}:${lowercased name}` → promise of the role
+const creating = new Map();
+
+/**
+ * The roleStyle for `name` from the guild's events, or null.
+ */
+function getRoleStyle(guildId, name) {
+  for (const event of getGuildConfig(guildId).SCOUTNET_EVENTS) {
+    const style = rules.getRoleStyle(event.SCOUTNET_RULES, name);
+    if (style) return style;
+  }
+  return null;
+}
+
+/**
+ * Create the role `name` in Discord, styled and placed by its roleStyle,
+ * and bind it in `registry` (see roles.loadRoleRegistry). Returns the new
+ * role. Throws if Discord refuses to create it; a failed move is only
+ * logged.
+ */
+export async function createRole(guildId, registry, name) {
+  const style = getRoleStyle(guildId, name);
+  const role = await discord.createGuildRole(guildId, {
+    name,
+    color: style?.color ?? 0,
+    hoist: style?.hoist ?? false,
+    mentionable: style?.mentionable ?? false,
+  });
+  console.log(`Created role "${name}" (${role.id}) in guild ${guildId}`);
+  await registry.addCreated(name, role);
+
+  try {
+    const position = await getTargetPosition(guildId, style);
+    if (position != null && position > role.position) {
+      await discord.setGuildRolePosition(guildId, role.id, position);
+      role.position = position;
+    }
+  } catch (e) {
+    console.error(
+      `Could not move new role "${name}" in guild ${guildId}: ${e.message}`,
+    );
+  }
+  return role;
+}
+
+/**
+ * The role `name` from `registry`, created (createRole) if it is missing.
+ * Concurrent calls for the same name share one creation, so members synced
+ * in parallel don't each create the role.
+ */
+export async function ensureRole(guildId, registry, name) {
+  const key = `${guildId}:${name.toLowerCase()}`;
+  if (!creating.has(key)) {
+    creating.set(
+      key,
+      (async () => {
+        try {
+          return (
+            (await registry.resolve(name)) ??
+            (await createRole(guildId, registry, name))
+          );
+        } finally {
+          creating.delete(key);
+        }
+      })(),
+    );
+  }
+  return await creating.get(key);
+}
+
+/**
+ * Where a role with `style` belongs, for a new role at the bottom: just
+ * below or above the style's `below` / `above` role, but under the bot's
+ * highest role. Null if the style doesn't place it or that role is missing.
+ */
+async function getTargetPosition(guildId, style) {
+  const anchorName = style?.below ?? style?.above;
+  if (!anchorName) return null;
+
+  const [guildRoles, botMember] = await Promise.all([
+    discord.getGuildRoles(guildId),
+    discord.getBotMember(guildId),
+  ]);
+  const anchor = guildRoles.find(
+    (r) => r.name.toLowerCase() === anchorName.toLowerCase(),
+  );
+  if (!anchor) {
+    console.warn(
+      `Role "${anchorName}" (roleStyle position) not found in guild ${guildId} — leaving the new role at the bottom`,
+    );
+    return null;
+  }
+  const botRoleIds = new Set(botMember.roles);
+  const botHighestPosition = guildRoles
+    .filter((r) => botRoleIds.has(r.id))
+    .reduce((max, r) => Math.max(max, r.position), 0);
+
+  // Moving up from the bottom shifts the roles in between down one step
+  const position = style.below ? anchor.position - 1 : anchor.position;
+  return Math.min(position, botHighestPosition - 1);
+}
+
+/**
+ * Create every role in `names` that `registry` can't resolve. Returns
+ * { created: [name], failed: [{ name, error }] }.
+ */
+export async function createMissingRoles(guildId, registry, names) {
+  const created = [];
+  const failed = [];
+  for (const name of names) {
+    if (await registry.resolve(name)) continue;
+    try {
+      await createRole(guildId, registry, name);
+      created.push(name);
+    } catch (e) {
+      console.error(
+        `Failed to create role "${name}" in guild ${guildId}: ${e.message}`,
+      );
+      failed.push({ name, error: e.message });
+    }
+  }
+  return { created, failed };
+}
+
+/**
+ * Delete the division roles the bot created (registry source "created")
+ * that no current participant of any of the guild's events gives. Nothing
+ * is deleted unless every event's participant list was just read from
+ * ScoutNet: a role must not go because ScoutNet is down.
+ *
+ * Returns { deleted: [name], failed: [{ name, error }] }, plus
+ * `unavailable` (event names) if nothing was deleted for lack of data.
+ */
+export async function deleteEmptyDivisionRoles(guildId) {
+  const gc = getGuildConfig(guildId);
+  const needed = new Set();
+  const unavailable = [];
+  for (const event of gc.SCOUTNET_EVENTS) {
+    try {
+      const participants = await scoutnet.getParticipants(event);
+      for (const names of rules
+        .getDivisionRoleNames(event.SCOUTNET_RULES, participants)
+        .values()) {
+        for (const name of names) needed.add(name.toLowerCase());
+      }
+    } catch (e) {
+      unavailable.push(event.name);
+    }
+  }
+  for (const status of await scoutnet.getDataStatus(gc)) {
+    if (status.source !== "kår" && status.failedAt) {
+      unavailable.push(status.source);
+    }
+  }
+  if (unavailable.length > 0) {
+    console.warn(
+      `Not deleting empty division roles in guild ${guildId}: ScoutNet data unavailable (${[...new Set(unavailable)].join(", ")})`,
+    );
+    return { deleted: [], failed: [], unavailable: [...new Set(unavailable)] };
+  }
+
+  const deleted = [];
+  const failed = [];
+  for (const binding of await roleRegistry.listBindings(guildId)) {
+    if (binding.source !== "created" || !binding.role) continue;
+    if (needed.has(binding.name.toLowerCase())) continue;
+    const isDivisionRole = gc.SCOUTNET_EVENTS.some((event) =>
+      rules.getDivisionRoleCategory(event.SCOUTNET_RULES, binding.name),
+    );
+    if (!isDivisionRole) continue;
+    try {
+      await discord.deleteGuildRole(guildId, binding.roleId);
+      await storage.deleteRoleBinding(guildId, binding.name);
+      deleted.push(binding.name);
+    } catch (e) {
+      console.error(
+        `Failed to delete role "${binding.name}" (${binding.roleId}) in guild ${guildId}: ${e.message}`,
+      );
+      failed.push({ name: binding.name, error: e.message });
+    }
+  }
+  if (deleted.length > 0) {
+    console.log(
+      `Deleted ${deleted.length} empty division roles in guild ${guildId}: ${deleted.join(", ")}`,
+    );
+  }
+  return { deleted, failed };
+}
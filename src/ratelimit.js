@@ -0,0 +1,149 @@
+/**
+ * Discord rate limiting.
+ *
+ * Discord limits requests per route bucket and, for the bot token, globally
+ * (50 requests per second). Every response tells which bucket its route is
+ * in and what is left of it (X-RateLimit-Bucket, -Limit, -Remaining,
+ * -Reset-After); a 429 says how long to wait (`retry_after`, Retry-After)
+ * and whether the global limit was hit.
+ *
+ * createRateLimiter() returns a drop-in for fetch that, per request:
+ *   - waits while its bucket is used up, until the bucket resets. Buckets
+ *     are per route and major parameter (guild, channel or webhook), as
+ *     Discord counts them; routes are mapped to Discord's bucket IDs as they
+ *     are learned, so routes that share a bucket share the wait
+ *   - keeps bot-token requests under the global limit, and holds every
+ *     request after a global 429
+ *   - on a 429 waits as long as Discord says and tries again, up to
+ *     MAX_RETRIES times, then returns the 429 to the caller
+ * Requests with a user's OAuth token (Bearer) are limited per user by
+ * Discord, so they only get the 429 handling.
+ */
+
+const GLOBAL_PER_SECOND = 50;
+const MAX_RETRIES = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Route ("PATCH /guilds/:id/members/:id") and major parameter
+ * ("/guilds/123") of a Discord API URL.
+ */
+function parseRoute(method, url) {
+  const path = new URL(url).pathname.replace(/^\/api\/v\d+/, "");
+  const major =
+    path.match(/^\/(?:guilds|channels)\/\d+|^\/webhooks\/\d+\/[^/]+/)?.[0] ??
+    "";
+  const route = path
+    .replace(/\/\d{5,}/g, "/:id")
+    .replace(/^\/webhooks\/:id\/[^/]+/, "/webhooks/:id/:token");
+  return { route: `${method} ${route}`, major };
+}
+
+export function createRateLimiter({
+  globalPerSecond = GLOBAL_PER_SECOND,
+  maxRetries = MAX_RETRIES,
+} = {}) {
+  const bucketIds = new Map(); // route → Discord's bucket ID
+  const buckets = new Map(); // bucket key → { limit, remaining, resetAt, windowMs }
+  const recent = []; // start times of bot-token requests in the last second
+  let globalResetAt = 0;
+
+  const bucketKey = (route, major) =>
+    `${bucketIds.get(route) ?? route}${major}`;
+
+  async function takeGlobal() {
+    while (true) {
+      const now = Date.now();
+      if (globalResetAt > now) {
+        await sleep(globalResetAt - now);
+        continue;
+      }
+      while (recent.length > 0 && recent[0] <= now - 1000) recent.shift();
+      if (recent.length < globalPerSecond) {
+        recent.push(now);
+        return;
+      }
+      await sleep(recent[0] + 1000 - now);
+    }
+  }
+
+  async function takeBucket(route, major) {
+    while (true) {
+      const bucket = buckets.get(bucketKey(route, major));
+      if (!bucket) return;
+      const now = Date.now();
+      if (bucket.resetAt <= now) {
+        // A new window: assume it is as long as the longest seen (windowMs)
+        bucket.remaining = bucket.limit;
+        bucket.resetAt = now + bucket.windowMs;
+      }
+      if (bucket.remaining > 0) {
+        bucket.remaining--;
+        return;
+      }
+      await sleep(bucket.resetAt - now);
+    }
+  }
+
+  function update(route, major, headers) {
+    const bucketId = headers.get("x-ratelimit-bucket");
+    if (bucketId) bucketIds.set(route, bucketId);
+    const remaining = headers.get("x-ratelimit-remaining");
+    const resetAfter = headers.get("x-ratelimit-reset-after");
+    if (remaining == null || resetAfter == null) return;
+    // Reset-After is what is left of the window, so it is only the full
+    // window length right after the window began: keep the longest seen
+    const key = bucketKey(route, major);
+    const resetAfterMs = Number(resetAfter) * 1000;
+    buckets.set(key, {
+      limit: Number(headers.get("x-ratelimit-limit") ?? remaining),
+      remaining: Number(remaining),
+      resetAt: Date.now() + resetAfterMs,
+      windowMs: Math.max(buckets.get(key)?.windowMs ?? 0, resetAfterMs),
+    });
+  }
+
+  async function limitedFetch(url, options = {}) {
+    const { route, major } = parseRoute(options.method ?? "GET", url);
+    const auth = options.headers?.Authorization ?? "";
+    const perUser = auth.startsWith("Bearer ");
+
+    for (let attempt = 0; ; attempt++) {
+      if (!perUser) await takeBucket(route, major);
+      if (auth.startsWith("Bot ")) await takeGlobal();
+      const response = await fetch(url, options);
+      if (!perUser) update(route, major, response.headers);
+      if (response.status !== 429 || attempt >= maxRetries) return response;
+
+      const body = await response
+        .clone()
+        .json()
+        .catch(() => ({}));
+      const retryAfter =
+        body.retry_after ?? response.headers.get("retry-after") ?? 1;
+      const waitMs = Math.ceil(Number(retryAfter) * 1000);
+      const global =
+        body.global === true ||
+        response.headers.get("x-ratelimit-global") === "true";
+      console.warn(
+        `Discord rate limit hit (${global ? "global" : route}), retrying in ${waitMs} ms`,
+      );
+      if (global) {
+        globalResetAt = Date.now() + waitMs;
+      } else if (!perUser) {
+        const bucket = buckets.get(bucketKey(route, major));
+        buckets.set(bucketKey(route, major), {
+          limit: bucket?.limit ?? 1,
+          windowMs: bucket?.windowMs ?? waitMs,
+          remaining: 0,
+          resetAt: Date.now() + waitMs,
+        });
+      }
+      // Neither the bucket nor the global wait above applies to this request
+      if (!auth.startsWith("Bot ") && (global || perUser)) await sleep(waitMs);
+    }
+  }
+
+  return { fetch: limitedFetch };
+}
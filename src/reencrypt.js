@@ -0,0 +1,23 @@
+import * as storage from "./storage.js";
+import { getActiveKeyId } from "./encryption.js";
+
+/**
+ * One-off maintenance script: re-encrypts all stored OAuth tokens with the
+ * active TOKEN_ENCRYPTION_KEYS key. Run it after enabling encryption (to
+ * encrypt existing plaintext rows) and after adding a new key in front of the
+ * list (key rotation). Old keys can be removed from the config afterwards.
+ *
+ * Run with: node src/reencrypt.js
+ */
+
+try {
+  console.log(`Re-encrypting tokens with key "${getActiveKeyId()}"...`);
+  const { scanned, reencrypted, skipped } = await storage.reencryptTokens();
+  console.log(
+    `Done: ${reencrypted} of ${scanned} token rows re-encrypted, ${skipped} skipped (changed while running).`,
+  );
+  process.exit(0);
+} catch (e) {
+  console.error("Re-encryption failed:", e.message);
+  process.exit(1);
+}
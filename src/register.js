@@ -1,10 +1,14 @@
-import config from "./config.js";
+import config, {
+  getGuildConfig,
+  getGuildIds,
+  getOwnerGuildId,
+} from "./config.js";
 import * as discord from "./discord.js";
 
 /**
  * One-time registration script:
  * 1. Registers linked role metadata schema with Discord
- * 2. Registers the /refresh-scoutid slash command
+ * 2. Registers the slash commands in every configured guild
  *
  * Run with: node src/register.js
  */
@@ -37,42 +41,47 @@ if (metadataResponse.ok) {
   console.error("Metadata registration failed:", await metadataResponse.text());
 }
 
-// --- Register slash command ---
+// --- Register slash commands (in every configured guild) ---
 
-if (config.DISCORD_GUILD_ID) {
-  console.log("Registering /refresh-scoutid command...");
-  try {
-    const result = await discord.registerGuildCommand(config.DISCORD_GUILD_ID);
-    console.log("Command registered:", result.name);
-  } catch (e) {
-    console.error("Command registration failed:", e.message);
-  }
+const COMMANDS = [
+  ["/refresh-scoutid", discord.registerGuildCommand],
+  ["/status-scoutid", discord.registerStatusCommand],
+  ["/audit-scoutid", discord.registerAuditCommand],
+  ["/unlink-scoutid", discord.registerUnlinkCommand],
+  ["/changes-scoutid", discord.registerChangesCommand],
+  ["/roles-scoutid", discord.registerRolesCommand],
+];
 
-  console.log("Registering /status-scoutid command...");
-  try {
-    const result = await discord.registerStatusCommand(config.DISCORD_GUILD_ID);
-    console.log("Command registered:", result.name);
-  } catch (e) {
-    console.error("Command registration failed:", e.message);
-  }
+// These act on the data of every guild, so only the owner guild gets them.
+// /unlink-scoutid person: (unlinking someone else) is also owner-guild only.
+const OWNER_COMMANDS = [
+  ["/link-scoutid", discord.registerLinkCommand],
+  ["/history-scoutid", discord.registerHistoryCommand],
+  ["/export-scoutid", discord.registerExportCommand],
+  ["/import-scoutid", discord.registerImportCommand],
+  ["/retention-scoutid", discord.registerRetentionCommand],
+];
 
-  console.log("Registering /audit-scoutid command...");
-  try {
-    const result = await discord.registerAuditCommand(config.DISCORD_GUILD_ID);
-    console.log("Command registered:", result.name);
-  } catch (e) {
-    console.error("Command registration failed:", e.message);
-  }
+const guildIds = getGuildIds();
+if (guildIds.length === 0) {
+  console.log(
+    "Skipping slash command registration: neither DISCORD_GUILD_ID nor GUILDS_CONFIG set",
+  );
+}
 
-  console.log("Registering /link-scoutid command...");
-  try {
-    const result = await discord.registerLinkCommand(config.DISCORD_GUILD_ID);
-    console.log("Command registered:", result.name);
-  } catch (e) {
-    console.error("Command registration failed:", e.message);
+for (const guildId of guildIds) {
+  const { name } = getGuildConfig(guildId);
+  const commands =
+    guildId === getOwnerGuildId() ? [...COMMANDS, ...OWNER_COMMANDS] : COMMANDS;
+  for (const [command, register] of commands) {
+    console.log(`Registering ${command} command in guild ${name}...`);
+    try {
+      const result = await register(guildId);
+      console.log("Command registered:", result.name);
+    } catch (e) {
+      console.error("Command registration failed:", e.message);
+    }
   }
-} else {
-  console.log("Skipping slash command registration: DISCORD_GUILD_ID not set");
 }
 
 process.exit(0);
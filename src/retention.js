@@ -0,0 +1,299 @@
+import config, { getGuildIds, getGuildConfig } from "./config.js";
+import * as storage from "./storage.js";
+import * as discord from "./discord.js";
+import * as scoutnet from "./scoutnet.js";
+import * as links from "./links.js";
+
+/**
+ * Data retention policy.
+ *
+ * A linked member's data (link, tokens, role-connection metadata) is deleted
+ * with links.deleteMemberData once one of these has held for long enough:
+ *
+ *   cancelled   cancelled in every configured event they are registered in,
+ *               RETENTION_CANCELLED_DAYS after the latest cancellation
+ *   left_guild  not a member of any configured guild,
+ *               RETENTION_LEFT_GUILD_DAYS after first seen missing
+ *   event_end   every event of every guild they are in has ended,
+ *               RETENTION_EVENT_END_DAYS after the latest end date
+ *
+ * A rule whose day count is unset is off. Dry runs report the same list
+ * without deleting anything (absence is still tracked, since it only ever
+ * records when a member was first seen missing).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REASON_LABELS = {
+  cancelled: "avbokad i ScoutNet",
+  left_guild: "har lämnat servern",
+  event_end: "evenemanget är slut",
+};
+
+let timer = null;
+let running = false;
+
+export function isEnabled() {
+  return (
+    config.RETENTION_CANCELLED_DAYS != null ||
+    config.RETENTION_LEFT_GUILD_DAYS != null ||
+    config.RETENTION_EVENT_END_DAYS != null
+  );
+}
+
+/**
+ * Work out which linked members are due for deletion. Returns
+ * [{ discordUserId, scoutId, reason, since, dueAt }], one entry per member
+ * (the rule that became due first).
+ *
+ * Throws if a guild's member list or participant list cannot be fetched —
+ * a partial view would make everyone look absent or unregistered.
+ */
+export async function planRetention(now = Date.now()) {
+  const linkedUsers = await storage.getAllLinkedUsers();
+  if (linkedUsers.length === 0) return [];
+
+  const guilds = [];
+  for (const guildId of getGuildIds()) {
+    const gc = getGuildConfig(guildId);
+    const members = await discord.getGuildMembers(guildId);
+    const participants = [];
+    if (config.RETENTION_CANCELLED_DAYS != null) {
+      for (const event of gc.SCOUTNET_EVENTS) {
+        participants.push(await scoutnet.getParticipants(event));
+      }
+    }
+    // The guild is over once all of its events are; an event runs through
+    // its last day. No events or an event without an end date: never.
+    const endDates = gc.SCOUTNET_EVENTS.map((e) =>
+      e.SCOUTNET_EVENT_END_DATE ? parseDate(e.SCOUTNET_EVENT_END_DATE) : null,
+    );
+    guilds.push({
+      guildId,
+      memberIds: new Set(members.map((m) => m.user.id)),
+      participants,
+      endedAt:
+        endDates.length > 0 && endDates.every((d) => d != null)
+          ? Math.max(...endDates) + DAY_MS
+          : null,
+    });
+  }
+
+  const absent = await storage.getAllAbsentSince();
+  const linkedIds = new Set(linkedUsers.map((u) => u.discordUserId));
+  for (const id of absent.keys()) {
+    if (!linkedIds.has(id)) await storage.clearAbsentSince(id); // unlinked since
+  }
+  const due = [];
+
+  for (const u of linkedUsers) {
+    const inGuilds = guilds.filter((g) => g.memberIds.has(u.discordUserId));
+    const candidates = [];
+
+    // --- Left every guild ---
+    if (guilds.length > 0) {
+      if (inGuilds.length > 0) {
+        if (absent.has(u.discordUserId)) {
+          await storage.clearAbsentSince(u.discordUserId);
+        }
+      } else {
+        let since = absent.get(u.discordUserId);
+        if (since == null) {
+          since = now;
+          await storage.setAbsentSince(u.discordUserId, since);
+        }
+        if (config.RETENTION_LEFT_GUILD_DAYS != null) {
+          candidates.push({
+            reason: "left_guild",
+            since,
+            days: config.RETENTION_LEFT_GUILD_DAYS,
+          });
+        }
+      }
+    }
+
+    // --- Cancelled in ScoutNet ---
+    if (config.RETENTION_CANCELLED_DAYS != null) {
+      let active = false;
+      let cancelledAt = null;
+      for (const p of guilds.flatMap((g) =>
+        g.participants.map((list) => list[u.scoutId]),
+      )) {
+        if (!p) continue;
+        if (p.cancelled_date == null) {
+          active = true;
+          break;
+        }
+        const at = parseDate(p.cancelled_date);
+        if (at != null && (cancelledAt == null || at > cancelledAt)) {
+          cancelledAt = at;
+        }
+      }
+      if (!active && cancelledAt != null) {
+        candidates.push({
+          reason: "cancelled",
+          since: cancelledAt,
+          days: config.RETENTION_CANCELLED_DAYS,
+        });
+      }
+    }
+
+    // --- Event ended ---
+    if (config.RETENTION_EVENT_END_DAYS != null && inGuilds.length > 0) {
+      if (inGuilds.every((g) => g.endedAt != null)) {
+        candidates.push({
+          reason: "event_end",
+          since: Math.max(...inGuilds.map((g) => g.endedAt)),
+          days: config.RETENTION_EVENT_END_DAYS,
+        });
+      }
+    }
+
+    let first = null;
+    for (const c of candidates) {
+      const dueAt = c.since + c.days * DAY_MS;
+      if (dueAt > now) continue;
+      if (!first || dueAt < first.dueAt) first = { ...c, dueAt };
+    }
+    if (first) {
+      due.push({
+        discordUserId: u.discordUserId,
+        scoutId: u.scoutId,
+        reason: first.reason,
+        since: first.since,
+        dueAt: first.dueAt,
+      });
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Plan and (unless dryRun) delete. Returns
+ * { finishedAt, dryRun, due, purged, errors }.
+ * Real runs are persisted as meta "last-retention".
+ */
+export async function runRetention({ dryRun = false, actorId = "retention" } = {}) {
+  const due = await planRetention();
+  let purged = 0;
+  const errors = [];
+
+  if (!dryRun) {
+    for (const d of due) {
+      try {
+        const result = await links.deleteMemberData(d.discordUserId, {
+          source: "retention",
+          actorId,
+        });
+        await storage.clearAbsentSince(d.discordUserId);
+        purged++;
+        for (const err of result.errors) {
+          errors.push(`${d.discordUserId}: ${err}`);
+        }
+      } catch (e) {
+        errors.push(`${d.discordUserId}: ${e.message}`);
+      }
+    }
+  }
+
+  const result = {
+    finishedAt: new Date().toISOString(),
+    dryRun,
+    due,
+    purged,
+    errors,
+  };
+  console.log(
+    `Retention ${dryRun ? "dry run" : "run"} done: ${due.length} due, ${purged} purged${errors.length ? `, ${errors.length} errors` : ""}`,
+  );
+  if (!dryRun) {
+    await storage.storeMeta("last-retention", {
+      finishedAt: result.finishedAt,
+      due: due.length,
+      purged,
+      errors: errors.length,
+    });
+  }
+  return result;
+}
+
+/**
+ * Start the periodic retention job. Does nothing if no rule is configured,
+ * the interval is 0, or the job is already running.
+ */
+export function startRetentionJob(intervalHours = config.RETENTION_INTERVAL_HOURS) {
+  if (timer || !intervalHours || !isEnabled()) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runRetention({ dryRun: config.RETENTION_DRY_RUN });
+      if (result.dryRun) {
+        for (const d of result.due) {
+          console.log(
+            `Retention would purge ${d.discordUserId} (scoutid=${d.scoutId}, ${d.reason})`,
+          );
+        }
+      }
+    } catch (e) {
+      console.error("Retention run failed:", e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  setTimeout(tick, 5 * 60 * 1000).unref();
+}
+
+export async function getLastRetention() {
+  return await storage.getMeta("last-retention");
+}
+
+/**
+ * One-line Swedish summary for /status-scoutid.
+ */
+export function formatRetention(result) {
+  if (!isEnabled()) return "🗑️ Gallring: avstängd";
+  if (!result) return "🗑️ Gallring: har inte körts än";
+  const when = result.finishedAt.slice(0, 16).replace("T", " ");
+  return `🗑️ Senaste gallring ${when} UTC: ${result.purged} av ${result.due} medlemmar raderade${result.errors ? ` (${result.errors} fel)` : ""}`;
+}
+
+/**
+ * Swedish report of a run for /retention-scoutid.
+ */
+export function formatRetentionReport(result) {
+  const rules = [
+    ["avbokade", config.RETENTION_CANCELLED_DAYS],
+    ["lämnat servern", config.RETENTION_LEFT_GUILD_DAYS],
+    ["evenemang slut", config.RETENTION_EVENT_END_DAYS],
+  ]
+    .map(([label, days]) => `${label}: ${days != null ? `${days} dagar` : "av"}`)
+    .join(", ");
+
+  const lines = [
+    result.dryRun
+      ? `🗑️ **Gallring (provkörning)** — ${result.due.length} medlemmar skulle raderas`
+      : `🗑️ **Gallring** — ${result.purged} av ${result.due.length} medlemmar raderade`,
+    `Regler: ${rules}`,
+  ];
+  for (const d of result.due) {
+    const since = new Date(d.since).toISOString().slice(0, 10);
+    lines.push(
+      `- <@${d.discordUserId}> scoutid=\`${d.scoutId}\` — ${REASON_LABELS[d.reason]} sedan ${since}`,
+    );
+  }
+  if (result.errors.length > 0) {
+    lines.push("", "**Fel:**", ...result.errors.map((e) => `- ${e}`));
+  }
+  return lines.join("\n");
+}
+
+function parseDate(str) {
+  const ms = Date.parse(str);
+  return Number.isNaN(ms) ? null : ms;
+}
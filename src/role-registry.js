@@ -0,0 +1,190 @@
+import * as discord from "./discord.js";
+import * as storage from "./storage.js";
+
+/**
+ * Role registry: the Discord roles the bot manages, bound by role ID.
+ *
+ * Config and role rules name roles ("scout", "Deltagare-05"). The registry
+ * binds each such name to a Discord role ID per guild, so a role renamed in
+ * Discord (e.g. to "Deltagare-05 Vargarna") keeps working, and a sync only
+ * ever removes roles that are in the registry — an unrelated role that
+ * happens to start with "deltagare-" is left alone.
+ *
+ * Names are only used to fill the registry:
+ *   bootstrap  the first time a guild's registry is loaded, every guild role
+ *              whose name is a managed name or starts with a division or
+ *              answer role prefix (see roles.loadRoleRegistry) is bound
+ *   name       later, a name with no binding is bound to the guild role with
+ *              that name (ignoring case) the first time it is resolved,
+ *              unless that role is already bound to another name
+ *   admin      /roles-scoutid binds a name to a chosen role
+ *   created    the bot created the role (see provisioning.js)
+ * A binding whose role was deleted in Discord is dropped and the name is
+ * bound again by name. A binding whose name the config no longer gives is
+ * dropped when the registry is loaded, so its role is no longer managed.
+ *
+ * Bindings are stored one row per name (see storage.getRoleBindings):
+ * { name, roleId, source, boundAt }. Names are matched ignoring case.
+ */
+
+const SOURCE_LABELS = {
+  bootstrap: "från start",
+  name: "via namn",
+  admin: "av admin",
+  created: "skapad av boten",
+};
+
+/**
+ * Load a guild's registry, bootstrapping it on first use from `names` and
+ * `prefixes` (lowercased). Bindings of names that `isManaged` rejects are
+ * deleted. `guildRoles` is fetched unless given. Returns
+ *   resolve(name)   the bound Discord role (binding it by name if needed),
+ *                   or null
+ *   managedRoles()  [{ name, role }] for every binding whose role exists,
+ *                   sorted by name
+ *   nameOf(roleId)  the name a role is bound to, or null
+ *   addCreated(name, role)  bind a role the bot just created
+ */
+export async function load(
+  guildId,
+  { names, prefixes, isManaged, guildRoles },
+) {
+  guildRoles ??= await discord.getGuildRoles(guildId);
+  const rolesById = new Map(guildRoles.map((r) => [r.id, r]));
+  const rolesByName = new Map();
+  for (const role of guildRoles) {
+    rolesByName.set(role.name.toLowerCase(), role);
+  }
+
+  const bindings = new Map(); // lowercased name → binding
+  for (const binding of await storage.getRoleBindings(guildId)) {
+    if (!isManaged(binding.name)) {
+      console.log(
+        `"${binding.name}" is no longer in the config of guild ${guildId} — dropping its binding to role ${binding.roleId}`,
+      );
+      await storage.deleteRoleBinding(guildId, binding.name);
+      continue;
+    }
+    bindings.set(binding.name.toLowerCase(), binding);
+  }
+  const boundName = (roleId) => {
+    for (const binding of bindings.values()) {
+      if (binding.roleId === roleId) return binding.name;
+    }
+    return null;
+  };
+  const bind = async (name, role, source) => {
+    const binding = { name, roleId: role.id, source, boundAt: Date.now() };
+    await storage.setRoleBinding(guildId, binding);
+    bindings.set(name.toLowerCase(), binding);
+    return binding;
+  };
+
+  if (!(await storage.getMeta(`role-registry-${guildId}`))) {
+    const managed = new Set(names.map((n) => n.toLowerCase()));
+    let bound = 0;
+    for (const role of guildRoles) {
+      const lower = role.name.toLowerCase();
+      if (bindings.has(lower) || boundName(role.id)) continue;
+      if (managed.has(lower) || prefixes.some((p) => lower.startsWith(p))) {
+        await bind(role.name, role, "bootstrap");
+        bound++;
+      }
+    }
+    await storage.storeMeta(`role-registry-${guildId}`, {
+      bootstrappedAt: Date.now(),
+    });
+    console.log(
+      `Role registry of guild ${guildId} bootstrapped: ${bound} roles`,
+    );
+  }
+
+  async function resolve(name) {
+    const key = name.toLowerCase();
+    const binding = bindings.get(key);
+    if (binding) {
+      const role = rolesById.get(binding.roleId);
+      if (role) return role;
+      console.log(
+        `Role ${binding.roleId} bound to "${binding.name}" in guild ${guildId} no longer exists — binding by name again`,
+      );
+      bindings.delete(key);
+      await storage.deleteRoleBinding(guildId, binding.name);
+    }
+    const role = rolesByName.get(key);
+    if (!role || boundName(role.id)) return null;
+    await bind(name, role, "name");
+    return role;
+  }
+
+  return {
+    resolve,
+    managedRoles() {
+      return [...bindings.values()]
+        .filter((b) => rolesById.has(b.roleId))
+        .sort((a, b) => a.name.localeCompare(b.name, "sv"))
+        .map((b) => ({ name: b.name, role: rolesById.get(b.roleId) }));
+    },
+    nameOf: boundName,
+    async addCreated(name, role) {
+      rolesById.set(role.id, role);
+      rolesByName.set(role.name.toLowerCase(), role);
+      await bind(name, role, "created");
+    },
+  };
+}
+
+/**
+ * Every binding of the guild with the Discord role it points to (null if
+ * the role was deleted), sorted by name: [{ name, roleId, source, boundAt,
+ * role }].
+ */
+export async function listBindings(guildId, guildRoles) {
+  guildRoles ??= await discord.getGuildRoles(guildId);
+  const rolesById = new Map(guildRoles.map((r) => [r.id, r]));
+  return (await storage.getRoleBindings(guildId))
+    .map((b) => ({ ...b, role: rolesById.get(b.roleId) ?? null }))
+    .sort((a, b) => a.name.localeCompare(b.name, "sv"));
+}
+
+/**
+ * Bind `name` to the Discord role `roleId` (source "admin"), replacing any
+ * binding of the name. Throws if the role is bound to another name.
+ */
+export async function bindRole(guildId, name, roleId) {
+  const other = (await storage.getRoleBindings(guildId)).find(
+    (b) => b.roleId === roleId && b.name.toLowerCase() !== name.toLowerCase(),
+  );
+  if (other) {
+    throw new Error(`Rollen är redan kopplad till "${other.name}"`);
+  }
+  const binding = { name, roleId, source: "admin", boundAt: Date.now() };
+  await storage.setRoleBinding(guildId, binding);
+  return binding;
+}
+
+/**
+ * Remove the binding of `name`. Returns the removed binding, or null. A
+ * name that is still configured is bound by name again when next needed.
+ */
+export async function unbindRole(guildId, name) {
+  const binding = (await storage.getRoleBindings(guildId)).find(
+    (b) => b.name.toLowerCase() === name.toLowerCase(),
+  );
+  if (!binding) return null;
+  await storage.deleteRoleBinding(guildId, binding.name);
+  return binding;
+}
+
+/**
+ * One Swedish line per binding (see listBindings) for /roles-scoutid.
+ */
+export function formatBinding(binding) {
+  const target = binding.role
+    ? binding.role.name === binding.name
+      ? `\`${binding.role.name}\``
+      : `\`${binding.role.name}\` (omdöpt)`
+    : "(rollen finns inte längre)";
+  const boundAt = new Date(binding.boundAt).toISOString().slice(0, 10);
+  return `- \`${binding.name}\` → ${target} · id ${binding.roleId} · ${SOURCE_LABELS[binding.source] ?? binding.source} ${boundAt}`;
+}
@@ -1,190 +1,390 @@
-import config from "./config.js";
+import crypto from "crypto";
+import config, { getGuildConfig } from "./config.js";
 import * as scoutnet from "./scoutnet.js";
+import * as identity from "./identity.js";
 import * as discord from "./discord.js";
 import * as storage from "./storage.js";
+import * as rules from "./rules.js";
+import * as roleRegistry from "./role-registry.js";
+import * as provisioning from "./provisioning.js";
 
 const UNVERIFIED_ROLE = "Overifierad";
+// How old a member's ScoutID claims may be before a bulk sync re-reads them
+const CLAIMS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Role management: determines and syncs Discord roles based on ScoutNet data.
  *
  * Role assignment:
  *   1. Scout role   - always (linked ScoutID)
- *   2. Event role   - if registered in the event
- *   3. Fee role     - based on fee_id → category, with optional division pattern
+ *   2. Event role   - for each event the member is registered in
+ *   3. Fee role     - per event, based on fee_id → category, with optional
+ *                     division pattern (the event's rules, see rules.js)
+ *   4. Claim roles  - from ScoutID organisation claims (SCOUTID_CLAIM_ROLES),
+ *                     independent of any ScoutNet event
+ *   5. Group roles  - from the ScoutNet group (kår) member list, matching
+ *                     unit and role fields (SCOUTNET_GROUP_ROLES)
+ *   6. Answer roles - per event, from rules on question answers
+ *                     (questionRoles in the rules), e.g. language or sub-camp
  *
  * Division roles use per-category question IDs:
  *   deltagare uses q88168, ledare uses q107592, etc.
- *   Categories without a division config use the category name as the role.
+ *   Categories without a division use their role (or name) as the role.
  *
  * Nickname suffix:
  *   Appended to the user's real name, e.g. "Petter Sandholdt (CMT)".
- *   Configured via SCOUTNET_NICKNAME_SUFFIXES.
+ *   Configured per category in the event's rules. With several events the
+ *   first event (in config order) that gives the member a suffix wins.
+ *
+ * All of the above is per guild (see getGuildConfig), so every function takes
+ * the guild ID first. A guild may run several ScoutNet events at once; each
+ * has its own role sets and the member gets the union.
+ *
+ * Role names are looked up in the guild's role registry (role-registry.js),
+ * which binds them to Discord role IDs; only registered roles are removed.
+ * With ROLE_AUTO_CREATE, roles that don't exist yet are created when a
+ * member is given them (provisioning.js).
+ *
+ * Bulk syncs work on SYNC_CONCURRENCY members at a time; discord.js keeps
+ * the requests within Discord's rate limits. getSyncProgress() tells how
+ * far the running bulk sync has come.
  */
 
 /**
- * Get participant's fee category and division from ScoutNet.
- * Returns { category, division } or null if not in event.
+ * Get participant's fee category (a rules category, or null) and division
+ * in one event. Returns { participant, category, division } or null if not
+ * in the event.
  */
-async function getParticipantInfo(scoutnetMemberId) {
-  if (!config.SCOUTNET_EVENT_ID) return null;
-
-  const participant = await scoutnet.getParticipant(scoutnetMemberId);
+async function getParticipantInfo(event, scoutnetMemberId) {
+  const participant = await scoutnet.getParticipant(event, scoutnetMemberId);
   if (!participant || participant.cancelled_date != null) return null;
 
-  const category =
-    config.SCOUTNET_FEE_ROLES && participant.fee_id
-      ? config.SCOUTNET_FEE_ROLES[String(participant.fee_id)]
-      : null;
-
-  const divConfig = category
-    ? config.SCOUTNET_DIVISION_ROLES?.[category]
-    : null;
-  const division = divConfig
-    ? participant.questions?.[divConfig.questionId] || null
-    : null;
+  const category = rules.getCategory(event.SCOUTNET_RULES, participant);
+  const division = rules.getDivision(category, participant);
+  return { participant, category, division };
+}
 
-  return { category, division };
+/**
+ * getParticipantInfo for every event in the guild the member is registered
+ * in, in config order. Returns { infos: [{ event, participant, category,
+ * division }], unavailable: [event name] }; an event whose participant list
+ * can't be read is logged and listed in `unavailable`.
+ */
+async function getEventInfos(guildId, scoutnetMemberId) {
+  const infos = [];
+  const unavailable = [];
+  for (const event of getGuildConfig(guildId).SCOUTNET_EVENTS) {
+    try {
+      const info = await getParticipantInfo(event, scoutnetMemberId);
+      if (info) infos.push({ event, ...info });
+    } catch (e) {
+      console.error(
+        `Error fetching ScoutNet data for member ${scoutnetMemberId} in event ${event.SCOUTNET_EVENT_ID}:`,
+        e.message
+      );
+      unavailable.push(event.name);
+    }
+  }
+  return { infos, unavailable };
 }
 
 /**
- * Determine which roles a user should have.
+ * Discord roles whose SCOUTID_CLAIM_ROLES rule matches one of the
+ * memberships (see scoutid.parseRoleClaims). A rule's role matches either
+ * the role name or its ID; "*" matches anything.
  */
-export async function getDesiredRoles(scoutnetMemberId) {
-  const roles = [config.SCOUTNET_SCOUT_ROLE];
+export function matchClaimRoles(rules, memberships) {
+  const roles = new Set();
+  for (const rule of rules ?? []) {
+    const matched = memberships.some(
+      (m) =>
+        m.level.toLowerCase() === rule.level.toLowerCase() &&
+        (rule.unitId === "*" || rule.unitId === m.unitId) &&
+        (rule.role === "*" ||
+          rule.role.toLowerCase() === m.role.toLowerCase() ||
+          rule.role === m.roleId),
+    );
+    if (matched) roles.add(rule.discordRole);
+  }
+  return [...roles];
+}
 
+async function getClaimRoles(guildId, scoutId) {
+  const rules = getGuildConfig(guildId).SCOUTID_CLAIM_ROLES;
+  if (!rules) return [];
   try {
-    const info = await getParticipantInfo(scoutnetMemberId);
-    if (!info) return roles;
-
-    roles.push(config.SCOUTNET_EVENT_ROLE);
-
-    if (info.category) {
-      const divConfig = config.SCOUTNET_DIVISION_ROLES?.[info.category];
-      if (divConfig) {
-        if (info.division) {
-          const padded = String(info.division).padStart(2, "0");
-          roles.push(divConfig.withDiv.replace("{div}", padded));
-        } else {
-          roles.push(divConfig.withoutDiv);
-        }
-      } else {
-        roles.push(info.category);
-      }
-    }
+    return matchClaimRoles(rules, await identity.getMemberships(scoutId));
   } catch (e) {
     console.error(
-      `Error fetching ScoutNet data for member ${scoutnetMemberId}:`,
+      `Error reading ScoutID memberships for ${scoutId}:`,
       e.message
     );
+    return [];
   }
-
-  return roles;
 }
 
 /**
- * Get the nickname suffix for a user based on their ScoutNet data.
- * E.g. " (CMT)", " (AL12)", " (IST-05)", " (03)".
- * Returns empty string if no suffix applies.
+ * Discord roles whose SCOUTNET_GROUP_ROLES rule matches a ScoutNet group
+ * member (see scoutnet.getGroupMembers). Unit and role match by ID or name,
+ * case-insensitively; "*" matches anything.
  */
-export async function getNicknameSuffix(scoutnetMemberId) {
-  if (!config.SCOUTNET_NICKNAME_SUFFIXES) return "";
+export function matchGroupRoles(rules, member) {
+  if (!member) return [];
+  const roles = new Set();
+  const eq = (value, pattern) =>
+    value != null && String(value).toLowerCase() === pattern.toLowerCase();
+  for (const rule of rules ?? []) {
+    const unitMatched =
+      rule.unit === "*" ||
+      eq(member.unit_id, rule.unit) ||
+      eq(member.unit, rule.unit);
+    const roleMatched =
+      rule.role === "*" ||
+      member.roles.some((r) => eq(r, rule.role)) ||
+      member.role_ids.includes(rule.role);
+    if (unitMatched && roleMatched) roles.add(rule.discordRole);
+  }
+  return [...roles];
+}
 
+/**
+ * Group roles for a member, or null if the kår's member list can't be read.
+ */
+async function getGroupRoles(guildId, scoutId) {
+  const gc = getGuildConfig(guildId);
+  if (!gc.SCOUTNET_GROUP_ID || !gc.SCOUTNET_GROUP_ROLES) return [];
   try {
-    const info = await getParticipantInfo(scoutnetMemberId);
-    if (!info?.category) return "";
+    const member = await scoutnet.getGroupMember(gc, scoutId);
+    return matchGroupRoles(gc.SCOUTNET_GROUP_ROLES, member);
+  } catch (e) {
+    console.error(
+      `Error fetching ScoutNet group data for member ${scoutId}:`,
+      e.message
+    );
+    return null;
+  }
+}
 
-    const suffixConfig = config.SCOUTNET_NICKNAME_SUFFIXES[info.category];
-    if (!suffixConfig) return "";
+/**
+ * Determine which roles a user should have. Roles from ScoutNet sources
+ * that can't be read are left out; use resolveDesiredRoles where that
+ * matters.
+ */
+export async function getDesiredRoles(guildId, scoutnetMemberId) {
+  return (await resolveDesiredRoles(guildId, scoutnetMemberId)).roles;
+}
 
-    if (info.division && suffixConfig.withDiv) {
-      const padded = String(info.division).padStart(2, "0");
-      return ` (${suffixConfig.withDiv.replace("{div}", padded)})`;
-    }
+/**
+ * Like getDesiredRoles, but also says which ScoutNet sources (event names,
+ * "kår") couldn't be read: { roles, unavailable }. With anything
+ * unavailable, `roles` is incomplete and must not be used to remove roles.
+ */
+export async function resolveDesiredRoles(guildId, scoutnetMemberId) {
+  const gc = getGuildConfig(guildId);
+  const roles = [gc.SCOUTNET_SCOUT_ROLE];
+  roles.push(...(await getClaimRoles(guildId, scoutnetMemberId)));
+
+  const groupRoles = await getGroupRoles(guildId, scoutnetMemberId);
+  const { infos, unavailable } = await getEventInfos(
+    guildId,
+    scoutnetMemberId,
+  );
+  if (groupRoles) {
+    roles.push(...groupRoles);
+  } else {
+    unavailable.push("kår");
+  }
+
+  for (const info of infos) {
+    roles.push(info.event.SCOUTNET_EVENT_ROLE);
 
-    if (suffixConfig.withoutDiv) {
-      return ` (${suffixConfig.withoutDiv})`;
+    if (info.category) {
+      roles.push(rules.getCategoryRole(info.category, info.division));
     }
 
-    return "";
-  } catch (e) {
-    console.error(
-      `Error getting nickname suffix for member ${scoutnetMemberId}:`,
-      e.message
+    roles.push(
+      ...rules.matchQuestionRoles(
+        info.event.SCOUTNET_RULES.questionRoles,
+        info.participant,
+        info.category?.name,
+      ),
     );
+  }
+
+  // Events may share role names
+  return { roles: [...new Set(roles)], unavailable };
+}
+
+/**
+ * Get the nickname suffix for a user based on their ScoutNet data.
+ * E.g. " (CMT)", " (AL12)", " (IST-05)", " (03)".
+ * Returns empty string if no suffix applies. With several events, the first
+ * event in config order that yields a suffix wins.
+ */
+export async function getNicknameSuffix(guildId, scoutnetMemberId) {
+  const gc = getGuildConfig(guildId);
+  if (!gc.SCOUTNET_EVENTS.some((e) => rules.hasNicknames(e.SCOUTNET_RULES))) {
     return "";
   }
+
+  const { infos } = await getEventInfos(guildId, scoutnetMemberId);
+  for (const info of infos) {
+    if (!info.category) continue;
+    const suffix = rules.getNicknameSuffix(info.category, info.division);
+    if (suffix) return suffix;
+  }
+
+  return "";
 }
 
 /**
- * All statically known managed role names (for removal logic).
+ * All statically known managed role names (to bootstrap the role registry).
  * Division roles are handled separately via prefix matching.
  * UNVERIFIED_ROLE is always included so that it's added when needed and
  * removed when the user is verified.
  */
-function getManagedRoleNames() {
+function getManagedRoleNames(guildId) {
+  const gc = getGuildConfig(guildId);
   const roles = new Set();
   roles.add(UNVERIFIED_ROLE);
-  roles.add(config.SCOUTNET_SCOUT_ROLE);
-  if (config.SCOUTNET_EVENT_ID) {
-    roles.add(config.SCOUTNET_EVENT_ROLE);
-    if (config.SCOUTNET_FEE_ROLES) {
-      for (const category of new Set(
-        Object.values(config.SCOUTNET_FEE_ROLES)
-      )) {
-        const divConfig = config.SCOUTNET_DIVISION_ROLES?.[category];
-        if (divConfig) {
-          roles.add(divConfig.withoutDiv);
-        } else {
-          roles.add(category);
-        }
-      }
+  roles.add(gc.SCOUTNET_SCOUT_ROLE);
+  for (const rule of gc.SCOUTID_CLAIM_ROLES ?? []) roles.add(rule.discordRole);
+  for (const rule of gc.SCOUTNET_GROUP_ROLES ?? []) roles.add(rule.discordRole);
+  for (const event of gc.SCOUTNET_EVENTS) {
+    roles.add(event.SCOUTNET_EVENT_ROLE);
+    for (const name of rules.getStaticRoleNames(event.SCOUTNET_RULES)) {
+      roles.add(name);
     }
   }
   return [...roles];
 }
 
 /**
- * Get prefixes for dynamic division roles, for pattern-based removal.
- * E.g. "Deltagare-{div}" → prefix "deltagare-"
+ * Whether the guild's config gives the role `name` (ignoring case): one of
+ * getManagedRoleNames, or a division or answer role of one of its events.
  */
-function getDivisionPrefixes() {
-  if (!config.SCOUTNET_DIVISION_ROLES) return [];
-  const prefixes = [];
-  for (const { withDiv } of Object.values(config.SCOUTNET_DIVISION_ROLES)) {
-    const idx = withDiv.indexOf("{div}");
-    if (idx >= 0) prefixes.push(withDiv.substring(0, idx).toLowerCase());
+export function isManagedRoleName(guildId, name) {
+  const lower = name.toLowerCase();
+  return (
+    getManagedRoleNames(guildId).some((n) => n.toLowerCase() === lower) ||
+    getGuildConfig(guildId).SCOUTNET_EVENTS.some((event) =>
+      rules.givesRole(event.SCOUTNET_RULES, name),
+    )
+  );
+}
+
+/**
+ * Get prefixes for dynamic division and answer roles, to bootstrap the role
+ * registry. E.g. "Deltagare-{div}" → prefix "deltagare-"
+ */
+function getDivisionPrefixes(guildId) {
+  const prefixes = new Set();
+  for (const event of getGuildConfig(guildId).SCOUTNET_EVENTS) {
+    for (const prefix of rules.getRolePrefixes(event.SCOUTNET_RULES)) {
+      prefixes.add(prefix);
+    }
   }
-  return prefixes;
+  return [...prefixes];
 }
 
 /**
- * Sync one user's Discord roles to match their ScoutNet data.
- * Returns { added: string[], removed: string[] } or { error: string }.
+ * The guild's role registry (see role-registry.js), bootstrapped from the
+ * managed role names and prefixes above. `guildRoles` is fetched unless
+ * given.
  */
-export async function syncUserRoles(guildId, discordUserId) {
-  const scoutId = await storage.getLinkedScoutIDUserId(discordUserId);
-  if (!scoutId) return { error: "Inte länkad till ScoutID" };
+export async function loadRoleRegistry(guildId, guildRoles) {
+  return await roleRegistry.load(guildId, {
+    names: getManagedRoleNames(guildId),
+    prefixes: getDivisionPrefixes(guildId),
+    isManaged: (name) => isManagedRoleName(guildId, name),
+    guildRoles,
+  });
+}
 
-  // Fetch guild + member state once and reuse below
-  const guildRoles = await discord.getGuildRoles(guildId);
-  const roleMap = new Map();
-  for (const role of guildRoles) {
-    roleMap.set(role.name.toLowerCase(), role);
+/**
+ * Create the managed roles that are missing in Discord (see
+ * provisioning.createMissingRoles): the statically known names, and the
+ * division roles the events' current participants give. Returns
+ * { created, failed, unavailable } where `unavailable` lists the events
+ * whose division roles were skipped for lack of ScoutNet data.
+ */
+export async function createMissingRoles(guildId) {
+  const names = getManagedRoleNames(guildId);
+  const unavailable = [];
+  for (const event of getGuildConfig(guildId).SCOUTNET_EVENTS) {
+    try {
+      const participants = await scoutnet.getParticipants(event);
+      for (const divisionNames of rules
+        .getDivisionRoleNames(event.SCOUTNET_RULES, participants)
+        .values()) {
+        names.push(...[...divisionNames].sort());
+      }
+    } catch (e) {
+      unavailable.push(event.name);
+    }
   }
-  const member = await discord.getGuildMember(guildId, discordUserId);
+  const registry = await loadRoleRegistry(guildId);
+  const result = await provisioning.createMissingRoles(
+    guildId,
+    registry,
+    [...new Set(names)],
+  );
+  return { ...result, unavailable };
+}
+
+/**
+ * Work out what syncUserRoles would change for one user, without changing
+ * anything. Returns a plan step:
+ *   { discordUserId, scoutId, add: [{ id, name, create? }],
+ *     remove: [{ id, name }], nickname: { from, to } | null, unavailable? }
+ * or { discordUserId, error }. `registry` (see loadRoleRegistry) and
+ * `member` are fetched unless the caller already has them. ScoutID claims
+ * (SCOUTID_CLAIM_ROLES) are re-read if older than `claimsMaxAgeMs`; by
+ * default always, bulk syncs pass CLAIMS_MAX_AGE_MS. Only roles in the
+ * registry are ever removed. With ROLE_AUTO_CREATE a desired role that
+ * doesn't exist is added as { id: null, name, create: true }, and created
+ * when the step is applied.
+ *
+ * If some of the member's ScoutNet data can't be read (see
+ * resolveDesiredRoles), roles are only added: nothing is removed and the
+ * nickname is left alone, and the step has `unavailable` (source names).
+ */
+export async function planUserRoles(
+  guildId,
+  discordUserId,
+  { registry, member, claimsMaxAgeMs = 0 } = {},
+) {
+  const scoutId = await storage.getLinkedScoutIDUserId(discordUserId);
+  if (!scoutId) return { discordUserId, error: "Inte länkad till ScoutID" };
+
+  registry ??= await loadRoleRegistry(guildId);
+  member ??= await discord.getGuildMember(guildId, discordUserId);
   const currentRoleIds = new Set(member.roles);
 
   // Verification gate: Scout role missing → treat as unverified, strip access
-  const scoutRole = roleMap.get(config.SCOUTNET_SCOUT_ROLE.toLowerCase());
+  const gc = getGuildConfig(guildId);
+  const scoutRole = await registry.resolve(gc.SCOUTNET_SCOUT_ROLE);
   const isVerified = scoutRole && currentRoleIds.has(scoutRole.id);
 
   // Compute desired roles + suffix based on verification state
   let desiredRoles;
   let nicknameSuffix;
+  let unavailable = [];
   if (isVerified) {
-    desiredRoles = await getDesiredRoles(scoutId);
-    nicknameSuffix = await getNicknameSuffix(scoutId);
+    // Claim roles: re-read memberships from ScoutID so changes show up
+    if (gc.SCOUTID_CLAIM_ROLES) {
+      await identity.getMemberships(scoutId, { maxAgeMs: claimsMaxAgeMs });
+    }
+    ({ roles: desiredRoles, unavailable } = await resolveDesiredRoles(
+      guildId,
+      scoutId,
+    ));
+    nicknameSuffix = await getNicknameSuffix(guildId, scoutId);
+    if (unavailable.length > 0) {
+      console.warn(
+        `ScoutNet data unavailable for ${scoutId} (${unavailable.join(", ")}) — only adding roles for ${discordUserId}`,
+      );
+    }
   } else {
     console.log(
       `User ${discordUserId} is linked (scoutid=${scoutId}) but lacks Scout role — stripping access`,
@@ -192,233 +392,629 @@ export async function syncUserRoles(guildId, discordUserId) {
     desiredRoles = [UNVERIFIED_ROLE];
     nicknameSuffix = "";
   }
-  const managedRoles = getManagedRoleNames();
-  const divPrefixes = getDivisionPrefixes();
-  const desiredSet = new Set(desiredRoles.map((r) => r.toLowerCase()));
+  const step = { discordUserId, scoutId, add: [], remove: [], nickname: null };
+  if (unavailable.length > 0) step.unavailable = unavailable;
 
-  // Update nickname from ScoutNet name + suffix
-  try {
-    const currentNick = member.nick || member.user?.global_name || "";
-    const participant = isVerified ? await scoutnet.getParticipant(scoutId) : null;
-    const scoutNetName = participant
-      ? [participant.first_name, participant.last_name]
-          .filter(Boolean)
-          .join(" ")
-          .trim()
-      : "";
-    const baseName =
-      scoutNetName || currentNick.replace(/\s*\(.*\)\s*$/, "");
-
-    if (baseName) {
-      const newNick = (baseName + nicknameSuffix).substring(0, 32);
-      if (newNick !== currentNick) {
-        await discord.updateGuildMemberNickname(guildId, discordUserId, newNick);
+  // Nickname from ScoutNet name + suffix
+  if (unavailable.length === 0) {
+    try {
+      const currentNick = member.nick || member.user?.global_name || "";
+      // Name as registered in the first event (in config order) they are in,
+      // else as in the kår's member list
+      let participant = null;
+      if (isVerified) {
+        for (const event of gc.SCOUTNET_EVENTS) {
+          participant = await scoutnet.getParticipant(event, scoutId);
+          if (participant) break;
+        }
+        if (!participant && gc.SCOUTNET_GROUP_ID) {
+          participant = await scoutnet.getGroupMember(gc, scoutId);
+        }
+      }
+      const scoutNetName = participant
+        ? [participant.first_name, participant.last_name]
+            .filter(Boolean)
+            .join(" ")
+            .trim()
+        : "";
+      const baseName =
+        scoutNetName || currentNick.replace(/\s*\(.*\)\s*$/, "");
+
+      if (baseName) {
+        const newNick = (baseName + nicknameSuffix).substring(0, 32);
+        if (newNick !== currentNick) {
+          step.nickname = { from: currentNick, to: newNick };
+        }
       }
+    } catch (e) {
+      console.error(
+        `Error working out nickname for ${discordUserId}:`,
+        e.message,
+      );
     }
-  } catch (e) {
-    console.error(`Error updating nickname for ${discordUserId}:`, e.message);
   }
 
-  const added = [];
-  const removed = [];
-
-  // Add roles the user should have
+  // Roles the user should have
+  const desiredRoleIds = new Set();
   for (const roleName of desiredRoles) {
-    const role = roleMap.get(roleName.toLowerCase());
-    if (role && !role.managed && !currentRoleIds.has(role.id)) {
-      try {
-        await discord.addRoleToUser(guildId, discordUserId, role.id);
-        added.push(roleName);
-      } catch (e) {
-        console.error(
-          `Failed to add role "${roleName}" (${role.id}) to user ${discordUserId}: ${e.message}`
-        );
+    const role = await registry.resolve(roleName);
+    if (!role) {
+      if (gc.ROLE_AUTO_CREATE) {
+        step.add.push({ id: null, name: roleName, create: true });
       }
+      continue;
+    }
+    desiredRoleIds.add(role.id);
+    if (!role.managed && !currentRoleIds.has(role.id)) {
+      step.add.push({ id: role.id, name: role.name });
     }
   }
 
-  // Remove static managed roles the user should no longer have
-  for (const managedName of managedRoles) {
-    const role = roleMap.get(managedName.toLowerCase());
+  // Incomplete data: a missing role may only mean ScoutNet is down
+  if (unavailable.length > 0) return step;
+
+  // Managed roles (static, old division roles etc.) they should no longer have
+  for (const { role } of registry.managedRoles()) {
     if (
-      role &&
       !role.managed &&
       currentRoleIds.has(role.id) &&
-      !desiredSet.has(managedName.toLowerCase())
+      !desiredRoleIds.has(role.id)
     ) {
-      try {
-        await discord.removeRoleFromUser(guildId, discordUserId, role.id);
-        removed.push(managedName);
-      } catch (e) {
-        console.error(
-          `Failed to remove role "${managedName}" (${role.id}) from user ${discordUserId}: ${e.message}`
-        );
-      }
+      step.remove.push({ id: role.id, name: role.name });
     }
   }
 
-  // Remove old division roles (prefix-matched) that don't match current
-  for (const prefix of divPrefixes) {
-    for (const [name, role] of roleMap) {
-      if (
-        name.startsWith(prefix) &&
-        currentRoleIds.has(role.id) &&
-        !desiredSet.has(name)
-      ) {
-        try {
-          await discord.removeRoleFromUser(guildId, discordUserId, role.id);
-          removed.push(role.name);
-        } catch (e) {
-          console.error(
-            `Failed to remove role "${role.name}" (${role.id}) from user ${discordUserId}: ${e.message}`
-          );
-        }
+  return step;
+}
+
+/**
+ * Carry out a plan step (see planUserRoles and planUnlinkedMember) exactly
+ * as planned. A role to `create` is looked up again first — an earlier step
+ * may have created it — and created if still missing; steps applied in
+ * parallel must share `registry` for that. A failed role or nickname change
+ * is logged and skipped. Returns { added: string[], removed: string[] },
+ * plus `unavailable` if the step has it.
+ */
+export async function applyUserPlan(guildId, step, { registry } = {}) {
+  const { discordUserId } = step;
+  const added = [];
+  const removed = [];
+
+  if (step.nickname) {
+    try {
+      await discord.updateGuildMemberNickname(
+        guildId,
+        discordUserId,
+        step.nickname.to,
+      );
+    } catch (e) {
+      console.error(`Error updating nickname for ${discordUserId}:`, e.message);
+    }
+  }
+
+  for (let role of step.add) {
+    try {
+      if (role.create) {
+        registry ??= await loadRoleRegistry(guildId);
+        role = await provisioning.ensureRole(guildId, registry, role.name);
       }
+      await discord.addRoleToUser(guildId, discordUserId, role.id);
+      added.push(role.name);
+    } catch (e) {
+      console.error(
+        `Failed to add role "${role.name}" (${role.id}) to user ${discordUserId}: ${e.message}`
+      );
     }
   }
 
-  return { added, removed };
+  for (const role of step.remove) {
+    try {
+      await discord.removeRoleFromUser(guildId, discordUserId, role.id);
+      removed.push(role.name);
+    } catch (e) {
+      console.error(
+        `Failed to remove role "${role.name}" (${role.id}) from user ${discordUserId}: ${e.message}`
+      );
+    }
+  }
+
+  return step.unavailable
+    ? { added, removed, unavailable: step.unavailable }
+    : { added, removed };
+}
+
+/**
+ * True if a plan step has nothing to do and nothing to report.
+ */
+export function isNoopStep(step) {
+  return (
+    !step.error &&
+    !step.unavailable &&
+    step.add.length === 0 &&
+    step.remove.length === 0 &&
+    !step.nickname
+  );
 }
 
 /**
- * Strip a member who has the Scout role but no storage link.
+ * Sync one user's Discord roles to match their ScoutNet data.
+ * Returns { added: string[], removed: string[] } or { error: string }.
+ *
+ * If some of the member's ScoutNet data can't be read, roles are only added
+ * (see planUserRoles) and the result has `unavailable` (source names).
+ */
+export async function syncUserRoles(guildId, discordUserId) {
+  const { error, ...step } = await planUserRoles(guildId, discordUserId);
+  if (error) return { error };
+  return await applyUserPlan(guildId, step);
+}
+
+/**
+ * Plan step for a member who has the Scout role but no storage link.
  *
  * The Scout role is a managed Discord Linked Role we cannot remove, but a
  * member with no ScoutID mapping (e.g. after a storage loss) must not keep any
- * access. Removes every bot-managed role (event, fee, division) and adds
- * `Overifierad`, forcing the user to re-link before they regain access.
+ * access. Removes every role in the registry (event, fee, division), adds
+ * `Overifierad` and strips any "(suffix)" from the nickname — we no longer
+ * know their category.
  *
- * Caller passes the shared `roleMap` and the member object to avoid refetching.
- * Returns { added, removed }.
+ * Returns { discordUserId, orphan: true, add, remove, nickname } (see
+ * planUserRoles).
  */
-export async function stripUnlinkedMember(guildId, discordUserId, roleMap, member) {
-  const managedRoles = getManagedRoleNames();
-  const divPrefixes = getDivisionPrefixes();
+export async function planUnlinkedMember(
+  guildId,
+  discordUserId,
+  registry,
+  member,
+) {
+  const unverifiedRole = await registry.resolve(UNVERIFIED_ROLE);
   const currentRoleIds = new Set(member.roles);
-  const added = [];
-  const removed = [];
-
-  // Remove every managed role except the unverified marker itself.
-  for (const managedName of managedRoles) {
-    if (managedName.toLowerCase() === UNVERIFIED_ROLE.toLowerCase()) continue;
-    const role = roleMap.get(managedName.toLowerCase());
-    if (role && !role.managed && currentRoleIds.has(role.id)) {
-      try {
-        await discord.removeRoleFromUser(guildId, discordUserId, role.id);
-        removed.push(managedName);
-      } catch (e) {
-        console.error(
-          `Failed to remove role "${managedName}" (${role.id}) from unlinked ${discordUserId}: ${e.message}`,
-        );
-      }
-    }
+  const step = {
+    discordUserId,
+    orphan: true,
+    add: [],
+    remove: [],
+    nickname: null,
+  };
+  if (!unverifiedRole && getGuildConfig(guildId).ROLE_AUTO_CREATE) {
+    step.add.push({ id: null, name: UNVERIFIED_ROLE, create: true });
   }
 
-  // Remove dynamic division roles by prefix.
-  for (const prefix of divPrefixes) {
-    for (const [name, role] of roleMap) {
-      if (name.startsWith(prefix) && currentRoleIds.has(role.id)) {
-        try {
-          await discord.removeRoleFromUser(guildId, discordUserId, role.id);
-          removed.push(role.name);
-        } catch (e) {
-          console.error(
-            `Failed to remove role "${role.name}" (${role.id}) from unlinked ${discordUserId}: ${e.message}`,
-          );
-        }
-      }
+  // Every managed role except the unverified marker itself.
+  for (const { role } of registry.managedRoles()) {
+    if (role.id === unverifiedRole?.id) continue;
+    if (!role.managed && currentRoleIds.has(role.id)) {
+      step.remove.push({ id: role.id, name: role.name });
     }
   }
 
-  // Add the Overifierad marker.
-  const unverifiedRole = roleMap.get(UNVERIFIED_ROLE.toLowerCase());
+  // The Overifierad marker.
   if (
     unverifiedRole &&
     !unverifiedRole.managed &&
     !currentRoleIds.has(unverifiedRole.id)
   ) {
-    try {
-      await discord.addRoleToUser(guildId, discordUserId, unverifiedRole.id);
-      added.push(UNVERIFIED_ROLE);
-    } catch (e) {
-      console.error(
-        `Failed to add ${UNVERIFIED_ROLE} to unlinked ${discordUserId}: ${e.message}`,
-      );
-    }
+    step.add.push({ id: unverifiedRole.id, name: unverifiedRole.name });
   }
 
-  // Strip any "(suffix)" from the nickname — we no longer know their category.
-  try {
-    const currentNick = member.nick || member.user?.global_name || "";
-    const baseName = currentNick.replace(/\s*\(.*\)\s*$/, "");
-    if (baseName && baseName !== currentNick) {
-      await discord.updateGuildMemberNickname(
-        guildId,
-        discordUserId,
-        baseName.substring(0, 32),
-      );
-    }
-  } catch (e) {
-    console.error(`Error resetting nickname for ${discordUserId}: ${e.message}`);
+  const currentNick = member.nick || member.user?.global_name || "";
+  const baseName = currentNick.replace(/\s*\(.*\)\s*$/, "");
+  if (baseName && baseName !== currentNick) {
+    step.nickname = { from: currentNick, to: baseName.substring(0, 32) };
   }
 
-  return { added, removed };
+  return step;
+}
+
+/**
+ * Strip a member who has the Scout role but no storage link (see
+ * planUnlinkedMember).
+ *
+ * Caller passes the shared `registry` and the member object to avoid
+ * refetching. Returns { added, removed }.
+ */
+export async function stripUnlinkedMember(
+  guildId,
+  discordUserId,
+  registry,
+  member,
+) {
+  return await applyUserPlan(
+    guildId,
+    await planUnlinkedMember(guildId, discordUserId, registry, member),
+  );
+}
+
+/**
+ * Strip a single member whose link was just removed (e.g. replaced by
+ * LINK_POLICY), fetching the guild state that stripUnlinkedMember expects.
+ * Returns { added, removed }.
+ */
+export async function stripUnlinkedUser(guildId, discordUserId) {
+  const registry = await loadRoleRegistry(guildId);
+  const member = await discord.getGuildMember(guildId, discordUserId);
+  return await stripUnlinkedMember(guildId, discordUserId, registry, member);
 }
 
 /**
  * Sync roles for all linked users, then strip access from any member who has
  * the Scout role but no storage link (orphans). Clears ScoutNet cache first.
+ * With ROLE_DELETE_EMPTY_DIVISIONS, empty division roles are deleted last.
  * Returns array of { discordUserId, added, removed, error }.
  */
 export async function syncAllUserRoles(guildId) {
+  return await withProgress(guildId, async () => {
+    await storage.clearScoutNetCache();
+    const syncedAt = Date.now();
+
+    const linkedUsers = await storage.getAllLinkedUsers();
+    const results = await syncUsers(guildId, linkedUsers);
+    results.push(...(await stripOrphans(guildId, linkedUsers)));
+    await storage.storeMeta(`last-sync-${guildId}`, { at: syncedAt });
+    await deleteEmptyDivisionRoles(guildId);
+    return results;
+  });
+}
+
+/**
+ * Refetch the guild's ScoutNet lists and sync only the linked users whose
+ * ScoutNet data changed since the guild's last sync (see
+ * scoutnet.getChanges), then strip orphans. The first sync of a guild is
+ * always a full one, and so is a sync the change log can't cover: the last
+ * sync is older than the log keeps changes, or some changes could not be
+ * recorded since then (scoutnet.hasAllChanges).
+ *
+ * ScoutID claim changes are not in the ScoutNet diff; use syncAllUserRoles
+ * to pick those up. Empty division roles are deleted as in syncAllUserRoles.
+ *
+ * Returns { full, changedMembers, results } where `changedMembers` is the
+ * number of ScoutNet members that changed and `results` is as for
+ * syncAllUserRoles.
+ */
+export async function syncChangedUserRoles(guildId) {
+  const gc = getGuildConfig(guildId);
+  const lastSync = await storage.getMeta(`last-sync-${guildId}`);
+  if (!lastSync) {
+    return {
+      full: true,
+      changedMembers: null,
+      results: await syncAllUserRoles(guildId),
+    };
+  }
+
+  // Refetch now so this run sees the latest changes
   await storage.clearScoutNetCache();
+  for (const event of gc.SCOUTNET_EVENTS) {
+    await scoutnet.getParticipants(event);
+  }
+  if (gc.SCOUTNET_GROUP_ID) await scoutnet.getGroupMembers(gc);
+  const syncedAt = Date.now();
 
-  const linkedUsers = await storage.getAllLinkedUsers();
+  if (!(await scoutnet.hasAllChanges(gc, lastSync.at))) {
+    console.log(
+      `ScoutNet change log incomplete since the last sync of guild ${guildId} — syncing every member`,
+    );
+    return {
+      full: true,
+      changedMembers: null,
+      results: await syncAllUserRoles(guildId),
+    };
+  }
+
+  const changed = new Set(
+    (await scoutnet.getChanges(gc, lastSync.at)).map((c) => c.key),
+  );
+  return await withProgress(guildId, async () => {
+    const linkedUsers = await storage.getAllLinkedUsers();
+    const results = await syncUsers(
+      guildId,
+      linkedUsers.filter((u) => changed.has(u.scoutId)),
+    );
+    results.push(...(await stripOrphans(guildId, linkedUsers)));
+    await storage.storeMeta(`last-sync-${guildId}`, { at: syncedAt });
+    await deleteEmptyDivisionRoles(guildId);
+    return { full: false, changedMembers: changed.size, results };
+  });
+}
+
+/**
+ * After a bulk sync: provisioning.deleteEmptyDivisionRoles if the guild has
+ * ROLE_DELETE_EMPTY_DIVISIONS. Failures are logged, not thrown.
+ */
+async function deleteEmptyDivisionRoles(guildId) {
+  if (!getGuildConfig(guildId).ROLE_DELETE_EMPTY_DIVISIONS) return;
+  try {
+    await provisioning.deleteEmptyDivisionRoles(guildId);
+  } catch (e) {
+    console.error(
+      `Error deleting empty division roles in guild ${guildId}: ${e.message}`,
+    );
+  }
+}
+
+/**
+ * syncUserRoles for each of `users`, in parallel (see runConcurrently),
+ * with the registry and guild members read once for all of them.
+ */
+async function syncUsers(guildId, users) {
+  if (users.length === 0) return [];
+  const registry = await loadRoleRegistry(guildId);
+  const members = new Map(
+    (await discord.getGuildMembers(guildId)).map((m) => [m.user.id, m]),
+  );
+  return await runConcurrently(users, async ({ discordUserId }) => {
+    const member = members.get(discordUserId);
+    if (!member) return { discordUserId, error: "Inte medlem i servern" };
+    try {
+      const { error, ...step } = await planUserRoles(guildId, discordUserId, {
+        registry,
+        member,
+        claimsMaxAgeMs: CLAIMS_MAX_AGE_MS,
+      });
+      if (error) return { discordUserId, error };
+      return {
+        discordUserId,
+        ...(await applyUserPlan(guildId, step, { registry })),
+      };
+    } catch (e) {
+      return { discordUserId, error: e.message };
+    }
+  });
+}
+
+/**
+ * Plan steps for the orphans that would be changed: members with the Scout
+ * role but no storage link. `members` is fetched unless given.
+ */
+async function planOrphans(guildId, linkedUsers, registry, members) {
   const linkedSet = new Set(linkedUsers.map((u) => u.discordUserId));
-  const results = [];
+  const scoutRole = await registry.resolve(
+    getGuildConfig(guildId).SCOUTNET_SCOUT_ROLE,
+  );
+  if (!scoutRole) return [];
+
+  const steps = [];
+  for (const member of members ?? (await discord.getGuildMembers(guildId))) {
+    if (!member.roles.includes(scoutRole.id)) continue; // not verified
+    if (linkedSet.has(member.user.id)) continue; // linked → already synced
+    const step = await planUnlinkedMember(
+      guildId,
+      member.user.id,
+      registry,
+      member,
+    );
+    if (!isNoopStep(step)) steps.push(step);
+  }
+  return steps;
+}
+
+/**
+ * Strip orphans: members with the Scout role but no storage link.
+ * Returns results for the members that were changed or failed.
+ */
+async function stripOrphans(guildId, linkedUsers) {
+  try {
+    const registry = await loadRoleRegistry(guildId);
+    const steps = await planOrphans(guildId, linkedUsers, registry);
+    const results = await runConcurrently(steps, async (step) => {
+      try {
+        return {
+          discordUserId: step.discordUserId,
+          ...(await applyUserPlan(guildId, step, { registry })),
+        };
+      } catch (e) {
+        return { discordUserId: step.discordUserId, error: e.message };
+      }
+    });
+    return results.filter(
+      (r) => r.error || r.removed.length > 0 || r.added.length > 0,
+    );
+  } catch (e) {
+    console.error(`Error stripping unlinked members: ${e.message}`);
+    return [];
+  }
+}
+
+// --- Sync plans (dry run) ---
+//
+// A plan is what syncAllUserRoles would do right now, computed without
+// touching Discord: one step per linked member and per orphan. It is stored
+// (see storage.storeSyncPlan) so an admin can read the report and then apply
+// exactly that plan. Before applying, the plan is worked out again; if any
+// step came out different (Discord roles, ScoutNet data or the role rules
+// changed in between) nothing is applied.
+
+/**
+ * Plan a full sync of the guild: one step per linked user (see
+ * planUserRoles; members not in the guild get an error step) and one per
+ * orphan that would be stripped. Clears the ScoutNet cache first, like
+ * syncAllUserRoles. Returns { plannedAt, steps }.
+ */
+export async function planAllUserRoles(guildId) {
+  await storage.clearScoutNetCache();
+  const plannedAt = Date.now();
 
+  const registry = await loadRoleRegistry(guildId);
+  const members = await discord.getGuildMembers(guildId);
+  const membersById = new Map(members.map((m) => [m.user.id, m]));
+  const linkedUsers = await storage.getAllLinkedUsers();
+
+  const steps = [];
   for (const { discordUserId } of linkedUsers) {
+    const member = membersById.get(discordUserId);
+    if (!member) {
+      steps.push({ discordUserId, error: "Inte medlem i servern" });
+      continue;
+    }
     try {
-      const result = await syncUserRoles(guildId, discordUserId);
-      results.push({ discordUserId, ...result });
+      steps.push(
+        await planUserRoles(guildId, discordUserId, {
+          registry,
+          member,
+          claimsMaxAgeMs: CLAIMS_MAX_AGE_MS,
+        }),
+      );
     } catch (e) {
-      results.push({ discordUserId, error: e.message });
+      steps.push({ discordUserId, error: e.message });
     }
-    // Small delay to avoid rate limits
-    await new Promise((resolve) => setTimeout(resolve, 200));
   }
+  steps.push(
+    ...(await planOrphans(guildId, linkedUsers, registry, members)),
+  );
+  return { plannedAt, steps };
+}
 
-  // Strip orphans: members with the Scout role but no storage link.
-  try {
-    const guildRoles = await discord.getGuildRoles(guildId);
-    const roleMap = new Map();
-    for (const role of guildRoles) roleMap.set(role.name.toLowerCase(), role);
-    const scoutRole = roleMap.get(config.SCOUTNET_SCOUT_ROLE.toLowerCase());
-
-    if (scoutRole) {
-      const members = await discord.getGuildMembers(guildId);
-      for (const member of members) {
-        if (!member.roles.includes(scoutRole.id)) continue; // not verified
-        if (linkedSet.has(member.user.id)) continue; // linked → already synced
+/**
+ * Plan a full sync (planAllUserRoles) and store it for applySyncPlan.
+ * Returns the plan: { id, guildId, createdBy, plannedAt, unchanged, steps },
+ * where `steps` leaves out the `unchanged` linked users with nothing to do.
+ */
+export async function createSyncPlan(guildId, createdBy) {
+  const { plannedAt, steps } = await planAllUserRoles(guildId);
+  const plan = {
+    id: crypto.randomBytes(8).toString("hex"),
+    guildId,
+    createdBy,
+    plannedAt,
+    unchanged: steps.filter(isNoopStep).length,
+    steps: steps.filter((s) => !isNoopStep(s)),
+  };
+  await storage.storeSyncPlan(plan);
+  return plan;
+}
+
+/**
+ * Apply a stored plan, if planning again gives the same steps. Returns
+ *   { status: "applied", results }   results as for syncAllUserRoles
+ *   { status: "stale", differing }   number of members whose step changed
+ *   { status: "missing" }            expired, already applied or other guild
+ * Nothing is changed unless the status is "applied". Run it through
+ * scheduler.runExclusive like any other bulk sync.
+ */
+export async function applySyncPlan(guildId, planId) {
+  const plan = await storage.getSyncPlan(planId);
+  if (!plan || plan.guildId !== guildId) return { status: "missing" };
+
+  const { plannedAt, steps } = await planAllUserRoles(guildId);
+  const differing = countDifferentSteps(plan.steps, steps);
+  if (differing > 0) return { status: "stale", differing };
+
+  // Gone before anything is applied, so the plan can only run once
+  await storage.deleteSyncPlan(planId);
+  const registry = await loadRoleRegistry(guildId);
+  const results = await withProgress(guildId, () =>
+    runConcurrently(
+      plan.steps.filter((s) => !s.error),
+      async (step) => {
         try {
-          const result = await stripUnlinkedMember(
-            guildId,
-            member.user.id,
-            roleMap,
-            member,
-          );
-          if (result.removed.length > 0 || result.added.length > 0) {
-            results.push({ discordUserId: member.user.id, ...result });
-          }
+          return {
+            discordUserId: step.discordUserId,
+            ...(await applyUserPlan(guildId, step, { registry })),
+          };
         } catch (e) {
-          results.push({ discordUserId: member.user.id, error: e.message });
+          return { discordUserId: step.discordUserId, error: e.message };
         }
-        await new Promise((resolve) => setTimeout(resolve, 200));
-      }
-    }
-  } catch (e) {
-    console.error(`Error stripping unlinked members: ${e.message}`);
+      },
+    ),
+  );
+  await storage.storeMeta(`last-sync-${guildId}`, { at: plannedAt });
+  return { status: "applied", results };
+}
+
+/**
+ * Number of members whose actionable step differs between two plans. Error
+ * steps are not compared: they are never applied.
+ */
+function countDifferentSteps(planned, current) {
+  const key = (s) =>
+    JSON.stringify([
+      s.orphan ?? false,
+      s.add,
+      s.remove,
+      s.nickname,
+      s.unavailable ?? null,
+    ]);
+  const before = new Map();
+  for (const step of planned) {
+    if (!step.error) before.set(step.discordUserId, key(step));
+  }
+
+  let differing = 0;
+  for (const step of current) {
+    if (step.error || isNoopStep(step)) continue;
+    if (before.get(step.discordUserId) !== key(step)) differing++;
+    before.delete(step.discordUserId);
+  }
+  return differing + before.size;
+}
+
+// --- Bulk sync progress ---
+
+// The running bulk sync: { guildId, done, total, startedAt }, or null
+let progress = null;
+
+/**
+ * Run the bulk sync `fn` of a guild, counting its members in the progress
+ * (see getSyncProgress). A bulk sync started inside another one counts in
+ * the outer one's progress.
+ */
+async function withProgress(guildId, fn) {
+  if (progress) return await fn();
+  progress = { guildId, done: 0, total: 0, startedAt: Date.now() };
+  try {
+    return await fn();
+  } finally {
+    progress = null;
   }
+}
 
+/**
+ * Run `fn(item)` for every item, at most SYNC_CONCURRENCY at a time, and
+ * count the items in the progress. Returns the results in item order.
+ */
+async function runConcurrently(items, fn) {
+  if (progress) progress.total += items.length;
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+      if (progress) progress.done++;
+    }
+  };
+  const workers = Math.min(config.SYNC_CONCURRENCY, items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
   return results;
 }
+
+/**
+ * Progress of the bulk sync running in this process, or null:
+ * { guildId, done, total, startedAt, etaMs } where `etaMs` is estimated
+ * from the pace so far (null before the first member is done). `total`
+ * grows when the sync gets to the orphans.
+ */
+export function getSyncProgress() {
+  if (!progress) return null;
+  const { done, total, startedAt } = progress;
+  const perMember = done > 0 ? (Date.now() - startedAt) / done : null;
+  const etaMs =
+    perMember == null ? null : Math.round(perMember * (total - done));
+  return { ...progress, etaMs };
+}
+
+/**
+ * One-line Swedish progress (see getSyncProgress).
+ */
+export function formatSyncProgress({ done, total, etaMs }) {
+  if (total === 0) return "⏳ Synk pågår: hämtar medlemmar…";
+  const percent = total > 0 ? Math.floor((100 * done) / total) : 0;
+  let eta = "";
+  if (etaMs != null) {
+    eta =
+      etaMs < 60 * 1000
+        ? `, klart om ca ${Math.ceil(etaMs / 1000)} s`
+        : `, klart om ca ${Math.ceil(etaMs / 60000)} min`;
+  }
+  return `⏳ Synk pågår: ${done}/${total} medlemmar (${percent} %)${eta}`;
+}
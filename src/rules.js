@@ -0,0 +1,754 @@
+/**
+ * Role rules: the model behind an event's fee-category, division, nickname
+ * and answer roles.
+ *
+ * Written as a JSON rules object (SCOUTNET_ROLE_RULES, or `rules` per event
+ * in GUILDS_CONFIG):
+ *
+ *   {
+ *     "categories": {
+ *       "deltagare": {
+ *         "feeIds": [25694, 27561],
+ *         "division": { "question": "88168" },
+ *         "role": "Deltagare-{div}",
+ *         "roleWithoutDivision": "Deltagare-Väntande",
+ *         "nickname": "{div}",
+ *         "roleStyle": { "color": "#1f8b4c", "below": "Ledare-Väntande" }
+ *       },
+ *       "cmt": { "feeIds": [25697, 25693], "nickname": "CMT" }
+ *     },
+ *     "questionRoles": [
+ *       { "question": "88200", "equals": "2", "role": "Lägerby-Norr" }
+ *     ],
+ *     "roleStyle": { "mentionable": true }
+ *   }
+ *
+ * A participant's fee_id picks the category. With a `division`, the answer
+ * to that question (zero-padded to 2 digits) fills `{div}` in `role` and
+ * `nickname`; without an answer `roleWithoutDivision` and
+ * `nicknameWithoutDivision` are used. A category without a division gets
+ * `role` (default: the category name) and `nickname`. `questionRoles` are
+ * the rules described at compileQuestionRoles. `roleStyle` (per category,
+ * or at the top for the other categories and the answer roles) is how the
+ * bot creates those roles when they are missing; see compileRoleStyle.
+ *
+ * compileRules() validates the object and throws on anything it doesn't
+ * understand, with the path of the offending key. The older
+ * SCOUTNET_FEE_ROLES / SCOUTNET_DIVISION_ROLES / SCOUTNET_NICKNAME_SUFFIXES
+ * strings are translated into the same object by rulesFromLegacy().
+ *
+ * The compiled model is { categories: [{ name, feeIds, divisionQuestion,
+ * role: { withDiv, withoutDiv }, nickname: { withDiv, withoutDiv },
+ * roleStyle }], byFeeId: { feeId: category }, questionRoles, roleStyle };
+ * the other modules read it only through the functions below.
+ */
+
+const RULES_KEYS = ["categories", "questionRoles", "roleStyle"];
+const CATEGORY_KEYS = [
+  "feeIds",
+  "division",
+  "role",
+  "roleWithoutDivision",
+  "nickname",
+  "nicknameWithoutDivision",
+  "roleStyle",
+];
+const ROLE_STYLE_KEYS = ["color", "hoist", "mentionable", "below", "above"];
+const QUESTION_ROLE_KEYS = [
+  "question",
+  "equals",
+  "contains",
+  "matches",
+  "choices",
+  "role",
+  "categories",
+];
+const ANSWER_PLACEHOLDERS = ["{value}", "{label}", "{padded}"];
+
+/**
+ * Validate and compile a rules object. `where` names its source in errors.
+ */
+export function compileRules(input, where) {
+  if (!isPlainObject(input)) throw new Error(`${where} must be a JSON object`);
+  checkKeys(input, RULES_KEYS, where, "");
+
+  const categories = [];
+  const byFeeId = {};
+  const entries = input.categories ?? {};
+  if (!isPlainObject(entries)) {
+    throw new Error(`${where}: categories must be an object keyed by category`);
+  }
+  for (const [name, entry] of Object.entries(entries)) {
+    const category = compileCategory(name, entry, where);
+    for (const feeId of category.feeIds) {
+      if (byFeeId[feeId]) {
+        throw new Error(
+          `${where}: fee ID ${feeId} is in both categories.${byFeeId[feeId].name} and categories.${name}`
+        );
+      }
+      byFeeId[feeId] = category;
+    }
+    categories.push(category);
+  }
+
+  return {
+    categories,
+    byFeeId,
+    questionRoles:
+      compileQuestionRoles(
+        input.questionRoles,
+        where,
+        categories.map((c) => c.name)
+      ) ?? [],
+    roleStyle: compileRoleStyle(input.roleStyle, where, "roleStyle"),
+  };
+}
+
+function compileCategory(name, entry, where) {
+  const at = `categories.${name}`;
+  if (!name.trim()) throw new Error(`${where}: category names can't be empty`);
+  if (!isPlainObject(entry)) throw new Error(`${where}: ${at} must be an object`);
+  checkKeys(entry, CATEGORY_KEYS, where, at);
+
+  if (!Array.isArray(entry.feeIds) || entry.feeIds.length === 0) {
+    throw new Error(`${where}: ${at}.feeIds must be a non-empty list of fee IDs`);
+  }
+  const feeIds = entry.feeIds.map((id, i) => {
+    if (!isId(id)) {
+      throw new Error(
+        `${where}: ${at}.feeIds[${i}] must be a fee ID (number or string)`
+      );
+    }
+    return String(id).trim();
+  });
+
+  let divisionQuestion = null;
+  if (entry.division != null) {
+    if (!isPlainObject(entry.division)) {
+      throw new Error(`${where}: ${at}.division must be { "question": ... }`);
+    }
+    checkKeys(entry.division, ["question"], where, `${at}.division`);
+    if (!isId(entry.division.question)) {
+      throw new Error(`${where}: ${at}.division.question must be a question ID`);
+    }
+    divisionQuestion = String(entry.division.question).trim();
+  }
+
+  const template = (key, { required = false, div = false } = {}) => {
+    const value = entry[key];
+    if (value == null || value === "") {
+      if (required) throw new Error(`${where}: ${at}.${key} is required`);
+      return null;
+    }
+    if (typeof value !== "string") {
+      throw new Error(`${where}: ${at}.${key} must be a string`);
+    }
+    for (const [placeholder] of value.matchAll(/\{[^}]*\}/g)) {
+      if (placeholder !== "{div}") {
+        throw new Error(
+          `${where}: ${at}.${key} has an unknown placeholder ${placeholder} (only {div})`
+        );
+      }
+      if (!div) {
+        throw new Error(
+          `${where}: ${at}.${key} can't use {div}${divisionQuestion ? "" : " without a division"}`
+        );
+      }
+    }
+    return value.trim();
+  };
+
+  if (!divisionQuestion) {
+    for (const key of ["roleWithoutDivision", "nicknameWithoutDivision"]) {
+      if (entry[key] != null) {
+        throw new Error(`${where}: ${at}.${key} needs a division`);
+      }
+    }
+    return {
+      name,
+      feeIds,
+      divisionQuestion,
+      role: { withDiv: null, withoutDiv: template("role") ?? name },
+      nickname: { withDiv: null, withoutDiv: template("nickname") },
+      roleStyle: compileRoleStyle(entry.roleStyle, where, `${at}.roleStyle`),
+    };
+  }
+  return {
+    name,
+    feeIds,
+    divisionQuestion,
+    role: {
+      withDiv: template("role", { required: true, div: true }),
+      withoutDiv: template("roleWithoutDivision", { required: true }),
+    },
+    nickname: {
+      withDiv: template("nickname", { div: true }),
+      withoutDiv: template("nicknameWithoutDivision"),
+    },
+    roleStyle: compileRoleStyle(entry.roleStyle, where, `${at}.roleStyle`),
+  };
+}
+
+/**
+ * Compile a roleStyle: how the bot creates missing roles (see
+ * provisioning.js). `color` is "#rrggbb"; `below` / `above` name a role the
+ * new role is placed next to. Returns null if not given.
+ */
+function compileRoleStyle(style, where, at) {
+  if (style == null) return null;
+  if (!isPlainObject(style)) throw new Error(`${where}: ${at} must be an object`);
+  checkKeys(style, ROLE_STYLE_KEYS, where, at);
+
+  let color = null;
+  if (style.color != null) {
+    if (
+      typeof style.color !== "string" ||
+      !/^#[0-9a-f]{6}$/i.test(style.color)
+    ) {
+      throw new Error(`${where}: ${at}.color must be a colour like "#1f8b4c"`);
+    }
+    color = parseInt(style.color.slice(1), 16);
+  }
+  for (const key of ["hoist", "mentionable"]) {
+    if (style[key] != null && typeof style[key] !== "boolean") {
+      throw new Error(`${where}: ${at}.${key} must be true or false`);
+    }
+  }
+  for (const key of ["below", "above"]) {
+    if (
+      style[key] != null &&
+      (typeof style[key] !== "string" || !style[key].trim())
+    ) {
+      throw new Error(`${where}: ${at}.${key} must be a role name`);
+    }
+  }
+  if (style.below != null && style.above != null) {
+    throw new Error(`${where}: ${at} may only have one of below/above`);
+  }
+  return {
+    color,
+    hoist: style.hoist ?? false,
+    mentionable: style.mentionable ?? false,
+    below: style.below?.trim() ?? null,
+    above: style.above?.trim() ?? null,
+  };
+}
+
+function checkKeys(obj, allowed, where, at) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) {
+      throw new Error(
+        `${where}: unknown key ${at ? `${at}.` : ""}${key} (expected one of ${allowed.join(", ")})`
+      );
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isId(value) {
+  return (
+    (typeof value === "number" && Number.isFinite(value)) ||
+    (typeof value === "string" && value.trim() !== "")
+  );
+}
+
+/**
+ * Translate the older colon-separated strings into a rules object for
+ * compileRules. Each value may be the env string or (from GUILDS_CONFIG)
+ * the already-parsed object; `names` maps each key to its name in errors.
+ *
+ *   feeRoles          "feeId:category,..."
+ *   divisionRoles     "category:questionId:roleWithDiv:roleWithoutDiv,..."
+ *   nicknameSuffixes  "category:withDiv:withoutDiv,..."
+ *   questionRoles     the questionRoles list, passed through
+ *
+ * Malformed entries and categories without fee IDs are errors; empty
+ * entries (e.g. a trailing comma) are ignored.
+ */
+export function rulesFromLegacy(
+  { feeRoles, divisionRoles, nicknameSuffixes, questionRoles },
+  names
+) {
+  const fees = parseLegacy(feeRoles, 2, names.feeRoles, "feeId:category");
+  const divisions = parseLegacy(
+    divisionRoles,
+    4,
+    names.divisionRoles,
+    "category:questionId:roleWithDiv:roleWithoutDiv"
+  );
+  const suffixes = parseLegacy(
+    nicknameSuffixes,
+    3,
+    names.nicknameSuffixes,
+    "category:withDiv:withoutDiv"
+  );
+
+  const categories = {};
+  for (const [feeId, category] of Object.entries(fees)) {
+    categories[category] ??= { feeIds: [] };
+    categories[category].feeIds.push(feeId);
+  }
+  for (const [name, [questionId, withDiv, withoutDiv]] of Object.entries(
+    divisions
+  )) {
+    if (!categories[name]) {
+      throw new Error(
+        `${names.divisionRoles}: category "${name}" has no fee IDs in ${names.feeRoles}`
+      );
+    }
+    Object.assign(categories[name], {
+      division: { question: questionId },
+      role: withDiv,
+      roleWithoutDivision: withoutDiv,
+    });
+  }
+  for (const [name, [withDiv, withoutDiv]] of Object.entries(suffixes)) {
+    if (!categories[name]) {
+      throw new Error(
+        `${names.nicknameSuffixes}: category "${name}" has no fee IDs in ${names.feeRoles}`
+      );
+    }
+    // Without a division only the withoutDiv suffix was ever used
+    if (categories[name].division) {
+      categories[name].nickname = withDiv;
+      categories[name].nicknameWithoutDivision = withoutDiv;
+    } else {
+      categories[name].nickname = withoutDiv;
+    }
+  }
+  return { categories, questionRoles: questionRoles ?? undefined };
+}
+
+/**
+ * Parse one legacy string into { key: [rest...] } (for feeRoles:
+ * { feeId: category }). Parsed objects from GUILDS_CONFIG are converted to
+ * the same shape.
+ */
+function parseLegacy(value, parts, name, format) {
+  if (value == null || value === "") return {};
+  if (typeof value !== "string") {
+    if (parts === 2) return { ...value };
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [
+        key,
+        parts === 4
+          ? [v.questionId, v.withDiv, v.withoutDiv]
+          : [v.withDiv, v.withoutDiv],
+      ])
+    );
+  }
+  const map = {};
+  for (const entry of value.split(",")) {
+    if (!entry.trim()) continue;
+    const fields = entry.split(":").map((s) => s.trim());
+    // Nickname suffixes may be empty; the other fields may not
+    const required = parts === 3 ? [0] : [0, 1];
+    if (fields.length !== parts || required.some((i) => !fields[i])) {
+      throw new Error(`${name}: "${entry.trim()}" is not ${format}`);
+    }
+    const [key, ...rest] = fields;
+    if (key in map) throw new Error(`${name}: "${key}" is listed twice`);
+    map[key] = parts === 2 ? rest[0] : rest;
+  }
+  return map;
+}
+
+/**
+ * Validate and compile question-answer role rules (a parsed JSON array):
+ *
+ *   [
+ *     { "question": "88200", "equals": "2", "role": "Lägerby-Norr" },
+ *     { "question": "88201", "choices": { "1": "Svenska", "2": "English" },
+ *       "role": "Språk-{label}" },
+ *     { "question": "88202", "matches": "^R\\d+$", "role": "Resegrupp-{value}",
+ *       "categories": ["deltagare"] }
+ *   ]
+ *
+ * A rule matches when the answer to `question` equals / contains (ignoring
+ * case) / matches (regex) the given value, compared with both the raw
+ * answer and its `choices` label; without a condition any non-empty answer
+ * matches. `role` may use {value}, {label} and {padded} (zero-padded value).
+ * `categories` limits the rule to those fee categories.
+ *
+ * The bot has to know which roles it manages, so a templated role needs a
+ * prefix (see answerRolePrefix), or `choices`. Without a prefix only the
+ * `choices` values give roles.
+ *
+ * `where` names the rules' source in errors; `categoryNames` are the
+ * categories `categories` may list.
+ */
+export function compileQuestionRoles(parsed, where, categoryNames = []) {
+  if (parsed == null) return null;
+  if (!Array.isArray(parsed)) {
+    throw new Error(`${where}: questionRoles must be a JSON array`);
+  }
+
+  return parsed.map((rule, i) => {
+    const at = `questionRoles[${i}]`;
+    if (!isPlainObject(rule)) {
+      throw new Error(`${where}: ${at} must be an object`);
+    }
+    checkKeys(rule, QUESTION_ROLE_KEYS, where, at);
+    if (
+      !isId(rule.question) ||
+      typeof rule.role !== "string" ||
+      !rule.role.trim()
+    ) {
+      throw new Error(`${where}: ${at} needs a question and a role`);
+    }
+    const ops = ["equals", "contains", "matches"].filter((op) => op in rule);
+    if (ops.length > 1) {
+      throw new Error(
+        `${where}: ${at} may only have one of equals/contains/matches`
+      );
+    }
+    const op = ops[0] ?? null;
+    if (op && !isId(rule[op])) {
+      throw new Error(`${where}: ${at}.${op} must be a string or number`);
+    }
+    let regex = null;
+    if (op === "matches") {
+      try {
+        regex = new RegExp(rule.matches, "i");
+      } catch (e) {
+        throw new Error(`${where}: ${at}: invalid regex: ${e.message}`);
+      }
+    }
+
+    let choices = null;
+    if (rule.choices != null) {
+      if (!isPlainObject(rule.choices)) {
+        throw new Error(
+          `${where}: ${at}.choices must be an object of answer → label`
+        );
+      }
+      for (const [value, label] of Object.entries(rule.choices)) {
+        if (!isId(label)) {
+          throw new Error(
+            `${where}: ${at}.choices.${value} must be a label (string or number)`
+          );
+        }
+      }
+      choices = rule.choices;
+    }
+
+    let categories = null;
+    if (rule.categories != null) {
+      if (!Array.isArray(rule.categories) || rule.categories.length === 0) {
+        throw new Error(
+          `${where}: ${at}.categories must be a non-empty list of categories`
+        );
+      }
+      for (const category of rule.categories) {
+        if (!categoryNames.includes(category)) {
+          throw new Error(
+            `${where}: ${at}.categories has an unknown category "${category}" (expected one of ${categoryNames.join(", ")})`
+          );
+        }
+      }
+      categories = rule.categories;
+    }
+
+    for (const [placeholder] of rule.role.matchAll(/\{[^}]*\}/g)) {
+      if (!ANSWER_PLACEHOLDERS.includes(placeholder)) {
+        throw new Error(
+          `${where}: ${at}.role has an unknown placeholder ${placeholder} (only ${ANSWER_PLACEHOLDERS.join(", ")})`
+        );
+      }
+    }
+    const templated = rule.role.includes("{");
+    const prefix = answerRolePrefix(rule.role);
+    if (templated && !prefix && !choices) {
+      throw new Error(
+        `${where}: ${at}: role "${rule.role}" needs a prefix of at least 2 characters ending in a separator, e.g. "Resegrupp-{value}", or choices`
+      );
+    }
+    return {
+      question: String(rule.question),
+      op,
+      value: op && op !== "matches" ? String(rule[op]) : null,
+      regex,
+      choices,
+      role: rule.role,
+      categories,
+      prefix,
+      onlyChoices: templated && !prefix,
+    };
+  });
+}
+
+/**
+ * The lowercased fixed text before a role template's first placeholder, if
+ * it can tell the rule's roles apart from others: at least 2 characters,
+ * ending in a separator ("Resegrupp-{value}" → "resegrupp-"). Else null.
+ */
+function answerRolePrefix(template) {
+  const idx = template.indexOf("{");
+  if (idx < 0) return null;
+  const prefix = template.substring(0, idx);
+  return prefix.length >= 2 && /[-_ .:/]$/.test(prefix)
+    ? prefix.toLowerCase()
+    : null;
+}
+
+// --- Reading the model ---
+
+/**
+ * The participant's fee category, or null if their fee_id isn't mapped.
+ */
+export function getCategory(model, participant) {
+  if (participant?.fee_id == null) return null;
+  return model.byFeeId[String(participant.fee_id)] ?? null;
+}
+
+/**
+ * The participant's division answer for a category, or null.
+ */
+export function getDivision(category, participant) {
+  if (!category?.divisionQuestion) return null;
+  return participant.questions?.[category.divisionQuestion] || null;
+}
+
+/**
+ * The category's Discord role for a division (null: no division).
+ */
+export function getCategoryRole(category, division) {
+  if (division && category.role.withDiv) {
+    return renderDivision(category.role.withDiv, division);
+  }
+  return category.role.withoutDiv;
+}
+
+/**
+ * Nickname suffix such as " (AL12)", or "" if the category has none.
+ */
+export function getNicknameSuffix(category, division) {
+  const { withDiv, withoutDiv } = category.nickname;
+  if (division && withDiv) return ` (${renderDivision(withDiv, division)})`;
+  return withoutDiv ? ` (${withoutDiv})` : "";
+}
+
+export function hasNicknames(model) {
+  return model.categories.some((c) => c.nickname.withDiv || c.nickname.withoutDiv);
+}
+
+function renderDivision(template, division) {
+  return template.replaceAll("{div}", String(division).padStart(2, "0"));
+}
+
+/**
+ * Role names the model can give that are known without ScoutNet data:
+ * category roles without a division, and fixed or `choices` answer roles.
+ */
+export function getStaticRoleNames(model) {
+  const names = new Set(model.categories.map((c) => c.role.withoutDiv));
+  for (const name of getQuestionRoleTargets(model.questionRoles).names) {
+    names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * Lowercased prefixes of the division role templates:
+ * [{ category, prefix }], e.g. "Deltagare-{div}" → "deltagare-".
+ */
+export function getDivisionPrefixes(model) {
+  const prefixes = [];
+  for (const c of model.categories) {
+    const idx = c.role.withDiv?.indexOf("{div}") ?? -1;
+    if (idx >= 0) {
+      prefixes.push({
+        category: c.name,
+        prefix: c.role.withDiv.substring(0, idx).toLowerCase(),
+      });
+    }
+  }
+  return prefixes;
+}
+
+/**
+ * Division role names the participants (a ScoutNet participant list, see
+ * scoutnet.getParticipants) currently give, per category with a division:
+ * Map<category name, Set<role name>>. Cancelled participants don't count.
+ */
+export function getDivisionRoleNames(model, participants) {
+  const names = new Map();
+  for (const category of model.categories) {
+    if (category.divisionQuestion) names.set(category.name, new Set());
+  }
+  for (const p of Object.values(participants ?? {})) {
+    if (p?.cancelled_date != null) continue;
+    const category = getCategory(model, p);
+    const division = getDivision(category, p);
+    if (!division) continue;
+    names.get(category.name).add(getCategoryRole(category, division));
+  }
+  return names;
+}
+
+/**
+ * The category whose division role template gives `name` (ignoring case),
+ * e.g. "Deltagare-17" → the "deltagare" category, or null. A category role
+ * without a division ("Deltagare-Väntande") is not a division role.
+ */
+export function getDivisionRoleCategory(model, name) {
+  const lower = name.toLowerCase();
+  if (model.categories.some((c) => c.role.withoutDiv?.toLowerCase() === lower)) {
+    return null;
+  }
+  return (
+    model.categories.find((c) => {
+      if (!c.role.withDiv) return false;
+      const [prefix, ...rest] = c.role.withDiv.toLowerCase().split("{div}");
+      const suffix = rest.at(-1);
+      return (
+        lower.length > prefix.length + suffix.length &&
+        lower.startsWith(prefix) &&
+        lower.endsWith(suffix)
+      );
+    }) ?? null
+  );
+}
+
+/**
+ * The roleStyle for creating the role `name`: its category's for a category
+ * or division role, the model's own for those without one and for answer
+ * roles, and null for a role the model doesn't give.
+ */
+export function getRoleStyle(model, name) {
+  const lower = name.toLowerCase();
+  const category =
+    model.categories.find((c) => c.role.withoutDiv?.toLowerCase() === lower) ??
+    getDivisionRoleCategory(model, name);
+  if (category) return category.roleStyle ?? model.roleStyle;
+  return isAnswerRole(model, lower) ? model.roleStyle : null;
+}
+
+/**
+ * Whether the model can give the role `name` (ignoring case): a category,
+ * division or answer role.
+ */
+export function givesRole(model, name) {
+  const lower = name.toLowerCase();
+  return (
+    model.categories.some((c) => c.role.withoutDiv?.toLowerCase() === lower) ||
+    getDivisionRoleCategory(model, name) != null ||
+    isAnswerRole(model, lower)
+  );
+}
+
+function isAnswerRole(model, lower) {
+  const { names, prefixes } = getQuestionRoleTargets(model.questionRoles);
+  return (
+    names.some((n) => n.toLowerCase() === lower) ||
+    prefixes.some((p) => lower.startsWith(p))
+  );
+}
+
+/**
+ * Every lowercased prefix of dynamic roles (division and answer roles), for
+ * removing roles by prefix.
+ */
+export function getRolePrefixes(model) {
+  return [
+    ...new Set([
+      ...getDivisionPrefixes(model).map((p) => p.prefix),
+      ...getQuestionRoleTargets(model.questionRoles).prefixes,
+    ]),
+  ];
+}
+
+/**
+ * Roles from the model's question rules for one participant. A
+ * multi-choice answer (a list) gives one role per selected value.
+ */
+export function matchQuestionRoles(rules, participant, category) {
+  const roles = new Set();
+  for (const rule of rules ?? []) {
+    if (rule.categories && !rule.categories.includes(category)) continue;
+    for (const value of answerValues(participant.questions?.[rule.question])) {
+      // Without a prefix the bot only knows the roles of `choices`
+      if (rule.onlyChoices && !Object.hasOwn(rule.choices, value)) continue;
+      const label = String(rule.choices?.[value] ?? value);
+      if (!answerMatches(rule, value, label)) continue;
+      const role = renderAnswerRole(rule.role, value, label);
+      if (role) roles.add(role);
+    }
+  }
+  return [...roles];
+}
+
+/**
+ * Role names and name prefixes the bot manages for question rules: fixed
+ * names, every `choices` label rendered into the template, and the prefix
+ * of templated names (removed by prefix like division roles).
+ * Returns { names, prefixes }.
+ */
+export function getQuestionRoleTargets(rules) {
+  const names = new Set();
+  const prefixes = new Set();
+  for (const rule of rules ?? []) {
+    if (!rule.role.includes("{")) {
+      names.add(rule.role);
+      continue;
+    }
+    if (rule.prefix) prefixes.add(rule.prefix);
+    for (const [value, label] of Object.entries(rule.choices ?? {})) {
+      names.add(renderAnswerRole(rule.role, value, String(label)));
+    }
+  }
+  return { names: [...names], prefixes: [...prefixes] };
+}
+
+/**
+ * IDs of the questions the model reads: { division, answer }.
+ */
+export function getQuestionIds(model) {
+  return {
+    division: [
+      ...new Set(model.categories.map((c) => c.divisionQuestion).filter(Boolean)),
+    ],
+    answer: [...new Set(model.questionRoles.map((r) => r.question))],
+  };
+}
+
+function answerValues(answer) {
+  if (answer == null || answer === "") return [];
+  const values = Array.isArray(answer)
+    ? answer
+    : typeof answer === "object"
+      ? Object.values(answer)
+      : [answer];
+  return values
+    .filter((v) => v != null && v !== "")
+    .map((v) => String(v).trim());
+}
+
+function answerMatches(rule, value, label) {
+  switch (rule.op) {
+    case "equals":
+      return [value, label].some(
+        (v) => v.toLowerCase() === rule.value.toLowerCase(),
+      );
+    case "contains":
+      return [value, label].some((v) =>
+        v.toLowerCase().includes(rule.value.toLowerCase()),
+      );
+    case "matches":
+      return rule.regex.test(value) || rule.regex.test(label);
+    default:
+      return true;
+  }
+}
+
+function renderAnswerRole(template, value, label) {
+  return template
+    .replaceAll("{value}", value)
+    .replaceAll("{label}", label)
+    .replaceAll("{padded}", value.padStart(2, "0"))
+    .trim()
+    .substring(0, 100);
+}
@@ -0,0 +1,243 @@
+import config, { getGuildIds, getGuildConfig } from "./config.js";
+import * as storage from "./storage.js";
+import * as discord from "./discord.js";
+import * as roles from "./roles.js";
+
+/**
+ * Scheduled role sync.
+ *
+ * Every SYNC_INTERVAL_MINUTES the roles of every configured guild are
+ * synced — only members whose ScoutNet data changed (SYNC_MODE=changed, see
+ * roles.syncChangedUserRoles) or every linked member (SYNC_MODE=full) — so
+ * ScoutNet changes show up without anyone running /refresh-scoutid.
+ * Nothing runs inside SYNC_QUIET_HOURS.
+ *
+ * A sync started from /refresh-scoutid alla goes through runExclusive too,
+ * so a scheduled and a manual bulk sync never overlap, even across replicas
+ * sharing the storage (the lock is a storage lease). The
+ * result of the last scheduled run is persisted, and guilds with a
+ * SYNC_REPORT_CHANNEL_ID get a summary posted when something changed.
+ */
+
+// The bulk sync lease is renewed while the sync runs; if the process dies,
+// it expires after LEASE_MS
+const LEASE_MS = 5 * 60 * 1000;
+const LEASE_RENEW_MS = 60 * 1000;
+
+let timer = null;
+
+export function isEnabled() {
+  return config.SYNC_INTERVAL_MINUTES > 0;
+}
+
+/**
+ * Run `fn` unless a bulk sync is already running in this or another
+ * process (see storage.acquireLease). Returns fn's result, or null if it
+ * was skipped.
+ */
+export async function runExclusive(fn) {
+  const owner = await storage.acquireLease("bulk-sync", LEASE_MS);
+  if (!owner) return null;
+  const renewal = setInterval(() => {
+    storage
+      .renewLease("bulk-sync", owner, LEASE_MS)
+      .then((held) => {
+        if (!held) console.warn("Lost the bulk sync lease while syncing");
+      })
+      .catch((e) =>
+        console.error(`Error renewing the bulk sync lease: ${e.message}`),
+      );
+  }, LEASE_RENEW_MS);
+  try {
+    return await fn();
+  } finally {
+    clearInterval(renewal);
+    await storage
+      .releaseLease("bulk-sync", owner)
+      .catch((e) =>
+        console.error(`Error releasing the bulk sync lease: ${e.message}`),
+      );
+  }
+}
+
+/**
+ * True if `date` falls in SYNC_QUIET_HOURS (in SYNC_TIMEZONE).
+ */
+export function isQuietTime(date = new Date()) {
+  const quiet = config.SYNC_QUIET_HOURS;
+  if (!quiet) return false;
+  const [hour, minute] = new Intl.DateTimeFormat("en-GB", {
+    timeZone: config.SYNC_TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .format(date)
+    .split(":")
+    .map(Number);
+  const now = hour * 60 + minute;
+  return quiet.start <= quiet.end
+    ? now >= quiet.start && now < quiet.end
+    : now >= quiet.start || now < quiet.end;
+}
+
+/**
+ * Sync every configured guild now. Returns
+ * { finishedAt, durationMs, mode, guilds: [{ guildId, full, changedMembers,
+ *   synced, changed, errors, incomplete, error? }] }, or null if another bulk
+ * sync was running. `incomplete` counts members whose ScoutNet data couldn't
+ * be read (no roles removed). Persisted as meta "last-scheduled-sync".
+ */
+export async function runScheduledSync({ mode = config.SYNC_MODE } = {}) {
+  return await runExclusive(async () => {
+    const startedAt = Date.now();
+    const guilds = [];
+
+    for (const guildId of getGuildIds()) {
+      try {
+        let full = true;
+        let changedMembers = null;
+        let results;
+        if (mode === "full") {
+          results = await roles.syncAllUserRoles(guildId);
+        } else {
+          ({ full, changedMembers, results } =
+            await roles.syncChangedUserRoles(guildId));
+        }
+        const summary = {
+          guildId,
+          full,
+          changedMembers,
+          synced: results.length,
+          changed: results.filter(
+            (r) => !r.error && (r.added?.length > 0 || r.removed?.length > 0),
+          ),
+          errors: results.filter((r) => r.error),
+          incomplete: results.filter((r) => r.unavailable?.length > 0).length,
+        };
+        guilds.push(summary);
+        await postSummary(guildId, summary);
+      } catch (e) {
+        console.error(`Scheduled sync of guild ${guildId} failed:`, e.message);
+        guilds.push({ guildId, error: e.message });
+      }
+    }
+
+    const result = {
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      mode,
+      guilds: guilds.map((g) =>
+        g.error
+          ? g
+          : {
+              ...g,
+              changed: g.changed.length,
+              errors: g.errors.length,
+            },
+      ),
+    };
+    const totals = sumGuilds(result.guilds);
+    console.log(
+      `Scheduled sync done (${mode}): ${totals.synced} synced, ${totals.changed} changed, ${totals.errors} errors (${result.durationMs} ms)`,
+    );
+    await storage.storeMeta("last-scheduled-sync", result);
+    return result;
+  });
+}
+
+/**
+ * Post a guild's sync summary to its SYNC_REPORT_CHANNEL_ID, if it has one
+ * and anything changed, failed or was skipped for missing ScoutNet data.
+ */
+async function postSummary(guildId, summary) {
+  const channelId = getGuildConfig(guildId).SYNC_REPORT_CHANNEL_ID;
+  if (!channelId) return;
+  if (
+    summary.changed.length === 0 &&
+    summary.errors.length === 0 &&
+    summary.incomplete === 0
+  ) {
+    return;
+  }
+
+  const lines = [
+    `🔄 **Schemalagd synk** — ${summary.synced} synkade, ${summary.changed.length} med ändringar, ${summary.errors.length} fel`,
+  ];
+  if (summary.incomplete > 0) {
+    lines.push(
+      `⚠️ ScoutNet-data saknas för ${summary.incomplete} — inga roller togs bort för dem.`,
+    );
+  }
+  for (const r of summary.changed) {
+    const parts = [
+      ...(r.added ?? []).map((n) => `+${n}`),
+      ...(r.removed ?? []).map((n) => `−${n}`),
+    ];
+    lines.push(`- <@${r.discordUserId}>: ${parts.join(", ")}`);
+  }
+  for (const r of summary.errors) {
+    lines.push(`- <@${r.discordUserId}>: fel — ${r.error}`);
+  }
+
+  let message = lines.join("\n");
+  if (message.length > 2000) {
+    message = `${message.slice(0, 1990).replace(/\n[^\n]*$/, "")}\n…`;
+  }
+  try {
+    await discord.sendChannelMessage(channelId, message);
+  } catch (e) {
+    console.error(`Error posting sync summary in guild ${guildId}:`, e.message);
+  }
+}
+
+/**
+ * Start the periodic sync. Does nothing if the interval is 0 or the job is
+ * already started.
+ */
+export function startSyncJob(intervalMinutes = config.SYNC_INTERVAL_MINUTES) {
+  if (timer || !intervalMinutes) return;
+
+  const tick = async () => {
+    if (isQuietTime()) return;
+    try {
+      const result = await runScheduledSync();
+      if (!result) console.log("Scheduled sync skipped: a sync is running");
+    } catch (e) {
+      console.error("Scheduled sync failed:", e.message);
+    }
+  };
+
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  setTimeout(tick, 2 * 60 * 1000).unref();
+}
+
+export async function getLastSync() {
+  return await storage.getMeta("last-scheduled-sync");
+}
+
+function sumGuilds(guilds) {
+  const totals = { synced: 0, changed: 0, errors: 0 };
+  for (const g of guilds) {
+    if (g.error) {
+      totals.errors++;
+      continue;
+    }
+    totals.synced += g.synced;
+    totals.changed += g.changed;
+    totals.errors += g.errors;
+  }
+  return totals;
+}
+
+/**
+ * One-line Swedish summary for /status-scoutid.
+ */
+export function formatLastSync(result) {
+  if (!isEnabled()) return "🔄 Schemalagd synk: avstängd";
+  if (!result) return "🔄 Schemalagd synk: har inte körts än";
+  const when = result.finishedAt.slice(0, 16).replace("T", " ");
+  const totals = sumGuilds(result.guilds);
+  return `🔄 Senaste schemalagda synk ${when} UTC: ${totals.synced} synkade, ${totals.changed} med ändringar${totals.errors ? `, ${totals.errors} fel` : ""}`;
+}
@@ -1,85 +1,52 @@
-import crypto from 'crypto';
 import config from './config.js';
+import * as oidc from './oidc.js';
 
 /**
  * Code specific to communicating with the ScoutID API. 
  * See https://scoutid.se for more details.
  * 
- * OIDC discovery is available at:
- *  https://scoutid.se/simplesaml/module.php/oidc/openid-configuration.php
+ * The OIDC protocol itself (discovery, PKCE, token refresh, id_token
+ * verification) lives in oidc.js; this module configures it for ScoutID
+ * (SCOUTID_DISCOVERY_URL, default below) and maps ScoutID's claims.
 */
 
+const DEFAULT_DISCOVERY_URL =
+  'https://scoutid.se/simplesaml/module.php/oidc/openid-configuration.php';
+
+const client = oidc.createOidcClient({
+  name: 'ScoutID',
+  discoveryUrl: config.SCOUTID_DISCOVERY_URL || DEFAULT_DISCOVERY_URL,
+  clientId: config.SCOUTID_CLIENT_ID,
+  clientSecret: config.SCOUTID_CLIENT_SECRET,
+  redirectUri: config.SCOUTID_REDIRECT_URI,
+  scopes: config.SCOUTID_SCOPES,
+});
+
+export const getOpenIdConfiguration = client.getOpenIdConfiguration;
 
 /**
  * Generate the url which the user will be directed to in order to approve the
  * bot, and see the list of requested scopes.
  */
-export function getOidcAuthorizationUrl() {
-  // OIDC requires: state, nonce, PKCE (code_verifier + code_challenge), scope incl. openid
-  const state = crypto.randomUUID();
-  const nonce = crypto.randomUUID();
-
-  const codeVerifier = crypto.randomBytes(64).toString('base64url');
-  const codeChallenge = crypto
-    .createHash('sha256')
-    .update(codeVerifier)
-    .digest('base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=+$/, '');
-
-  const authorizationEndpoint = "https://scoutid.se/simplesaml/module.php/oidc/authorize.php"
-  const url = new URL(authorizationEndpoint);
-  url.searchParams.set('client_id', config.SCOUTID_CLIENT_ID);
-  url.searchParams.set('redirect_uri', config.SCOUTID_REDIRECT_URI);
-  url.searchParams.set('response_type', 'code');
-  url.searchParams.set('scope', config.SCOUTID_SCOPES || 'openid profile email');
-  url.searchParams.set('state', state);
-  url.searchParams.set('nonce', nonce);
-  url.searchParams.set('code_challenge', codeChallenge);
-  url.searchParams.set('code_challenge_method', 'S256');
-
-  return {
-    state,
-    nonce,
-    codeVerifier,
-    url: url.toString()
-  };
-}
+export const getOidcAuthorizationUrl = client.getAuthorizationUrl;
 
 /**
  * Given an OIDC authorization code from ScoutID, exchange it for access tokens.
  */
-export async function getOidcTokens({ code, codeVerifier }) {
-  if (!code) throw new Error('Missing authorization code');
-  if (!codeVerifier) throw new Error('Missing PKCE code_verifier');
+export const getOidcTokens = client.getTokens;
 
-  const url = 'https://scoutid.se/simplesaml/module.php/oidc/access_token.php';
-  const body = new URLSearchParams({
-        client_id: config.SCOUTID_CLIENT_ID,
-    client_secret: config.SCOUTID_CLIENT_SECRET,
-    grant_type: 'authorization_code',
-    code,
-    redirect_uri: config.SCOUTID_REDIRECT_URI,
-    code_verifier: codeVerifier,
-
-  });
+/**
+ * Verify a ScoutID id_token (signature, iss, aud, exp, nonce); returns its claims.
+ */
+export const verifyIdToken = client.verifyIdToken;
 
-  const response = await fetch(url, {
-    body,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-  });
-  if (response.ok) {
-    return await response.json();
-  } else {
-    const errorText = await response.text();
-    throw new Error(
-      `Error fetching ScoutID OIDC tokens: [${response.status}] ${response.statusText} - ${errorText}`
-    );
-  }
+/**
+ * Return a valid ScoutID access token for the stored tokens, refreshing and
+ * persisting them first if the access token has expired. Marks the ScoutID
+ * as needing re-verification if ScoutID rejects the refresh token.
+ */
+export async function getScoutIDAccessToken(scoutId, tokens) {
+  return await client.getAccessToken(scoutId, tokens);
 }
 
 /**
@@ -95,28 +62,72 @@ export async function getOidcTokens({ code, codeVerifier }) {
  *   "roles": "{\"organisation\":[],\"region\":[],\"project\":{\"123\":{\"65\":\"leader\",\"138\":\"project_admin\"}},\"network\":[],\"corps\":[],\"district\":[],\"group\":[],\"troop\":[],\"patrol\":[]}",
  *   "role": "*:*:group_committee_1"
  * }
+ *
+ * The `roles` and `role` claims are flattened into `memberships` (see
+ * parseRoleClaims).
  */
 export async function getUserData(tokens) {
-  const url = 'https://scoutid.se/simplesaml/module.php/oidc/userinfo.php';
-  const response = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${tokens.access_token}`,
-    },
-  });
-  
-  if (response.ok) {
-    const data = await response.json();
+  const data = await client.getUserInfo(tokens);
+
+  let metadata = {
+    sub: data.sub,
+    name: data.given_name + ' ' + data.family_name,
+    scoutid: data.profile,
+    email: data.email,
+    memberships: parseRoleClaims(data.roles, data.role),
+  };
 
-    let metadata = {
-      name: data.given_name + ' ' + data.family_name,
-      scoutid: data.profile,
-      email: data.email,
-    };
-  
-    return metadata;
-  } else {
-    const errorText = await response.text();
-    throw new Error(`Error fetching ScoutID user data: [${response.status}] ${response.statusText} - ${errorText}`);
+  return metadata;
+}
+
+/**
+ * Flatten the ScoutID `roles` claim — level → unit ID → role ID → role name,
+ * sent as a JSON string — into [{ level, unitId, roleId, role }].
+ * Empty levels come as [] and yield nothing; an unparsable claim yields [].
+ *
+ * The plain `role` claim — "level:unitId:role" entries, comma-separated or
+ * as an array — is added too, with roleId null, unless `roles` already has
+ * the same membership. Entries without three parts are skipped.
+ */
+export function parseRoleClaims(claim, roleClaim) {
+  const memberships = parseRolesClaim(claim);
+  const entries = Array.isArray(roleClaim)
+    ? roleClaim
+    : typeof roleClaim === 'string'
+      ? roleClaim.split(',')
+      : [];
+  for (const entry of entries) {
+    const parts = String(entry).trim().split(':');
+    if (parts.length !== 3 || parts.some((p) => !p)) continue;
+    const [level, unitId, role] = parts;
+    const known = memberships.some(
+      (m) => m.level === level && m.unitId === unitId && m.role === role
+    );
+    if (!known) memberships.push({ level, unitId, roleId: null, role });
   }
+  return memberships;
 }
 
+function parseRolesClaim(claim) {
+  let levels = claim;
+  if (typeof claim === 'string') {
+    try {
+      levels = JSON.parse(claim);
+    } catch {
+      return [];
+    }
+  }
+  if (!levels || typeof levels !== 'object') return [];
+
+  const memberships = [];
+  for (const [level, units] of Object.entries(levels)) {
+    if (!units || typeof units !== 'object' || Array.isArray(units)) continue;
+    for (const [unitId, unitRoles] of Object.entries(units)) {
+      if (!unitRoles || typeof unitRoles !== 'object') continue;
+      for (const [roleId, role] of Object.entries(unitRoles)) {
+        memberships.push({ level, unitId, roleId, role: String(role) });
+      }
+    }
+  }
+  return memberships;
+}
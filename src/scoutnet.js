@@ -1,44 +1,429 @@
-import config from "./config.js";
 import * as storage from "./storage.js";
+import * as rules from "./rules.js";
 
 /**
- * ScoutNet API client for event participant data.
+ * ScoutNet API client for event participants and group (kår) members.
  * See https://scoutnet.se for API details.
+ *
+ * Event functions take one of a guild's event configs
+ * (getGuildConfig(guildId).SCOUTNET_EVENTS); group functions take the guild
+ * config itself. Each list is one shared cache snapshot keyed by event or
+ * group ID, so guilds using the same event or group share it.
+ *
+ * Every refetch is diffed against the previous snapshot and the per-member
+ * changes are recorded (storage.appendScoutNetChanges): new, removed,
+ * cancelled, reinstated, fee, division and answers used by question roles
+ * (participants), unit and roles (group members), and name. getChanges()
+ * reads them back per guild.
+ *
+ * If a refresh fails (ScoutNet down, timeout), the last good snapshot keeps
+ * being served and ScoutNet is not asked again for RETRY_AFTER_FAILURE_MS.
+ * Only when there is no snapshot at all does a lookup throw, with the
+ * error's `unavailable` set; callers must then treat the member's ScoutNet
+ * data as unknown rather than empty (see roles.syncUserRoles).
  */
 
+const FETCH_TIMEOUT_MS = 30 * 1000;
+const RETRY_AFTER_FAILURE_MS = 2 * 60 * 1000;
+
+function getEvent(event) {
+  return {
+    cacheType: `participants-${event.SCOUTNET_EVENT_ID}`,
+    label: `participants for event ${event.SCOUTNET_EVENT_ID}`,
+    url: `https://scoutnet.se/api/project/get/participants?id=${event.SCOUTNET_EVENT_ID}&key=${event.SCOUTNET_PARTICIPANTS_APIKEY}`,
+    extract: (data) => data.participants ?? data,
+    diff: (before, after) => diffParticipant(event, before, after),
+  };
+}
+
+function getGroup(gc) {
+  if (!gc.SCOUTNET_GROUP_ID) {
+    throw new Error(`No ScoutNet group configured for guild ${gc.guildId}`);
+  }
+  return {
+    cacheType: `group-${gc.SCOUTNET_GROUP_ID}`,
+    label: `members for group ${gc.SCOUTNET_GROUP_ID}`,
+    url: `https://scoutnet.se/api/group/memberlist?id=${gc.SCOUTNET_GROUP_ID}&key=${gc.SCOUTNET_GROUP_APIKEY}`,
+    extract: parseMemberList,
+    diff: diffGroupMember,
+  };
+}
+
 /**
- * Get a specific participant by member ID.
+ * Get a specific participant by member ID in an event.
  * Returns null if not found.
+ *
+ * A point lookup in the shared cache while it is fresh; otherwise the list is
+ * refetched from ScoutNet first.
  */
-export async function getParticipant(memberId) {
-  const participants = await getParticipants();
-  const key = String(memberId);
-  return participants[key] ?? null;
+export async function getParticipant(eventConfig, memberId) {
+  return await getRecord(getEvent(eventConfig), memberId);
 }
 
 /**
- * Get all participants for the configured event.
- * Results are cached for 10 minutes.
+ * Get all participants for an event.
+ * Results are cached in storage for 10 minutes, shared by all replicas.
  *
  * Each participant has: member_no, first_name, last_name,
  * registration_date, cancelled_date, fee, questions, etc.
  */
-export async function getParticipants() {
-  const cached = await storage.getScoutNetData("participants");
-  if (cached) return cached;
+export async function getParticipants(eventConfig) {
+  return await getRecords(getEvent(eventConfig));
+}
+
+/**
+ * Get a member of the guild's ScoutNet group (kår) by member ID.
+ * Returns null if not a member. Cached like getParticipant.
+ */
+export async function getGroupMember(gc, memberId) {
+  return await getRecord(getGroup(gc), memberId);
+}
+
+/**
+ * Get all members of the guild's ScoutNet group.
+ *
+ * Each member has: member_no, first_name, last_name, unit_id, unit,
+ * roles (unit and group role names) and role_ids.
+ */
+export async function getGroupMembers(gc) {
+  return await getRecords(getGroup(gc));
+}
+
+async function getRecord(source, memberId) {
+  const key = String(memberId);
+  const records = await refresh(source);
+  if (records) return records[key] ?? null;
+  return await storage.getScoutNetRecord(source.cacheType, key);
+}
+
+async function getRecords(source) {
+  return (
+    (await refresh(source)) ??
+    (await storage.getScoutNetData(source.cacheType))
+  );
+}
+
+/**
+ * Refetch the source's list if the stored snapshot is stale. Returns the
+ * new records, or null if the stored snapshot is to be used: it is fresh,
+ * or ScoutNet failed and it is the last good one. Throws an `unavailable`
+ * error if ScoutNet failed and nothing is stored.
+ */
+async function refresh(source) {
+  if (await storage.isScoutNetDataFresh(source.cacheType)) return null;
+  const status = await storage.getScoutNetStatus(source.cacheType);
+  const hasSnapshot = status?.fetchedAt != null;
+
+  // Don't hammer ScoutNet (or wait for its timeout) on every lookup
+  if (status?.failedAt && Date.now() - status.failedAt < RETRY_AFTER_FAILURE_MS) {
+    if (hasSnapshot) return null;
+    throw unavailableError(source, status.error);
+  }
+  try {
+    return await fetchRecords(source);
+  } catch (e) {
+    if (!hasSnapshot) throw unavailableError(source, e.message);
+    console.error(
+      `Error refreshing ScoutNet ${source.label}, using snapshot from ${new Date(status.fetchedAt).toISOString()}: ${e.message}`
+    );
+    return null;
+  }
+}
+
+function unavailableError(source, message) {
+  const error = new Error(
+    `ScoutNet ${source.label} unavailable: ${message ?? "unknown error"}`
+  );
+  error.unavailable = true;
+  return error;
+}
+
+/**
+ * Fetch a list from ScoutNet and store it as the new shared snapshot.
+ * Concurrent callers in this process share one request.
+ */
+const inFlight = new Map(); // cacheType -> Promise
+function fetchRecords(source) {
+  if (!inFlight.has(source.cacheType)) {
+    inFlight.set(
+      source.cacheType,
+      doFetchRecords(source).finally(() => {
+        inFlight.delete(source.cacheType);
+      })
+    );
+  }
+  return inFlight.get(source.cacheType);
+}
+
+async function doFetchRecords({ url, cacheType, label, extract, diff }) {
+  let records;
+  try {
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `ScoutNet API error: [${response.status}] ${response.statusText} - ${errorText}`
+      );
+    }
+    records = extract(await response.json());
+  } catch (e) {
+    const error =
+      e.name === "TimeoutError"
+        ? new Error(`ScoutNet API timeout after ${FETCH_TIMEOUT_MS / 1000} s`)
+        : e;
+    await storage.recordScoutNetFetchFailure(cacheType, error.message);
+    throw error;
+  }
+
+  const { written, deleted, previous, changes } =
+    await storage.storeScoutNetData(cacheType, records);
+  console.log(
+    `Fetched ${Object.keys(records).length} ScoutNet ${label} (${written} changed, ${deleted} removed)`
+  );
+
+  // The first snapshot is the baseline, not a list of changes
+  if (previous) {
+    const entries = [];
+    for (const { key, before, after } of changes) {
+      const kinds = diff(before, after);
+      if (kinds.length === 0) continue;
+      entries.push({ key, name: fullName(after ?? before), changes: kinds });
+    }
+    try {
+      await storage.appendScoutNetChanges(cacheType, entries);
+    } catch (e) {
+      console.error(`Error recording ScoutNet changes: ${e.message}`);
+      // Syncs that rely on the log must not miss these changes
+      await storage
+        .markScoutNetChangesIncomplete(cacheType)
+        .catch((e) =>
+          console.error(
+            `Error marking the ScoutNet change log incomplete: ${e.message}`
+          )
+        );
+    }
+  }
+  return records;
+}
+
+/**
+ * Recorded per-member changes for the guild's events and group since
+ * `since` (epoch ms), oldest first:
+ * [{ source, key, name, at, changes: [{ kind, from, to }] }]
+ * where `source` is the event name or "kår".
+ */
+export async function getChanges(gc, since = 0) {
+  const sources = gc.SCOUTNET_EVENTS.map((e) => [e.name, getEvent(e)]);
+  if (gc.SCOUTNET_GROUP_ID) sources.push(["kår", getGroup(gc)]);
+
+  const entries = [];
+  for (const [name, source] of sources) {
+    for (const entry of await storage.getScoutNetChanges(
+      source.cacheType,
+      since
+    )) {
+      entries.push({ source: name, ...entry });
+    }
+  }
+  return entries.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Whether getChanges(gc, since) has every change of the guild's events and
+ * group (see storage.isScoutNetChangeLogComplete).
+ */
+export async function hasAllChanges(gc, since) {
+  const sources = gc.SCOUTNET_EVENTS.map(getEvent);
+  if (gc.SCOUTNET_GROUP_ID) sources.push(getGroup(gc));
+
+  for (const source of sources) {
+    if (!(await storage.isScoutNetChangeLogComplete(source.cacheType, since))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Snapshot state of the guild's events and group, for staleness reports:
+ * [{ source, fetchedAt, count, failedAt, error }] where `source` is the
+ * event name or "kår", `fetchedAt` is null if nothing was ever fetched and
+ * `failedAt`/`error` are set while the last refresh failed.
+ */
+export async function getDataStatus(gc) {
+  const sources = gc.SCOUTNET_EVENTS.map((e) => [e.name, getEvent(e)]);
+  if (gc.SCOUTNET_GROUP_ID) sources.push(["kår", getGroup(gc)]);
+
+  const statuses = [];
+  for (const [name, source] of sources) {
+    const status = await storage.getScoutNetStatus(source.cacheType);
+    statuses.push({
+      source: name,
+      fetchedAt: status?.fetchedAt ?? null,
+      count: status?.count ?? 0,
+      failedAt: status?.failedAt ?? null,
+      error: status?.error ?? null,
+    });
+  }
+  return statuses;
+}
+
+/**
+ * Swedish one-liners for getDataStatus() entries. Only sources without data
+ * or whose last refresh failed are listed unless `all` is set.
+ */
+export function formatDataStatus(statuses, { all = false } = {}) {
+  const when = (ms) =>
+    new Date(ms).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+  const lines = [];
+  for (const s of statuses) {
+    if (s.fetchedAt == null && s.failedAt) {
+      lines.push(
+        `⚠️ ScoutNet (${s.source}): ingen data — hämtning misslyckades ${when(s.failedAt)}: ${s.error}`
+      );
+    } else if (s.failedAt) {
+      lines.push(
+        `⚠️ ScoutNet (${s.source}): visar data från ${when(s.fetchedAt)} — uppdatering misslyckades ${when(s.failedAt)}: ${s.error}`
+      );
+    } else if (all) {
+      lines.push(
+        s.fetchedAt == null
+          ? `📡 ScoutNet (${s.source}): inte hämtad än`
+          : `📡 ScoutNet (${s.source}): ${s.count} poster, hämtad ${when(s.fetchedAt)}`
+      );
+    }
+  }
+  return lines;
+}
+
+function diffParticipant(event, before, after) {
+  if (!before) return [{ kind: "new" }];
+  if (!after) return [{ kind: "removed" }];
 
-  const url = `https://scoutnet.se/api/project/get/participants?id=${config.SCOUTNET_EVENT_ID}&key=${config.SCOUTNET_PARTICIPANTS_APIKEY}`;
-  const response = await fetch(url);
+  const changes = [];
+  const wasActive = before.cancelled_date == null;
+  const isActive = after.cancelled_date == null;
+  if (wasActive && !isActive) {
+    changes.push({ kind: "cancelled", to: after.cancelled_date });
+  } else if (!wasActive && isActive) {
+    changes.push({ kind: "reinstated" });
+  }
+  if (String(before.fee_id) !== String(after.fee_id)) {
+    changes.push({ kind: "fee", from: before.fee_id, to: after.fee_id });
+  }
+  const questionIds = rules.getQuestionIds(event.SCOUTNET_RULES);
+  for (const q of questionIds.division) {
+    const from = before.questions?.[q] ?? null;
+    const to = after.questions?.[q] ?? null;
+    if (String(from) !== String(to)) {
+      changes.push({ kind: "division", from, to });
+    }
+  }
+  for (const q of questionIds.answer) {
+    if (questionIds.division.includes(q)) continue; // reported as division
+    const from = before.questions?.[q] ?? null;
+    const to = after.questions?.[q] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ kind: "answer", question: q, from, to });
+    }
+  }
+  if (fullName(before) !== fullName(after)) {
+    changes.push({ kind: "name", from: fullName(before), to: fullName(after) });
+  }
+  return changes;
+}
+
+function diffGroupMember(before, after) {
+  if (!before) return [{ kind: "new" }];
+  if (!after) return [{ kind: "removed" }];
+
+  const changes = [];
+  if (before.unit_id !== after.unit_id) {
+    changes.push({ kind: "unit", from: before.unit, to: after.unit });
+  }
+  if (before.roles.join(",") !== after.roles.join(",")) {
+    changes.push({ kind: "roles", from: before.roles, to: after.roles });
+  }
+  if (fullName(before) !== fullName(after)) {
+    changes.push({ kind: "name", from: fullName(before), to: fullName(after) });
+  }
+  return changes;
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(
-      `ScoutNet API error: [${response.status}] ${response.statusText} - ${errorText}`
+function fullName(record) {
+  return [record.first_name, record.last_name].filter(Boolean).join(" ");
+}
+
+const CHANGE_LABELS = {
+  new: () => "ny",
+  removed: () => "borttagen",
+  cancelled: (c) => `avbokad ${c.to}`,
+  reinstated: () => "återanmäld",
+  fee: (c) => `fee_id ${c.from} → ${c.to}`,
+  division: (c) => `avdelning ${c.from ?? "–"} → ${c.to ?? "–"}`,
+  answer: (c) =>
+    `fråga ${c.question} ${formatAnswer(c.from)} → ${formatAnswer(c.to)}`,
+  unit: (c) => `avdelning ${c.from ?? "–"} → ${c.to ?? "–"}`,
+  roles: (c) =>
+    `roller ${c.from.join(", ") || "–"} → ${c.to.join(", ") || "–"}`,
+  name: (c) => `namn "${c.from}" → "${c.to}"`,
+};
+
+function formatAnswer(answer) {
+  if (answer == null || answer === "") return "–";
+  return typeof answer === "object"
+    ? Object.values(answer).join("/")
+    : String(answer);
+}
+
+/**
+ * Swedish report of getChanges() entries for /changes-scoutid.
+ */
+export function formatChangeReport(entries, hours) {
+  const lines = [
+    `📋 **ScoutNet-ändringar senaste ${hours} h** — ${entries.length} ändrade medlemmar`,
+  ];
+  if (entries.length === 0) {
+    lines.push("Inga ändringar sedan dess (eller ingen hämtning gjord).");
+  }
+  for (const e of entries) {
+    const when = new Date(e.at).toISOString().slice(0, 16).replace("T", " ");
+    const what = e.changes.map((c) => CHANGE_LABELS[c.kind](c)).join(", ");
+    lines.push(
+      `- ${when} [${e.source}] \`${e.key}\` ${e.name || "?"}: ${what}`
     );
   }
+  return lines.join("\n");
+}
 
-  const data = await response.json();
-  const participants = data.participants ?? data;
-  await storage.storeScoutNetData("participants", participants);
-  return participants;
+/**
+ * Flatten a group/memberlist response ({ data: { member_no: { field:
+ * { value, raw_value } } } }) into one small record per member. Only the
+ * fields used for roles and names are kept.
+ */
+function parseMemberList(data) {
+  const members = {};
+  for (const [memberNo, m] of Object.entries(data.data ?? {})) {
+    const field = (name) => m[name]?.value ?? null;
+    const list = (str) =>
+      String(str ?? "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    members[memberNo] = {
+      member_no: memberNo,
+      first_name: field("first_name"),
+      last_name: field("last_name"),
+      unit_id: m.unit?.raw_value != null ? String(m.unit.raw_value) : null,
+      unit: field("unit"),
+      roles: [...list(field("unit_role")), ...list(field("group_role"))],
+      role_ids: [
+        ...list(m.unit_role?.raw_value),
+        ...list(m.group_role?.raw_value),
+      ],
+    };
+  }
+  return members;
 }
@@ -1,14 +1,32 @@
+import crypto from "crypto";
 import express from "express";
 import cookieParser from "cookie-parser";
 
-import config from "./config.js";
+import config, {
+  getGuildConfig,
+  getGuildIds,
+  getOwnerGuildId,
+} from "./config.js";
 import * as discord from "./discord.js";
-import * as scoutid from "./scoutid.js";
+import * as identity from "./identity.js";
 import * as scoutnet from "./scoutnet.js";
 import * as storage from "./storage.js";
 import * as roles from "./roles.js";
+import * as rules from "./rules.js";
+import * as roleRegistry from "./role-registry.js";
+import * as provisioning from "./provisioning.js";
 import * as audit from "./audit.js";
-import { getSuccessPageHTML } from "./templates.js";
+import * as links from "./links.js";
+import * as maintenance from "./maintenance.js";
+import * as backup from "./backup.js";
+import * as retention from "./retention.js";
+import * as scheduler from "./scheduler.js";
+import {
+  getSuccessPageHTML,
+  getUnlinkedPageHTML,
+  getConfirmUnlinkHTML,
+  getProviderChoiceHTML,
+} from "./templates.js";
 
 const app = express();
 app.use(cookieParser(config.COOKIE_SECRET));
@@ -21,24 +39,75 @@ app.get("/", (req, res) => {
 
 // --- OAuth flow: step 1 - redirect to Discord ---
 
+// `?provider=<id>` preselects the identity provider (see identity.js);
+// without it members choose after the Discord login if there are several.
 app.get("/linked-role", async (req, res) => {
-  const { url, state } = discord.getOAuthUrl();
+  const { url, state } = await discord.getOAuthUrl("link");
+  res.cookie("clientState", state, { maxAge: 1000 * 60 * 5, signed: true });
+  // Left by older versions, which kept the unlink intent in a cookie
+  res.clearCookie("intent");
+  const provider = identity.getProvider(req.query["provider"]);
+  if (provider) {
+    res.cookie("provider", provider.id, { maxAge: 1000 * 60 * 5, signed: true });
+  }
+  res.redirect(url);
+});
+
+// --- Self-service unlink: Discord login proves who is asking ---
+//
+// The login only shows a confirmation page; nothing is deleted until the
+// member submits it (POST below).
+
+app.get("/unlink-scoutid", async (req, res) => {
+  const { url, state } = await discord.getOAuthUrl("unlink");
   res.cookie("clientState", state, { maxAge: 1000 * 60 * 5, signed: true });
   res.redirect(url);
 });
 
-// --- OAuth flow: step 2 - Discord callback → redirect to ScoutID ---
+app.post(
+  "/unlink-scoutid",
+  express.urlencoded({ extended: false }),
+  async (req, res) => {
+    try {
+      const confirmState = req.body?.state;
+      const stateData = confirmState
+        ? await storage.getStateData(confirmState)
+        : null;
+      if (
+        stateData?.intent !== "unlink-confirm" ||
+        req.signedCookies.unlinkState !== confirmState
+      ) {
+        console.error("Unlink confirmation failed.");
+        return res.sendStatus(403);
+      }
+
+      await storage.deleteStateData(confirmState);
+      res.clearCookie("unlinkState");
+      await links.deleteMemberData(stateData.discordUserId, { source: "self" });
+      res.send(getUnlinkedPageHTML());
+    } catch (e) {
+      console.error(e);
+      res.sendStatus(500);
+    }
+  },
+);
+
+// --- OAuth flow: step 2 - Discord callback → redirect to identity provider ---
 
 app.get("/discord-oauth-callback", async (req, res) => {
   try {
     const code = req.query["code"];
     const discordState = req.query["state"];
+    const stateData = discordState
+      ? await storage.getStateData(discordState)
+      : null;
 
     const { clientState } = req.signedCookies;
-    if (clientState !== discordState) {
+    if (!stateData || clientState !== discordState) {
       console.error("State verification failed.");
       return res.sendStatus(403);
     }
+    await storage.deleteStateData(discordState);
 
     const tokens = await discord.getOAuthTokens(code);
     const meData = await discord.getUserData(tokens);
@@ -50,70 +119,175 @@ app.get("/discord-oauth-callback", async (req, res) => {
       expires_at: Date.now() + tokens.expires_in * 1000,
     });
 
-    // Redirect to ScoutID for identity verification
-    const { state, codeVerifier, url } = scoutid.getOidcAuthorizationUrl();
+    // Started from /unlink-scoutid: ask for confirmation instead of
+    // continuing to ScoutID.
+    if (stateData.intent === "unlink") {
+      const confirmState = crypto.randomUUID();
+      await storage.storeStateData(confirmState, {
+        intent: "unlink-confirm",
+        discordUserId: userId,
+      });
+      res.cookie("unlinkState", confirmState, {
+        maxAge: 1000 * 60 * 5,
+        signed: true,
+      });
+      return res.send(getConfirmUnlinkHTML(confirmState));
+    }
+
+    const providers = identity.getProviders();
+    const chosen = identity.getProvider(req.signedCookies.provider);
+    res.clearCookie("provider");
+    if (chosen || providers.length === 1) {
+      return await redirectToProvider(res, chosen ?? providers[0], userId);
+    }
 
-    res.cookie("clientState", state, { maxAge: 1000 * 60 * 5, signed: true });
-    await storage.storeStateData(state, {
-      discordUserId: userId,
-      codeVerifier,
+    // Several providers: let the member pick. The signed cookie carries the
+    // Discord identity we just verified to /identity-provider/:id.
+    res.cookie("discordUserId", userId, {
+      maxAge: 1000 * 60 * 5,
+      signed: true,
     });
-    res.redirect(url);
+    res.send(getProviderChoiceHTML(providers));
+  } catch (e) {
+    console.error(e);
+    res.sendStatus(500);
+  }
+});
+
+app.get("/identity-provider/:id", async (req, res) => {
+  try {
+    const provider = identity.getProvider(req.params.id);
+    const userId = req.signedCookies.discordUserId;
+    if (!provider) return res.sendStatus(404);
+    if (!userId) {
+      // Choice page expired: start over with this provider preselected
+      return res.redirect(`/linked-role?provider=${provider.id}`);
+    }
+    res.clearCookie("discordUserId");
+    await redirectToProvider(res, provider, userId);
   } catch (e) {
     console.error(e);
     res.sendStatus(500);
   }
 });
 
-// --- OAuth flow: step 3 - ScoutID callback → link accounts + assign roles ---
+/**
+ * Start the identity provider's OIDC login for a Discord user.
+ */
+async function redirectToProvider(res, provider, discordUserId) {
+  const { state, nonce, codeVerifier, url } =
+    await provider.getAuthorizationUrl();
+
+  res.cookie("clientState", state, { maxAge: 1000 * 60 * 5, signed: true });
+  await storage.storeStateData(state, {
+    discordUserId,
+    codeVerifier,
+    nonce,
+    provider: provider.id,
+  });
+  res.redirect(url);
+}
+
+// --- OAuth flow: step 3 - provider callback → link accounts + assign roles ---
+//
+// Shared by all identity providers (each is configured with this redirect
+// URI); the state row says which one the login was started with.
 
 app.get("/scoutid-oauth-callback", async (req, res) => {
   try {
     const state = req.query["state"];
-    const { discordUserId, codeVerifier } = await storage.getStateData(state);
+    const stateData = await storage.getStateData(state);
 
     const { clientState } = req.signedCookies;
-    if (clientState !== state) {
+    if (!stateData || clientState !== state) {
       console.error("State verification failed.");
       return res.sendStatus(403);
     }
 
+    // State is single-use: remove it before doing anything with the code.
+    await storage.deleteStateData(state);
+    const { discordUserId, codeVerifier, nonce } = stateData;
+    const provider = identity.getProvider(
+      stateData.provider ?? identity.DEFAULT_PROVIDER,
+    );
+    if (!provider) {
+      console.error(`Unknown identity provider "${stateData.provider}"`);
+      return res.sendStatus(400);
+    }
+
     const code = req.query["code"];
-    const tokens = await scoutid.getOidcTokens({ code, codeVerifier });
-    const scoutIDUser = await scoutid.getUserData(tokens);
+    const tokens = await provider.getTokens({ code, codeVerifier });
+
+    // The id_token proves the code was issued for this login (nonce) by
+    // the provider (signature, iss) to us (aud).
+    let claims;
+    try {
+      claims = await provider.verifyIdToken(tokens.id_token, { nonce });
+    } catch (e) {
+      console.error(`ID token verification failed (${provider.id}): ${e.message}`);
+      return res.sendStatus(403);
+    }
+
+    const user = await provider.getUserData(tokens);
+    if (user.sub !== claims.sub) {
+      console.error(
+        `${provider.name} userinfo sub ${user.sub} does not match id_token sub ${claims.sub}`,
+      );
+      return res.sendStatus(403);
+    }
+    const linkedId = identity.getLinkedId(provider.id, user.userId);
+
+    // Link accounts (subject to LINK_POLICY) and push metadata
+    const link = await links.linkAccounts(discordUserId, linkedId, {
+      source: "oauth",
+      provider: provider.id,
+    });
+    if (link.error) {
+      console.warn(
+        `Refused to link ${linkedId} (${provider.id}) to Discord user ${discordUserId}: already linked to ${link.conflicts.join(", ")}`,
+      );
+      return res
+        .status(409)
+        .send(
+          `This ${provider.name} account is already linked to another Discord account. Contact a server admin if you need to move the link.`,
+        );
+    }
 
     console.log(
-      `Linked ScoutID ${scoutIDUser.scoutid} to Discord user ${discordUserId}`,
+      `Linked ${linkedId} (${provider.id}) to Discord user ${discordUserId}`,
     );
 
-    await storage.storeScoutIDTokens(scoutIDUser.scoutid, {
+    await storage.storeScoutIDTokens(linkedId, {
       discord_user_id: discordUserId,
       access_token: tokens.access_token,
       refresh_token: tokens.refresh_token,
       expires_at: Date.now() + tokens.expires_in * 1000,
     });
-
-    // Link accounts and push metadata
-    await storage.setLinkedScoutIDUserId(discordUserId, scoutIDUser.scoutid);
+    await storage.storeScoutIDClaims(linkedId, user.memberships);
     await updateMetadata(discordUserId);
 
-    // Assign Discord roles
-    try {
-      const guildId = config.DISCORD_GUILD_ID;
-      if (guildId) {
-        const desiredRoles = await roles.getDesiredRoles(scoutIDUser.scoutid);
+    // Assign Discord roles and nickname in every configured guild the user
+    // is a member of, each with that guild's role config.
+    for (const guildId of getGuildIds()) {
+      try {
+        if (!(await discord.isGuildMember(guildId, discordUserId))) continue;
+
+        const desiredRoles = await roles.getDesiredRoles(guildId, linkedId);
         if (desiredRoles.length > 0) {
-          await addDiscordRoles(discordUserId, desiredRoles);
+          await addDiscordRoles(guildId, discordUserId, desiredRoles);
         }
-      }
-    } catch (e) {
-      console.error(`Error assigning roles for ${discordUserId}:`, e.message);
-    }
 
-    // Update nickname with role suffix
-    if (scoutIDUser.name) {
-      const suffix = await roles.getNicknameSuffix(scoutIDUser.scoutid);
-      await updateNickname(discordUserId, scoutIDUser.name + suffix);
+        // Update nickname with role suffix
+        if (user.name) {
+          const suffix = await roles.getNicknameSuffix(guildId, linkedId);
+          await updateNickname(guildId, discordUserId, user.name + suffix);
+        }
+      } catch (e) {
+        console.error(
+          `Error assigning roles for ${discordUserId} in guild ${guildId}:`,
+          e.message,
+        );
+      }
     }
 
     res.send(getSuccessPageHTML());
@@ -138,6 +312,8 @@ app.get("/update-metadata", async (req, res) => {
 // --- Discord interactions (slash commands) ---
 
 const ADMIN_PERMISSION = BigInt(0x8);
+// How often a running bulk sync's reply shows its progress
+const PROGRESS_INTERVAL_MS = 10 * 1000;
 
 app.post(
   "/interactions",
@@ -203,6 +379,86 @@ app.post(
       return;
     }
 
+    if (interaction.type === 2 && interaction.data.name === "history-scoutid") {
+      res.json({ type: 5, data: { flags: 64 } });
+      setTimeout(
+        () => handleHistoryCommand(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
+    if (interaction.type === 2 && interaction.data.name === "unlink-scoutid") {
+      res.json({ type: 5, data: { flags: 64 } });
+      setTimeout(
+        () => handleUnlinkCommand(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
+    if (interaction.type === 2 && interaction.data.name === "export-scoutid") {
+      res.json({ type: 5, data: { flags: 64 } });
+      setTimeout(
+        () => handleExportCommand(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
+    if (interaction.type === 2 && interaction.data.name === "import-scoutid") {
+      res.json({ type: 5, data: { flags: 64 } });
+      setTimeout(
+        () => handleImportCommand(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
+    if (interaction.type === 2 && interaction.data.name === "changes-scoutid") {
+      res.json({ type: 5, data: { flags: 64 } });
+      setTimeout(
+        () => handleChangesCommand(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
+    if (
+      interaction.type === 2 &&
+      interaction.data.name === "retention-scoutid"
+    ) {
+      res.json({ type: 5, data: { flags: 64 } });
+      setTimeout(
+        () => handleRetentionCommand(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
+    if (interaction.type === 2 && interaction.data.name === "roles-scoutid") {
+      res.json({ type: 5, data: { flags: 64 } });
+      setTimeout(
+        () => handleRolesCommand(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
+    // "Utför planen" button on a /refresh-scoutid plan report
+    if (
+      interaction.type === 3 &&
+      interaction.data.custom_id?.startsWith("apply-plan:")
+    ) {
+      // Deferred update (type 6): the plan message itself is edited later
+      res.json({ type: 6 });
+      setTimeout(
+        () => handleApplyPlanButton(interaction).catch(console.error),
+        1000,
+      );
+      return;
+    }
+
     res.sendStatus(400);
   },
 );
@@ -218,9 +474,26 @@ async function handleRefreshCommand(interaction) {
     (o) => o.name === "person",
   );
   const allOption = interaction.data.options?.find((o) => o.name === "alla");
+  const fullOption = interaction.data.options?.find(
+    (o) => o.name === "fullständig",
+  );
+  const planOption = interaction.data.options?.find((o) => o.name === "plan");
 
   try {
-    if (allOption?.value === true) {
+    if (planOption?.value === true) {
+      // Dry run of a full sync of everyone - admin only
+      if (!isAdmin) {
+        await discord.editInteractionResponse(
+          token,
+          "Du måste vara admin för att planera en synk.",
+        );
+        return;
+      }
+      await replyWithSyncPlan(
+        token,
+        await roles.createSyncPlan(guildId, callerId),
+      );
+    } else if (allOption?.value === true) {
       // Refresh all users - admin only
       if (!isAdmin) {
         await discord.editInteractionResponse(
@@ -236,66 +509,39 @@ async function handleRefreshCommand(interaction) {
         linkedUsers.map((u) => `${u.discordUserId} -> ${u.scoutId}`),
       );
 
-      const results = await roles.syncAllUserRoles(guildId);
-      if (results.length === 0) {
+      // Only members whose ScoutNet data changed, unless a full sync is asked for
+      const sync = await withProgressReplies(token, () =>
+        scheduler.runExclusive(() =>
+          fullOption?.value === true
+            ? roles.syncAllUserRoles(guildId).then((results) => ({
+                full: true,
+                results,
+              }))
+            : roles.syncChangedUserRoles(guildId),
+        ),
+      );
+      if (!sync) {
         await discord.editInteractionResponse(
           token,
-          "Inga länkade användare hittades.",
+          "En synk pågår redan — försök igen om en stund.",
         );
         return;
       }
-
-      const errors = results.filter((r) => r.error);
-      const changed = results.filter(
-        (r) => !r.error && ((r.added?.length ?? 0) > 0 || (r.removed?.length ?? 0) > 0),
-      );
-      const unchanged = results.length - errors.length - changed.length;
-
-      const lines = [];
-      lines.push(
-        `Synkade **${results.length}** användare: ${changed.length} med ändringar, ${errors.length} fel, ${unchanged} oförändrade.`,
-      );
-      if (changed.length > 0) {
-        lines.push("");
-        lines.push("**Ändringar:**");
-        for (const r of changed) {
-          lines.push(`- <@${r.discordUserId}>: ${formatChanges(r)}`);
-        }
-      }
-      if (errors.length > 0) {
-        lines.push("");
-        lines.push("**Fel:**");
-        for (const r of errors) {
-          lines.push(`- <@${r.discordUserId}>: ${r.error}`);
-        }
-      }
-
-      const message = lines.join("\n");
-      if (message.length <= 2000) {
-        await discord.editInteractionResponse(token, message);
-      } else {
-        // Build full detailed report as attachment
-        const full = [
-          `Synkade ${results.length} användare: ${changed.length} med ändringar, ${errors.length} fel, ${unchanged} oförändrade.`,
-          "",
-          "=== Ändringar ===",
-          ...changed.map((r) => `${r.discordUserId}: ${formatChanges(r)}`),
-          "",
-          "=== Fel ===",
-          ...errors.map((r) => `${r.discordUserId}: ${r.error}`),
-          "",
-          "=== Oförändrade ===",
-          ...results
-            .filter((r) => !r.error && !changed.includes(r))
-            .map((r) => r.discordUserId),
-        ].join("\n");
-        await discord.editInteractionResponseWithFile(
+      const { results } = sync;
+      const changeNote = sync.full
+        ? ""
+        : `ScoutNet: ${sync.changedMembers} ändrade medlemmar sedan förra synken. `;
+      if (results.length === 0) {
+        await discord.editInteractionResponse(
           token,
-          `Synkade ${results.length} användare: ${changed.length} ändringar, ${errors.length} fel. Full lista i bifogad fil.`,
-          "refresh-scoutid.txt",
-          full,
+          changeNote
+            ? `${changeNote}Ingen länkad användare berördes.`
+            : "Inga länkade användare hittades.",
         );
+        return;
       }
+
+      await replyWithSyncResults(token, results, changeNote);
     } else if (personOption) {
       // Refresh specific person
       const targetUserId = personOption.value;
@@ -345,6 +591,73 @@ async function handleRefreshCommand(interaction) {
   }
 }
 
+/**
+ * "Utför planen": apply the stored plan if a fresh plan comes out the same
+ * (see roles.applySyncPlan). Edits the plan message itself.
+ */
+async function handleApplyPlanButton(interaction) {
+  const guildId = interaction.guild_id;
+  const token = interaction.token;
+  const callerId = interaction.member.user.id;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
+  const planId = interaction.data.custom_id.slice("apply-plan:".length);
+
+  try {
+    if (!isAdmin) {
+      await discord.editInteractionResponse(
+        token,
+        "Du måste vara admin för att utföra planen.",
+        { components: [] },
+      );
+      return;
+    }
+
+    const outcome = await withProgressReplies(token, () =>
+      scheduler.runExclusive(() => roles.applySyncPlan(guildId, planId)),
+    );
+    if (!outcome) {
+      // Keep the button so it can be clicked again
+      await discord.editInteractionResponse(
+        token,
+        "En synk pågår redan — klicka på **Utför planen** igen om en stund. Planen finns i bifogad fil.",
+      );
+      return;
+    }
+    if (outcome.status === "missing") {
+      await discord.editInteractionResponse(
+        token,
+        "Planen finns inte längre (redan utförd eller för gammal). Kör `/refresh-scoutid plan` igen.",
+        { components: [] },
+      );
+      return;
+    }
+    if (outcome.status === "stale") {
+      await discord.editInteractionResponse(
+        token,
+        `⚠️ Planen utfördes inte: ${outcome.differing} medlemmar skulle nu få andra ändringar än i planen. Kör \`/refresh-scoutid plan\` igen.`,
+        { components: [] },
+      );
+      return;
+    }
+
+    console.log(
+      `Sync plan ${planId} applied in guild ${guildId} by ${callerId} (${outcome.results.length} members)`,
+    );
+    await replyWithSyncResults(
+      token,
+      outcome.results,
+      "✅ Planen är utförd. ",
+      { components: [] },
+    );
+  } catch (e) {
+    console.error("Error applying sync plan:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`, {
+      components: [],
+    });
+  }
+}
+
 async function handleStatusCommand(interaction) {
   const guildId = interaction.guild_id;
   const token = interaction.token;
@@ -368,9 +681,18 @@ async function handleStatusCommand(interaction) {
     try {
       const result = await audit.runAudit(guildId);
       const summary = audit.summarizeAudit(result);
+      const sweep = maintenance.formatSweep(await maintenance.getLastSweep());
+      const purge = retention.formatRetention(
+        await retention.getLastRetention(),
+      );
+      let sync = scheduler.formatLastSync(await scheduler.getLastSync());
+      const progress = roles.getSyncProgress();
+      if (progress?.guildId === guildId) {
+        sync += `\n${roles.formatSyncProgress(progress)}`;
+      }
       await discord.editInteractionResponse(
         token,
-        `**Server-status**\n${summary}\n\nKör \`/audit-scoutid\` för full rapport.`,
+        `**Server-status**\n${summary}\n${sync}\n${sweep}\n${purge}\n\nKör \`/audit-scoutid\` för full rapport.`,
       );
     } catch (e) {
       console.error("Error handling status summary:", e);
@@ -388,50 +710,89 @@ async function handleStatusCommand(interaction) {
     if (!scoutId) {
       lines.push("🔴 Inte länkad till ScoutID");
     } else {
-      lines.push(`🟢 Länkad till ScoutID: \`${scoutId}\``);
+      const providerId = await storage.getLinkedProvider(targetUserId);
+      if (providerId === identity.DEFAULT_PROVIDER) {
+        lines.push(`🟢 Länkad till ScoutID: \`${scoutId}\``);
+      } else {
+        const providerName =
+          identity.getProvider(providerId)?.name ?? providerId;
+        lines.push(`🟢 Länkad via ${providerName}: \`${scoutId}\``);
+      }
 
-      // ScoutID name (from stored tokens)
+      // Every Discord account tied to the same ScoutID
+      const linkedIds = await storage.getLinkedDiscordUserIds(scoutId);
+      const others = linkedIds.filter((id) => id !== targetUserId);
+      if (others.length > 0) {
+        lines.push(
+          `⚠️ Samma ScoutID är även länkat till: ${others.map((id) => `<@${id}>`).join(", ")}`,
+        );
+      }
+
+      // Name from the identity provider (stored tokens, refreshed if expired)
       try {
-        const scoutIDTokens = await storage.getScoutIDTokens(scoutId);
-        if (scoutIDTokens) {
-          const scoutIDData = await scoutid.getUserData(scoutIDTokens);
-          lines.push(`👤 Namn: ${scoutIDData.name}`);
-        }
+        const userData = await identity.getLinkedUserData(scoutId);
+        if (userData) lines.push(`👤 Namn: ${userData.name}`);
       } catch (e) {
         lines.push(`👤 Namn: (kunde inte hämta — ${e.message})`);
       }
+      const reverify = await storage.getNeedsReverification(scoutId);
+      if (reverify) {
+        lines.push(
+          `⚠️ Behöver logga in igen (sedan ${reverify.since.slice(0, 10)}) — via länken i Linked Roles`,
+        );
+      }
 
       // ScoutNet participant info
-      if (config.SCOUTNET_EVENT_ID) {
+      const gc = getGuildConfig(guildId);
+      for (const event of gc.SCOUTNET_EVENTS) {
+        const label =
+          gc.SCOUTNET_EVENTS.length > 1
+            ? `📋 ScoutNet (${event.name})`
+            : "📋 ScoutNet";
         try {
-          const participant = await scoutnet.getParticipant(scoutId);
+          const participant = await scoutnet.getParticipant(event, scoutId);
           if (!participant) {
-            lines.push("📋 ScoutNet: Inte registrerad i evenemanget");
+            lines.push(`${label}: Inte registrerad i evenemanget`);
           } else if (participant.cancelled_date != null) {
             lines.push(
-              `📋 ScoutNet: Avregistrerad (${participant.cancelled_date})`,
+              `${label}: Avregistrerad (${participant.cancelled_date})`,
             );
           } else {
-            const category =
-              config.SCOUTNET_FEE_ROLES?.[String(participant.fee_id)] ??
-              "(okänd)";
-            const divConfig = config.SCOUTNET_DIVISION_ROLES?.[category];
-            const division = divConfig
-              ? participant.questions?.[divConfig.questionId] || null
-              : null;
+            const category = rules.getCategory(
+              event.SCOUTNET_RULES,
+              participant,
+            );
+            const division = rules.getDivision(category, participant);
             lines.push(
-              `📋 ScoutNet: fee_id=${participant.fee_id}, kategori=${category}, avdelning=${division ?? "(saknas)"}`,
+              `${label}: fee_id=${participant.fee_id}, kategori=${category?.name ?? "(okänd)"}, avdelning=${division ?? "(saknas)"}`,
             );
           }
         } catch (e) {
-          lines.push(`📋 ScoutNet: Fel — ${e.message}`);
+          lines.push(`${label}: Fel — ${e.message}`);
+        }
+      }
+      if (gc.SCOUTNET_GROUP_ID) {
+        try {
+          const groupMember = await scoutnet.getGroupMember(gc, scoutId);
+          lines.push(
+            groupMember
+              ? `🏕️ Kår: avdelning=${groupMember.unit ?? "(ingen)"}, roller=${groupMember.roles.join(", ") || "(inga)"}`
+              : "🏕️ Kår: Inte med i kårens medlemslista",
+          );
+        } catch (e) {
+          lines.push(`🏕️ Kår: Fel — ${e.message}`);
         }
       }
 
+      // Stale or missing ScoutNet data behind the lines above
+      lines.push(...scoutnet.formatDataStatus(await scoutnet.getDataStatus(gc)));
+
       // Desired roles
       try {
-        const desiredRoles = await roles.getDesiredRoles(scoutId);
-        lines.push(`🎯 Förväntade roller: ${desiredRoles.join(", ")}`);
+        const desired = await roles.resolveDesiredRoles(guildId, scoutId);
+        lines.push(
+          `🎯 Förväntade roller: ${desired.roles.join(", ")}${desired.unavailable.length > 0 ? ` (ofullständigt — ScoutNet-data saknas för ${desired.unavailable.join(", ")})` : ""}`,
+        );
       } catch (e) {
         lines.push(`🎯 Förväntade roller: Fel — ${e.message}`);
       }
@@ -504,6 +865,7 @@ async function handleAuditCommand(interaction) {
 async function handleLinkCommand(interaction) {
   const guildId = interaction.guild_id;
   const token = interaction.token;
+  const callerId = interaction.member.user.id;
   const callerPermissions = BigInt(interaction.member.permissions);
   const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
 
@@ -514,6 +876,7 @@ async function handleLinkCommand(interaction) {
     );
     return;
   }
+  if (!(await checkOwnerGuild(interaction))) return;
 
   const targetUserId = interaction.data.options.find(
     (o) => o.name === "person",
@@ -542,17 +905,21 @@ async function handleLinkCommand(interaction) {
       messageParts.push("Redan länkad — tvingar om-synk av roller och smeknamn.");
     }
 
-    let participant = null;
-    if (config.SCOUTNET_EVENT_ID) {
+    const events = getGuildConfig(guildId).SCOUTNET_EVENTS;
+    if (events.length > 0) {
       try {
-        participant = await scoutnet.getParticipant(scoutIdInput);
-        if (!participant) {
+        const participants = [];
+        for (const event of events) {
+          const p = await scoutnet.getParticipant(event, scoutIdInput);
+          if (p) participants.push(p);
+        }
+        if (participants.length === 0) {
           messageParts.push(
             `⚠️ ScoutNet känner inte till member_no \`${scoutIdInput}\` — länkar ändå.`,
           );
-        } else if (participant.cancelled_date != null) {
+        } else if (participants.every((p) => p.cancelled_date != null)) {
           messageParts.push(
-            `⚠️ ScoutNet-deltagaren är avbokad (${participant.cancelled_date}).`,
+            `⚠️ ScoutNet-deltagaren är avbokad (${participants[0].cancelled_date}).`,
           );
         }
       } catch (e) {
@@ -560,7 +927,20 @@ async function handleLinkCommand(interaction) {
       }
     }
 
-    await storage.setLinkedScoutIDUserId(targetUserId, scoutIdInput);
+    const link = await links.linkAccounts(targetUserId, scoutIdInput, {
+      source: "admin",
+      actorId: callerId,
+    });
+    if (link.error) {
+      await discord.editInteractionResponse(
+        token,
+        `<@${targetUserId}>: Länkades inte. ${link.error} (LINK_POLICY=reject).`,
+      );
+      return;
+    }
+    const conflictNote = links.formatLinkConflicts(link);
+    if (conflictNote) messageParts.push(conflictNote);
+
     await storage.clearScoutNetCache();
     const result = await roles.syncUserRoles(guildId, targetUserId);
 
@@ -591,85 +971,739 @@ async function handleLinkCommand(interaction) {
   }
 }
 
-function normalizeName(s) {
-  return s
-    .normalize("NFD")
-    .replace(/[̀-ͯ]/g, "")
-    .toLowerCase()
-    .trim();
-}
-
-function formatChanges({ added, removed }) {
-  const parts = [];
-  if (added?.length > 0) parts.push(`Lade till: ${added.join(", ")}`);
-  if (removed?.length > 0) parts.push(`Tog bort: ${removed.join(", ")}`);
-  if (parts.length === 0) return "Inga ändringar";
-  return parts.join(". ");
-}
+async function handleHistoryCommand(interaction) {
+  const token = interaction.token;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
 
-// --- Helper functions ---
+  if (!isAdmin) {
+    await discord.editInteractionResponse(
+      token,
+      "Du måste vara admin för att använda det här kommandot.",
+    );
+    return;
+  }
+  if (!(await checkOwnerGuild(interaction))) return;
 
-async function updateMetadata(discordUserId) {
-  const scoutId = await storage.getLinkedScoutIDUserId(discordUserId);
-  if (!scoutId) throw new Error("ingen storage-länk");
+  const targetUserId = interaction.data.options?.find(
+    (o) => o.name === "person",
+  )?.value;
+  const scoutIdInput = interaction.data.options
+    ?.find((o) => o.name === "scoutid")
+    ?.value.trim();
 
-  const discordTokens = await storage.getDiscordTokens(discordUserId);
-  if (!discordTokens) {
-    throw new Error("Discord OAuth-tokens saknas i storage");
+  if (!targetUserId && !scoutIdInput) {
+    await discord.editInteractionResponse(
+      token,
+      "Ange `person` eller `scoutid`.",
+    );
+    return;
   }
 
-  let metadata = { scoutid: scoutId };
   try {
-    const scoutIDTokens = await storage.getScoutIDTokens(scoutId);
-    if (scoutIDTokens) {
-      const scoutIDData = await scoutid.getUserData(scoutIDTokens);
-      metadata = {
-        scoutid: scoutIDData.scoutid,
-        email: scoutIDData.email,
-        name: scoutIDData.name,
-      };
-    }
-  } catch (e) {
-    console.error(`Error fetching ScoutID data: ${e.message}`);
-  }
+    // By person: a prefix scan. By scoutid: every record that touched it.
+    const records = targetUserId
+      ? await storage.getLinkHistory(targetUserId)
+      : (await storage.getAllLinkHistory()).filter(
+          (r) => r.oldScoutId === scoutIdInput || r.newScoutId === scoutIdInput,
+        );
+    const subject = targetUserId ? `<@${targetUserId}>` : `scoutid \`${scoutIdInput}\``;
 
-  await discord.pushMetadata(discordUserId, discordTokens, metadata);
+    if (records.length === 0) {
+      await discord.editInteractionResponse(
+        token,
+        `Ingen länkhistorik för ${subject}.`,
+      );
+      return;
+    }
+
+    const lines = [
+      `**Länkhistorik för ${subject}** (${records.length} händelser)`,
+      ...records.map(links.formatHistoryRecord),
+    ];
+    const message = lines.join("\n");
+    if (message.length <= 2000) {
+      await discord.editInteractionResponse(token, message);
+    } else {
+      await discord.editInteractionResponseWithFile(
+        token,
+        `Länkhistorik för ${subject}: ${records.length} händelser, full lista i bifogad fil.`,
+        "history-scoutid.txt",
+        message,
+      );
+    }
+  } catch (e) {
+    console.error("Error handling history command:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`);
+  }
 }
 
-async function updateNickname(userId, nickname) {
+async function handleUnlinkCommand(interaction) {
+  const token = interaction.token;
+  const callerId = interaction.member.user.id;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
+
+  const targetUserId =
+    interaction.data.options?.find((o) => o.name === "person")?.value ??
+    callerId;
+
+  if (targetUserId !== callerId && !isAdmin) {
+    await discord.editInteractionResponse(
+      token,
+      "Du måste vara admin för att avlänka andra.",
+    );
+    return;
+  }
+  // Unlinking someone else strips their roles in every guild
+  if (targetUserId !== callerId && !(await checkOwnerGuild(interaction))) {
+    return;
+  }
+
   try {
-    if (nickname.length > 32) nickname = nickname.substring(0, 32);
+    const result = await links.deleteMemberData(targetUserId, {
+      source: targetUserId === callerId ? "self" : "admin",
+      actorId: callerId,
+    });
+
+    const lines = [
+      result.scoutId
+        ? `<@${targetUserId}>: Länken till ScoutID \`${result.scoutId}\` är borttagen, och lagrade inloggningsuppgifter är raderade.`
+        : `<@${targetUserId}>: Var inte länkad. Eventuella lagrade inloggningsuppgifter är raderade.`,
+    ];
+    if (result.metadataCleared) {
+      lines.push("Namn och e-post är borttagna från den länkade rollen.");
+    }
+    if (result.errors.length > 0) {
+      lines.push(`⚠️ Delvis misslyckat: ${result.errors.join("; ")}`);
+    }
+    await discord.editInteractionResponse(token, lines.join("\n"));
+  } catch (e) {
+    console.error("Error handling unlink command:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`);
+  }
+}
 
-    const guildId = config.DISCORD_GUILD_ID;
-    if (guildId) {
-      await discord.updateGuildMemberNickname(guildId, userId, nickname);
+async function handleExportCommand(interaction) {
+  const token = interaction.token;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
+
+  if (!isAdmin) {
+    await discord.editInteractionResponse(
+      token,
+      "Du måste vara admin för att använda det här kommandot.",
+    );
+    return;
+  }
+  if (!(await checkOwnerGuild(interaction))) return;
+
+  // Never with secrets: the file goes through Discord as an attachment.
+  // Exports with tokens are for backup-cli.js only.
+  try {
+    const { content, counts } = await backup.exportJsonl();
+    console.log(`Export requested by ${interaction.member.user.id}`);
+    const date = new Date().toISOString().slice(0, 10);
+    await discord.editInteractionResponseWithFile(
+      token,
+      `Export: ${counts.link} länkar, ${counts["discord-token"]} Discord-tokens, ${counts["scoutid-token"]} ScoutID-tokens, ${counts.history} historikposter, ${counts["role-binding"]} rollkopplingar (utan hemligheter).`,
+      `scoutid-export-${date}.jsonl`,
+      content,
+    );
+  } catch (e) {
+    console.error("Error handling export command:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`);
+  }
+}
+
+async function handleImportCommand(interaction) {
+  const token = interaction.token;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
+
+  if (!isAdmin) {
+    await discord.editInteractionResponse(
+      token,
+      "Du måste vara admin för att använda det här kommandot.",
+    );
+    return;
+  }
+  if (!(await checkOwnerGuild(interaction))) return;
+
+  const attachmentId = interaction.data.options?.find(
+    (o) => o.name === "fil",
+  )?.value;
+  const attachment = interaction.data.resolved?.attachments?.[attachmentId];
+  const onConflict =
+    interaction.data.options?.find((o) => o.name === "konflikt")?.value ??
+    "skip";
+
+  try {
+    if (!attachment) throw new Error("Ingen fil bifogad");
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(`Kunde inte hämta filen: [${response.status}]`);
+    }
+    const report = await backup.importJsonl(await response.text(), {
+      onConflict,
+    });
+    console.log(
+      `Import (${onConflict}) by ${interaction.member.user.id}: ${report.created} created, ${report.overwritten} overwritten, ${report.conflicts.length} conflicts, ${report.errors.length} errors`,
+    );
+
+    const message = backup.formatImportReport(report);
+    if (message.length <= 2000) {
+      await discord.editInteractionResponse(token, message);
     } else {
-      const discordTokens = await storage.getDiscordTokens(userId);
-      if (!discordTokens) return;
-      const guilds = await discord.getUserGuilds(discordTokens);
-      for (const guild of guilds) {
-        await discord.updateGuildMemberNickname(guild.id, userId, nickname);
+      await discord.editInteractionResponseWithFile(
+        token,
+        message.split("\n")[0],
+        "import-scoutid.txt",
+        message,
+      );
+    }
+  } catch (e) {
+    console.error("Error handling import command:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`);
+  }
+}
+
+async function handleChangesCommand(interaction) {
+  const guildId = interaction.guild_id;
+  const token = interaction.token;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
+
+  if (!isAdmin) {
+    await discord.editInteractionResponse(
+      token,
+      "Du måste vara admin för att använda det här kommandot.",
+    );
+    return;
+  }
+
+  const hours =
+    interaction.data.options?.find((o) => o.name === "timmar")?.value ?? 24;
+
+  try {
+    const entries = await scoutnet.getChanges(
+      getGuildConfig(guildId),
+      Date.now() - hours * 60 * 60 * 1000,
+    );
+    const message = scoutnet.formatChangeReport(entries, hours);
+    if (message.length <= 2000) {
+      await discord.editInteractionResponse(token, message);
+    } else {
+      await discord.editInteractionResponseWithFile(
+        token,
+        message.split("\n")[0],
+        "changes-scoutid.txt",
+        message,
+      );
+    }
+  } catch (e) {
+    console.error("Error handling changes command:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`);
+  }
+}
+
+async function handleRolesCommand(interaction) {
+  const guildId = interaction.guild_id;
+  const token = interaction.token;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
+
+  if (!isAdmin) {
+    await discord.editInteractionResponse(
+      token,
+      "Du måste vara admin för att använda det här kommandot.",
+    );
+    return;
+  }
+
+  const option = (name) =>
+    interaction.data.options?.find((o) => o.name === name)?.value;
+  const name = option("namn")?.trim();
+  const roleId = option("roll");
+  const unbind = option("ta-bort") === true;
+  const create = option("skapa") === true;
+  const prune = option("rensa") === true;
+
+  try {
+    if (create || prune) {
+      await handleRoleProvisioning(token, guildId, { create, prune });
+      return;
+    }
+
+    if (!name && (roleId || unbind)) {
+      await discord.editInteractionResponse(
+        token,
+        "Ange `namn` — rollnamnet i konfigurationen som kopplingen gäller.",
+      );
+      return;
+    }
+
+    if (name && unbind) {
+      const binding = await roleRegistry.unbindRole(guildId, name);
+      await discord.editInteractionResponse(
+        token,
+        binding
+          ? `🗑️ \`${binding.name}\` är inte längre kopplad till <@&${binding.roleId}>. Boten tar inte bort rollen från någon längre. Om namnet fortfarande används i konfigurationen kopplas det igen till en roll med samma namn nästa gång det behövs.`
+          : `\`${name}\` är inte kopplad till någon roll.`,
+      );
+      return;
+    }
+
+    if (name && roleId) {
+      if (roleId === guildId) {
+        await discord.editInteractionResponse(
+          token,
+          "@everyone kan inte kopplas.",
+        );
+        return;
       }
+      if (!roles.isManagedRoleName(guildId, name)) {
+        await discord.editInteractionResponse(
+          token,
+          `\`${name}\` är inte ett rollnamn som konfigurationen ger. Ange namnet som det står i konfigurationen, t.ex. \`${getGuildConfig(guildId).SCOUTNET_SCOUT_ROLE}\`.`,
+        );
+        return;
+      }
+      const binding = await roleRegistry.bindRole(guildId, name, roleId);
+      console.log(
+        `Role "${binding.name}" bound to ${roleId} in guild ${guildId} by ${interaction.member.user.id}`,
+      );
+      await discord.editInteractionResponse(
+        token,
+        `✅ \`${binding.name}\` är nu kopplad till <@&${roleId}>. Boten hanterar den rollen, oavsett vad den heter i Discord.`,
+      );
+      return;
+    }
+
+    let bindings = await roleRegistry.listBindings(guildId);
+    if (name) {
+      bindings = bindings.filter(
+        (b) => b.name.toLowerCase() === name.toLowerCase(),
+      );
+      if (bindings.length === 0) {
+        await discord.editInteractionResponse(
+          token,
+          `\`${name}\` är inte kopplad till någon roll.`,
+        );
+        return;
+      }
+    }
+    const message = [
+      `**Rollregister** — ${bindings.length} roller som boten hanterar`,
+      ...bindings.map(roleRegistry.formatBinding),
+      "",
+      "Koppla om med `/roles-scoutid namn:<namn> roll:<roll>`. Roller som saknas visas i `/audit-scoutid`.",
+    ].join("\n");
+    if (message.length <= 2000) {
+      await discord.editInteractionResponse(token, message);
+    } else {
+      await discord.editInteractionResponseWithFile(
+        token,
+        message.split("\n")[0],
+        "roles-scoutid.txt",
+        message,
+      );
     }
   } catch (e) {
-    console.error(`Error updating nickname for ${userId}:`, e.message);
+    console.error("Error handling roles command:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`);
+  }
+}
+
+/**
+ * /roles-scoutid skapa / rensa: create the missing managed roles and/or
+ * delete the empty division roles the bot created (see provisioning.js).
+ * Runs like a bulk sync, so it never overlaps one.
+ */
+async function handleRoleProvisioning(token, guildId, { create, prune }) {
+  const outcome = await scheduler.runExclusive(async () => ({
+    created: create ? await roles.createMissingRoles(guildId) : null,
+    pruned: prune ? await provisioning.deleteEmptyDivisionRoles(guildId) : null,
+  }));
+  if (!outcome) {
+    await discord.editInteractionResponse(
+      token,
+      "En synk pågår redan — försök igen om en stund.",
+    );
+    return;
   }
+
+  const lines = [];
+  const { created, pruned } = outcome;
+  if (created) {
+    lines.push(
+      created.created.length > 0
+        ? `🆕 Skapade ${created.created.length} roller: ${created.created.join(", ")}`
+        : "Inga hanterade roller saknas.",
+    );
+    if (created.unavailable.length > 0) {
+      lines.push(
+        `⚠️ ScoutNet-data saknas (${created.unavailable.join(", ")}) — divisionsroller för dem skapades inte.`,
+      );
+    }
+    for (const f of created.failed) {
+      lines.push(`- kunde inte skapa \`${f.name}\`: ${f.error}`);
+    }
+  }
+  if (pruned) {
+    if (pruned.unavailable) {
+      lines.push(
+        `⚠️ ScoutNet-data saknas (${pruned.unavailable.join(", ")}) — inga roller togs bort.`,
+      );
+    } else {
+      lines.push(
+        pruned.deleted.length > 0
+          ? `🗑️ Tog bort ${pruned.deleted.length} tomma divisionsroller: ${pruned.deleted.join(", ")}`
+          : "Inga tomma divisionsroller att ta bort.",
+      );
+    }
+    for (const f of pruned.failed) {
+      lines.push(`- kunde inte ta bort \`${f.name}\`: ${f.error}`);
+    }
+  }
+
+  const message = lines.join("\n");
+  if (message.length <= 2000) {
+    await discord.editInteractionResponse(token, message);
+  } else {
+    await discord.editInteractionResponseWithFile(
+      token,
+      lines[0].slice(0, 200),
+      "roles-scoutid.txt",
+      message,
+    );
+  }
+}
+
+async function handleRetentionCommand(interaction) {
+  const token = interaction.token;
+  const callerPermissions = BigInt(interaction.member.permissions);
+  const isAdmin = (callerPermissions & ADMIN_PERMISSION) === ADMIN_PERMISSION;
+
+  if (!isAdmin) {
+    await discord.editInteractionResponse(
+      token,
+      "Du måste vara admin för att använda det här kommandot.",
+    );
+    return;
+  }
+  if (!(await checkOwnerGuild(interaction))) return;
+
+  if (!retention.isEnabled()) {
+    await discord.editInteractionResponse(
+      token,
+      "Gallring är inte konfigurerad (sätt RETENTION_CANCELLED_DAYS, RETENTION_LEFT_GUILD_DAYS eller RETENTION_EVENT_END_DAYS).",
+    );
+    return;
+  }
+
+  const apply =
+    interaction.data.options?.find((o) => o.name === "utför")?.value === true;
+
+  try {
+    const result = await retention.runRetention({
+      dryRun: !apply,
+      actorId: interaction.member.user.id,
+    });
+    const message = retention.formatRetentionReport(result);
+    if (message.length <= 2000) {
+      await discord.editInteractionResponse(token, message);
+    } else {
+      await discord.editInteractionResponseWithFile(
+        token,
+        message.split("\n")[0],
+        "retention-scoutid.txt",
+        message,
+      );
+    }
+  } catch (e) {
+    console.error("Error handling retention command:", e);
+    await discord.editInteractionResponse(token, `Fel: ${e.message}`);
+  }
+}
+
+/**
+ * Whether `interaction` comes from the owner guild (config.getOwnerGuildId),
+ * which commands acting on every guild's data require. Replies if not.
+ */
+async function checkOwnerGuild(interaction) {
+  if (interaction.guild_id && interaction.guild_id === getOwnerGuildId()) {
+    return true;
+  }
+  await discord.editInteractionResponse(
+    interaction.token,
+    "Det här kommandot rör alla servrars data och kan bara användas i ägarservern (OWNER_GUILD_ID).",
+  );
+  return false;
 }
 
-async function addDiscordRoles(userId, roleNames) {
+function normalizeName(s) {
+  return s
+    .normalize("NFD")
+    .replace(/[̀-ͯ]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Run the bulk sync `fn`, showing its progress (roles.getSyncProgress) in
+ * the interaction response every PROGRESS_INTERVAL_MS until it is done.
+ * Returns fn's result.
+ */
+async function withProgressReplies(token, fn) {
+  let pending = Promise.resolve();
+  const timer = setInterval(() => {
+    const progress = roles.getSyncProgress();
+    if (!progress) return;
+    pending = discord
+      .editInteractionResponse(token, roles.formatSyncProgress(progress))
+      .catch((e) => console.error("Error showing sync progress:", e.message));
+  }, PROGRESS_INTERVAL_MS);
   try {
-    const guildId = config.DISCORD_GUILD_ID;
-    if (!guildId) return;
+    return await fn();
+  } finally {
+    clearInterval(timer);
+    // The result must not be overwritten by a late progress message
+    await pending;
+  }
+}
 
-    const guildRoles = await discord.getGuildRoles(guildId);
-    const roleMap = new Map();
-    for (const role of guildRoles) {
-      roleMap.set(role.name.toLowerCase(), role);
+/**
+ * Report the results of a bulk sync (see roles.syncAllUserRoles) as the
+ * interaction response, as a file if it doesn't fit in a message. `note`
+ * goes before the summary.
+ */
+async function replyWithSyncResults(
+  token,
+  results,
+  note,
+  { components } = {},
+) {
+  const errors = results.filter((r) => r.error);
+  const changed = results.filter(
+    (r) => !r.error && ((r.added?.length ?? 0) > 0 || (r.removed?.length ?? 0) > 0),
+  );
+  const unchanged = results.length - errors.length - changed.length;
+  const incomplete = results.filter((r) => r.unavailable?.length > 0);
+  const incompleteNote =
+    incomplete.length > 0
+      ? `⚠️ ScoutNet-data saknas för ${incomplete.length} användare — inga roller togs bort för dem.`
+      : null;
+
+  const lines = [];
+  lines.push(
+    `${note}Synkade **${results.length}** användare: ${changed.length} med ändringar, ${errors.length} fel, ${unchanged} oförändrade.`,
+  );
+  if (incompleteNote) lines.push(incompleteNote);
+  if (changed.length > 0) {
+    lines.push("");
+    lines.push("**Ändringar:**");
+    for (const r of changed) {
+      lines.push(`- <@${r.discordUserId}>: ${formatChanges(r)}`);
+    }
+  }
+  if (errors.length > 0) {
+    lines.push("");
+    lines.push("**Fel:**");
+    for (const r of errors) {
+      lines.push(`- <@${r.discordUserId}>: ${r.error}`);
     }
+  }
+
+  const message = lines.join("\n");
+  if (message.length <= 2000) {
+    await discord.editInteractionResponse(token, message, { components });
+  } else {
+    // Build full detailed report as attachment
+    const full = [
+      `${note}Synkade ${results.length} användare: ${changed.length} med ändringar, ${errors.length} fel, ${unchanged} oförändrade.`,
+      ...(incompleteNote ? [incompleteNote] : []),
+      "",
+      "=== Ändringar ===",
+      ...changed.map((r) => `${r.discordUserId}: ${formatChanges(r)}`),
+      "",
+      "=== Fel ===",
+      ...errors.map((r) => `${r.discordUserId}: ${r.error}`),
+      "",
+      "=== Oförändrade ===",
+      ...results
+        .filter((r) => !r.error && !changed.includes(r))
+        .map((r) => r.discordUserId),
+    ].join("\n");
+    await discord.editInteractionResponseWithFile(
+      token,
+      `Synkade ${results.length} användare: ${changed.length} ändringar, ${errors.length} fel. Full lista i bifogad fil.`,
+      "refresh-scoutid.txt",
+      full,
+      { components },
+    );
+  }
+}
+
+/**
+ * Show a stored sync plan (see roles.createSyncPlan): a summary, the full
+ * plan as a file and, if it changes anything, the "Utför planen" button.
+ */
+async function replyWithSyncPlan(token, plan) {
+  const errors = plan.steps.filter((s) => s.error);
+  const steps = plan.steps.filter((s) => !s.error);
+  const changing = steps.filter(
+    (s) => s.add.length > 0 || s.remove.length > 0 || s.nickname,
+  );
+  const orphans = changing.filter((s) => s.orphan).length;
+  const added = steps.reduce((n, s) => n + s.add.length, 0);
+  const removed = steps.reduce((n, s) => n + s.remove.length, 0);
+  const nicknames = steps.filter((s) => s.nickname).length;
+  const incomplete = steps.filter((s) => s.unavailable).length;
+  const newRoles = new Set(
+    steps.flatMap((s) => s.add.filter((r) => r.create).map((r) => r.name)),
+  );
+  const ttlMinutes = storage.SYNC_PLAN_TTL_MS / 60000;
+
+  const summary = [
+    `${changing.length} medlemmar får ändringar${orphans > 0 ? ` (varav ${orphans} utan länk)` : ""}: ${added} roller läggs till, ${removed} tas bort, ${nicknames} smeknamn ändras. ${plan.unchanged} oförändrade, ${errors.length} fel.`,
+  ];
+  if (incomplete > 0) {
+    summary.push(
+      `⚠️ ScoutNet-data saknas för ${incomplete} användare — inga roller tas bort för dem.`,
+    );
+  }
+  if (newRoles.size > 0) {
+    const names = [...newRoles];
+    summary.push(
+      `🆕 ${names.length} roller finns inte och skapas: ${names.slice(0, 10).join(", ")}${names.length > 10 ? ", …" : ""}`,
+    );
+  }
 
-    console.log(`Assigning roles [${roleNames.join(", ")}] to user ${userId}`);
+  const report = [
+    `Plan för synk av alla, ${new Date(plan.plannedAt).toISOString().slice(0, 16).replace("T", " ")} UTC (inget är ändrat)`,
+    ...summary,
+    "",
+    "=== Ändringar ===",
+    ...steps.map(
+      (s) =>
+        `${s.discordUserId} (${s.orphan ? "utan länk" : `ScoutID ${s.scoutId}`}): ${formatPlanStep(s)}`,
+    ),
+    "",
+    "=== Fel ===",
+    ...errors.map((s) => `${s.discordUserId}: ${s.error}`),
+  ].join("\n");
+
+  const footer =
+    changing.length > 0
+      ? `**Utför planen** gör exakt de här ändringarna, om inget har ändrats sedan planen gjordes. Planen gäller i ${ttlMinutes} minuter.`
+      : "Synken skulle inte ändra något.";
+  await discord.editInteractionResponseWithFile(
+    token,
+    [
+      "📋 **Plan för synk av alla** — inget är ändrat än.",
+      ...summary,
+      footer,
+    ].join("\n"),
+    "refresh-plan.txt",
+    report,
+    {
+      components:
+        changing.length > 0 ? discord.applyPlanButton(plan.id) : undefined,
+    },
+  );
+}
+
+function formatPlanStep({ add, remove, nickname, unavailable }) {
+  const parts = [
+    ...add.map((r) => `+${r.name}${r.create ? " (ny roll)" : ""}`),
+    ...remove.map((r) => `−${r.name}`),
+  ];
+  if (nickname) parts.push(`smeknamn "${nickname.from}" → "${nickname.to}"`);
+  if (unavailable) {
+    parts.push(
+      `ScoutNet-data saknas (${unavailable.join(", ")}) — inga roller tas bort`,
+    );
+  }
+  return parts.join(", ");
+}
+
+function formatChanges({ added, removed, unavailable }) {
+  const parts = [];
+  if (added?.length > 0) parts.push(`Lade till: ${added.join(", ")}`);
+  if (removed?.length > 0) parts.push(`Tog bort: ${removed.join(", ")}`);
+  if (unavailable?.length > 0) {
+    parts.push(
+      `ScoutNet-data saknas (${unavailable.join(", ")}) — inga roller togs bort`,
+    );
+  }
+  if (parts.length === 0) return "Inga ändringar";
+  return parts.join(". ");
+}
+
+// --- Helper functions ---
+
+async function updateMetadata(discordUserId) {
+  const scoutId = await storage.getLinkedScoutIDUserId(discordUserId);
+  if (!scoutId) throw new Error("ingen storage-länk");
+
+  const discordTokens = await storage.getDiscordTokens(discordUserId);
+  if (!discordTokens) {
+    throw new Error("Discord OAuth-tokens saknas i storage");
+  }
+
+  let metadata = { scoutid: scoutId };
+  try {
+    const userData = await identity.getLinkedUserData(scoutId);
+    if (userData) {
+      metadata = {
+        scoutid: scoutId,
+        email: userData.email,
+        name: userData.name,
+      };
+    }
+  } catch (e) {
+    console.error(`Error fetching identity provider data: ${e.message}`);
+  }
+
+  // Discord shows the platform name on the member's linked role
+  const providerId = await storage.getLinkedProvider(discordUserId);
+  const platformName = identity.getProvider(providerId)?.name ?? providerId;
+  await discord.pushMetadata(
+    discordUserId,
+    discordTokens,
+    metadata,
+    platformName,
+  );
+}
+
+async function updateNickname(guildId, userId, nickname) {
+  try {
+    if (nickname.length > 32) nickname = nickname.substring(0, 32);
+    await discord.updateGuildMemberNickname(guildId, userId, nickname);
+  } catch (e) {
+    console.error(`Error updating nickname for ${userId}:`, e.message);
+  }
+}
+
+async function addDiscordRoles(guildId, userId, roleNames) {
+  try {
+    const registry = await roles.loadRoleRegistry(guildId);
+
+    console.log(
+      `Assigning roles [${roleNames.join(", ")}] to user ${userId} in guild ${guildId}`,
+    );
     for (const roleName of roleNames) {
-      const role = roleMap.get(roleName.toLowerCase());
+      let role = await registry.resolve(roleName);
+      if (!role && getGuildConfig(guildId).ROLE_AUTO_CREATE) {
+        try {
+          role = await provisioning.ensureRole(guildId, registry, roleName);
+        } catch (e) {
+          console.error(
+            `Failed to create role "${roleName}" in guild ${guildId}: ${e.message}`,
+          );
+        }
+      }
       if (role) {
         try {
           await discord.addRoleToUser(guildId, userId, role.id);
@@ -683,7 +1717,7 @@ async function addDiscordRoles(userId, roleNames) {
         }
       } else {
         console.warn(
-          `Role "${roleName}" not found in guild — create it in Discord`,
+          `Role "${roleName}" not found in guild ${guildId} — create it in Discord (or set ROLE_AUTO_CREATE) or bind it with /roles-scoutid`,
         );
       }
     }
@@ -692,6 +1726,20 @@ async function addDiscordRoles(userId, roleNames) {
   }
 }
 
+// Backfill the ScoutID → Discord reverse index for links created before it
+// existed; a no-op once it has finished. Non-fatal: lookups just see fewer
+// accounts until it has run.
+storage
+  .backfillLinkIndex()
+  .then((n) => {
+    if (n !== null) console.log(`Link index backfilled with ${n} entries`);
+  })
+  .catch((e) => console.error("Error backfilling link index:", e.message));
+
+maintenance.startSweeper();
+retention.startRetentionJob();
+scheduler.startSyncJob();
+
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log(`App listening on port ${port}`);
@@ -1,152 +1,952 @@
-import { TableClient } from "@azure/data-tables";
+import crypto from "crypto";
 import config from "./config.js";
+import * as encryption from "./encryption.js";
 
 /**
- * Durable storage backed by Azure Table Storage.
+ * Durable storage for links, tokens and OAuth state.
+ *
+ * The actual persistence is delegated to a pluggable backend selected by
+ * STORAGE_BACKEND:
+ *   azure   Azure Table Storage / Azurite (storage/azure.js)
+ *   file    a local JSON file, for offline dev and single-VM installs
+ *           (storage/file.js)
+ *
+ * A backend only needs a few entity-level primitives — getEntity,
+ * upsertEntity (replace), deleteEntity, listEntities(partitionKey,
+ * { prefix }), the single-partition batch variants upsertEntities and
+ * deleteEntities, and the conditional insertEntity and replaceEntity that
+ * the link index and leases are built on — so everything below is written
+ * once against that interface. listEntities yields rows in RowKey order.
  *
  * Data model — a single table, partitioned by record type:
  *   PartitionKey   RowKey          value (+ expiresAt for state)
- *   link           discordUserId   scoutId
- *   discord-token  userId          JSON
- *   scoutid-token  userId          JSON
+ *   link           discordUserId   scoutId + provider
+ *   scoutid-link   scoutId         JSON   (discordUserIds, reverse of link)
+ *   discord-token  userId          JSON   + dek, keyId  (encrypted)
+ *   scoutid-token  userId          JSON   + dek, keyId  (encrypted)
  *   state          state           JSON   + expiresAt   (OAuth, 10 min)
+ *   history        discordUserId_ts_id  JSON  (append-only link journal)
+ *   meta           key             JSON   (e.g. last sweep result)
+ *   meta           lease-name      JSON   + expiresAt   (leases, see acquireLease)
+ *   absent         discordUserId   epoch ms first seen outside all guilds
+ *   reverify       scoutId         JSON   (ScoutID refresh token rejected)
+ *   scoutid-claims scoutId         JSON   (organisation memberships snapshot)
+ *   scoutnet-meta  type            JSON   ({ fetchedAt, count, invalidated?, failedAt?, error? })
+ *   scoutnet-<type> member_no      JSON   (one row per ScoutNet record)
+ *   scoutnet-diff  type_ts_member_no JSON + expiresAt (per-member changes, 14 d)
+ *   sync-plan      planId[_index]  JSON   + expiresAt   (role sync plans, 30 min)
+ *   role-registry  guildId_name    JSON   (managed role name → Discord role ID)
  *
- * Table Storage has no native TTL, so state rows carry an `expiresAt`
- * (epoch ms) and are treated as absent past that time (lazy expiry).
+ * Neither backend has native TTL, so state, diff and plan rows carry an
+ * `expiresAt` (epoch ms) and are treated as absent past that time (lazy
+ * expiry). The sweeper in maintenance.js purges them, and orphaned tokens,
+ * periodically.
  *
- * The ScoutNet participant cache is NOT stored here — the full list exceeds
- * Table Storage's 64 KB/property limit, and it's a throwaway cache, so it
- * lives in process memory (see below).
+ * The ScoutNet cache is shared by all replicas — see the ScoutNet section at
+ * the bottom.
  */
 
 const STATE_TTL_MS = 10 * 60 * 1000;
 const SCOUTNET_TTL_MS = 10 * 60 * 1000;
+const SCOUTNET_DIFF_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+export const SYNC_PLAN_TTL_MS = 30 * 60 * 1000;
 
-const client = TableClient.fromConnectionString(
-  config.TABLE_CONNECTION_STRING,
-  config.TABLE_NAME,
-);
+const BACKENDS = {
+  azure: () => import("./storage/azure.js"),
+  file: () => import("./storage/file.js"),
+};
 
-let tableReady = false;
-async function ensureTable() {
-  if (tableReady) return;
-  try {
-    await client.createTable();
-  } catch (err) {
-    // 409 = table already exists, which is the normal steady state.
-    if (err?.statusCode !== 409) throw err;
-  }
-  tableReady = true;
+if (!BACKENDS[config.STORAGE_BACKEND]) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${config.STORAGE_BACKEND}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`,
+  );
 }
 
+// Imported lazily so the file backend never loads the Azure SDK.
+const backend = await BACKENDS[config.STORAGE_BACKEND]();
+
 async function getEntity(partitionKey, rowKey) {
-  try {
-    return await client.getEntity(partitionKey, rowKey);
-  } catch (err) {
-    if (err?.statusCode === 404) return null;
-    throw err;
-  }
+  return await backend.getEntity(partitionKey, rowKey);
 }
 
 async function setValue(partitionKey, rowKey, value, expiresAt) {
   const entity = { partitionKey, rowKey, value };
   if (expiresAt != null) entity.expiresAt = expiresAt;
-  await client.upsertEntity(entity, "Replace");
+  await backend.upsertEntity(entity);
+}
+
+// --- OAuth tokens (encrypted at rest) ---
+//
+// Token rows are written through encryption.js: `value` holds the ciphertext
+// and `dek`/`keyId` the wrapped data key and the master key id. Rows written
+// before encryption was enabled have no keyId and are read as plaintext.
+
+const TOKEN_PARTITIONS = ["discord-token", "scoutid-token"];
+
+async function storeTokens(partitionKey, userId, tokens) {
+  const entity = {
+    partitionKey,
+    rowKey: userId,
+    ...encryption.encrypt(JSON.stringify(tokens)),
+  };
+  await backend.upsertEntity(entity);
 }
 
-// --- Discord tokens ---
+async function getTokens(partitionKey, userId) {
+  const e = await getEntity(partitionKey, userId);
+  return e ? JSON.parse(encryption.decrypt(e)) : null;
+}
 
 export async function storeDiscordTokens(userId, tokens) {
-  await ensureTable();
-  await setValue("discord-token", userId, JSON.stringify(tokens));
+  await storeTokens("discord-token", userId, tokens);
 }
 
 export async function getDiscordTokens(userId) {
-  await ensureTable();
-  const e = await getEntity("discord-token", userId);
-  return e ? JSON.parse(e.value) : null;
+  return await getTokens("discord-token", userId);
 }
 
-// --- ScoutID tokens ---
-
 export async function storeScoutIDTokens(userId, tokens) {
-  await ensureTable();
-  await setValue("scoutid-token", userId, JSON.stringify(tokens));
+  await storeTokens("scoutid-token", userId, tokens);
+  // Fresh tokens (new login or successful refresh) settle any pending
+  // re-verification.
+  await backend.deleteEntity("reverify", userId);
 }
 
 export async function getScoutIDTokens(userId) {
-  await ensureTable();
-  const e = await getEntity("scoutid-token", userId);
-  return e ? JSON.parse(e.value) : null;
+  return await getTokens("scoutid-token", userId);
+}
+
+export async function deleteDiscordTokens(userId) {
+  await backend.deleteEntity("discord-token", userId);
+}
+
+export async function deleteScoutIDTokens(userId) {
+  await backend.deleteEntity("scoutid-token", userId);
+  await backend.deleteEntity("reverify", userId);
+  await backend.deleteEntity("scoutid-claims", userId);
+}
+
+async function getAllTokens(partitionKey) {
+  const rows = [];
+  for await (const e of backend.listEntities(partitionKey)) {
+    rows.push({ userId: e.rowKey, tokens: JSON.parse(encryption.decrypt(e)) });
+  }
+  return rows;
+}
+
+export async function getAllDiscordTokens() {
+  return await getAllTokens("discord-token");
+}
+
+export async function getAllScoutIDTokens() {
+  return await getAllTokens("scoutid-token");
+}
+
+/**
+ * Rewrite every token row that is plaintext or wrapped by a non-active key
+ * with the active key. A row is only replaced if it is unchanged since it
+ * was read, so a token refresh in between is never overwritten with the old
+ * tokens; such rows are skipped (a refresh already wrote them with the
+ * active key). Safe to re-run. Returns { scanned, reencrypted, skipped }.
+ */
+export async function reencryptTokens() {
+  if (!encryption.isEnabled()) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS is not configured");
+  }
+  let scanned = 0;
+  let reencrypted = 0;
+  let skipped = 0;
+  for (const partitionKey of TOKEN_PARTITIONS) {
+    // Collect first: rewriting while iterating a live query is not safe.
+    const rowKeys = [];
+    for await (const e of backend.listEntities(partitionKey)) {
+      rowKeys.push(e.rowKey);
+    }
+    for (const rowKey of rowKeys) {
+      scanned++;
+      const e = await backend.getEntity(partitionKey, rowKey);
+      if (!e || !encryption.needsReencryption(e)) continue;
+      const entity = {
+        partitionKey,
+        rowKey,
+        ...encryption.encrypt(encryption.decrypt(e)),
+      };
+      if (await backend.replaceEntity(entity, e)) {
+        reencrypted++;
+      } else {
+        skipped++;
+      }
+    }
+  }
+  return { scanned, reencrypted, skipped };
 }
 
 // --- OAuth state (short-lived) ---
 
 export async function storeStateData(state, data) {
-  await ensureTable();
   await setValue("state", state, JSON.stringify(data), Date.now() + STATE_TTL_MS);
 }
 
 export async function getStateData(state) {
-  await ensureTable();
   const e = await getEntity("state", state);
   if (!e) return null;
   if (e.expiresAt != null && Date.now() > e.expiresAt) {
-    client.deleteEntity("state", state).catch(() => {});
+    backend.deleteEntity("state", state).catch(() => {});
     return null;
   }
   return JSON.parse(e.value);
 }
 
+export async function deleteStateData(state) {
+  await backend.deleteEntity("state", state);
+}
+
+/**
+ * Delete every expired state row (abandoned logins are never read again, so
+ * lazy expiry alone never removes them). Returns the number deleted.
+ */
+export async function purgeExpiredState(now = Date.now()) {
+  const expired = [];
+  for await (const e of backend.listEntities("state")) {
+    if (e.expiresAt != null && now > e.expiresAt) expired.push(e.rowKey);
+  }
+  for (const rowKey of expired) {
+    await backend.deleteEntity("state", rowKey);
+  }
+  return expired.length;
+}
+
 // --- Discord <-> ScoutID link (durable) ---
+//
+// `link` is the source of truth. `scoutid-link` is a reverse index kept in
+// sync on every link/unlink so we can find all Discord accounts tied to one
+// ScoutID without a full scan. backfillLinkIndex() adds links from before
+// the index existed, once.
+//
+// Index rows are only changed with conditional writes (insertEntity, or
+// replaceEntity of the row as read), retried when another replica changed
+// the row in between, so concurrent links of one ScoutID never lose an
+// entry. An emptied row is kept as [], since a delete can't be conditional.
+
+const INDEX_RETRIES = 10;
+
+async function getReverseLinks(scoutUserId) {
+  const e = await getEntity("scoutid-link", scoutUserId);
+  return e ? JSON.parse(e.value) : [];
+}
+
+/**
+ * Change the index row of `scoutUserId` to `update(ids)`, or leave it if
+ * that returns null. Returns whether the row was written.
+ */
+async function updateReverseLinks(scoutUserId, update) {
+  for (let attempt = 0; attempt < INDEX_RETRIES; attempt++) {
+    const e = await getEntity("scoutid-link", scoutUserId);
+    const ids = update(e ? JSON.parse(e.value) : []);
+    if (!ids) return false;
+    const entity = {
+      partitionKey: "scoutid-link",
+      rowKey: scoutUserId,
+      value: JSON.stringify(ids),
+    };
+    const written = e
+      ? await backend.replaceEntity(entity, e)
+      : await backend.insertEntity(entity);
+    if (written) return true;
+  }
+  throw new Error(
+    `Link index row of ${scoutUserId} kept changing, gave up after ${INDEX_RETRIES} attempts`,
+  );
+}
+
+/**
+ * Link a Discord user to a ScoutID (or another provider's linked ID, see
+ * identity.js). `provider` records which identity provider verified it.
+ *
+ * With `exclusive`, nothing is linked if the ScoutID is already linked to
+ * another Discord user; the check and the index entry are one conditional
+ * write, so two concurrent exclusive links can't both succeed. Returns
+ * { conflicts }: the other Discord users linked to the ScoutID, which with
+ * `exclusive` means it was not linked.
+ */
+export async function setLinkedScoutIDUserId(
+  discordUserId,
+  scoutUserId,
+  provider = "scoutid",
+  { exclusive = false } = {},
+) {
+  let conflicts = [];
+  await updateReverseLinks(scoutUserId, (ids) => {
+    conflicts = ids.filter((id) => id !== discordUserId);
+    if (exclusive && conflicts.length > 0) return null;
+    return ids.includes(discordUserId) ? null : [...ids, discordUserId];
+  });
+  if (exclusive && conflicts.length > 0) return { conflicts };
+
+  const previous = await getLinkedScoutIDUserId(discordUserId);
+  await backend.upsertEntity({
+    partitionKey: "link",
+    rowKey: discordUserId,
+    value: scoutUserId,
+    provider,
+  });
+  if (previous && previous !== scoutUserId) {
+    await removeReverseLink(previous, discordUserId);
+  }
+  return { conflicts };
+}
+
+async function removeReverseLink(scoutUserId, discordUserId) {
+  await updateReverseLinks(scoutUserId, (ids) =>
+    ids.includes(discordUserId)
+      ? ids.filter((id) => id !== discordUserId)
+      : null,
+  );
+}
 
-export async function setLinkedScoutIDUserId(discordUserId, scoutUserId) {
-  await ensureTable();
-  await setValue("link", discordUserId, scoutUserId);
+export async function removeLinkedScoutIDUserId(discordUserId) {
+  const previous = await getLinkedScoutIDUserId(discordUserId);
+  if (!previous) return null;
+  await backend.deleteEntity("link", discordUserId);
+  await removeReverseLink(previous, discordUserId);
+  return previous;
 }
 
 export async function getLinkedScoutIDUserId(discordUserId) {
-  await ensureTable();
   const e = await getEntity("link", discordUserId);
   return e ? e.value : null;
 }
 
+/**
+ * Which identity provider verified a Discord user's link, or null if not
+ * linked. Links from before providers existed are ScoutID.
+ */
+export async function getLinkedProvider(discordUserId) {
+  const e = await getEntity("link", discordUserId);
+  return e ? (e.provider ?? "scoutid") : null;
+}
+
+/**
+ * All Discord user IDs linked to a ScoutID. Index entries whose `link` row
+ * no longer points at the ScoutID (an unlink racing the backfill) are
+ * ignored.
+ */
+export async function getLinkedDiscordUserIds(scoutUserId) {
+  const ids = [];
+  for (const id of await getReverseLinks(scoutUserId)) {
+    if ((await getLinkedScoutIDUserId(id)) === scoutUserId) ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * Add every `link` row to the `scoutid-link` reverse index, for links
+ * created before the index existed. Runs once: a meta flag records that it
+ * finished. Only adds entries, with the same conditional writes as a link,
+ * so replicas starting together or linking meanwhile don't lose entries.
+ * Returns the number of entries added, or null if it had already run.
+ */
+export async function backfillLinkIndex() {
+  if (await getMeta("link-index-backfill")) return null;
+  let added = 0;
+  for (const { discordUserId, scoutId } of await getAllLinkedUsers()) {
+    const written = await updateReverseLinks(scoutId, (ids) =>
+      ids.includes(discordUserId) ? null : [...ids, discordUserId],
+    );
+    if (written) added++;
+  }
+  await storeMeta("link-index-backfill", { at: new Date().toISOString() });
+  return added;
+}
+
 export async function getAllLinkedUsers() {
-  await ensureTable();
   const users = [];
-  const entities = client.listEntities({
-    queryOptions: { filter: "PartitionKey eq 'link'" },
-  });
-  for await (const e of entities) {
-    users.push({ discordUserId: e.rowKey, scoutId: e.value });
+  for await (const e of backend.listEntities("link")) {
+    users.push({
+      discordUserId: e.rowKey,
+      scoutId: e.value,
+      provider: e.provider ?? "scoutid",
+    });
   }
   return users;
 }
 
-// --- ScoutNet cache (short-lived, in-memory) ---
+/**
+ * Delete token rows that no link refers to any more and whose access token
+ * has expired: Discord tokens from logins abandoned before the ScoutID step,
+ * and tokens left behind by unlinked or replaced accounts. The expiry check
+ * gives in-flight logins a grace period. Rows that cannot be decrypted (key
+ * removed from config) are left alone.
+ * Returns { discordTokens, scoutIdTokens } deleted.
+ */
+export async function purgeOrphanTokens(now = Date.now()) {
+  const linkedUsers = await getAllLinkedUsers();
+  const linked = {
+    "discord-token": new Set(linkedUsers.map((u) => u.discordUserId)),
+    "scoutid-token": new Set(linkedUsers.map((u) => u.scoutId)),
+  };
+  const counts = {};
+  for (const partitionKey of TOKEN_PARTITIONS) {
+    const dead = [];
+    for await (const e of backend.listEntities(partitionKey)) {
+      if (linked[partitionKey].has(e.rowKey)) continue;
+      let tokens;
+      try {
+        tokens = JSON.parse(encryption.decrypt(e));
+      } catch {
+        continue;
+      }
+      if (tokens.expires_at == null || now > tokens.expires_at) {
+        dead.push(e.rowKey);
+      }
+    }
+    for (const rowKey of dead) {
+      await backend.deleteEntity(partitionKey, rowKey);
+    }
+    counts[partitionKey] = dead.length;
+  }
+  return {
+    discordTokens: counts["discord-token"],
+    scoutIdTokens: counts["scoutid-token"],
+  };
+}
+
+// --- Guild absence (for the retention policy) ---
+//
+// When a linked member is first seen missing from every guild we remember
+// when, so "N days after leaving" can be measured. Cleared when they return.
+
+export async function getAllAbsentSince() {
+  const absent = new Map();
+  for await (const e of backend.listEntities("absent")) {
+    absent.set(e.rowKey, Number(e.value));
+  }
+  return absent;
+}
+
+export async function setAbsentSince(discordUserId, since) {
+  await setValue("absent", discordUserId, String(since));
+}
+
+export async function clearAbsentSince(discordUserId) {
+  await backend.deleteEntity("absent", discordUserId);
+}
+
+// --- ScoutID re-verification ---
+//
+// Set when ScoutID rejects a stored refresh token: the member has to log in
+// with ScoutID again before their name/e-mail can be fetched. `since` is the
+// first rejection; later ones only update the reason.
+
+export async function markNeedsReverification(scoutUserId, reason) {
+  const existing = await getNeedsReverification(scoutUserId);
+  await setValue(
+    "reverify",
+    scoutUserId,
+    JSON.stringify({
+      since: existing?.since ?? new Date().toISOString(),
+      reason,
+    }),
+  );
+}
+
+export async function getNeedsReverification(scoutUserId) {
+  const e = await getEntity("reverify", scoutUserId);
+  return e ? JSON.parse(e.value) : null;
+}
+
+export async function getAllNeedsReverification() {
+  const marks = new Map();
+  for await (const e of backend.listEntities("reverify")) {
+    marks.set(e.rowKey, JSON.parse(e.value));
+  }
+  return marks;
+}
+
+// --- ScoutID organisation claims ---
+//
+// Snapshot of the member's memberships from the ScoutID `roles` claim, so
+// role syncs can use them without a ScoutID login. Deleted with the tokens.
+
+export async function storeScoutIDClaims(scoutUserId, memberships) {
+  await setValue(
+    "scoutid-claims",
+    scoutUserId,
+    JSON.stringify({ fetchedAt: new Date().toISOString(), memberships }),
+  );
+}
+
+/**
+ * The stored snapshot, { fetchedAt, memberships }, or null.
+ */
+export async function getScoutIDClaims(scoutUserId) {
+  const e = await getEntity("scoutid-claims", scoutUserId);
+  return e ? JSON.parse(e.value) : null;
+}
+
+// --- Bot metadata (last job results etc.) ---
+
+export async function storeMeta(key, data) {
+  await setValue("meta", key, JSON.stringify(data));
+}
+
+export async function getMeta(key) {
+  const e = await getEntity("meta", key);
+  return e ? JSON.parse(e.value) : null;
+}
+
+// --- Leases ---
+//
+// A lease is a meta row { owner } with an expiresAt. Whoever inserts it, or
+// replaces an expired one, holds it until it expires or is released; the
+// backend's conditional writes make sure only one replica wins. A holder
+// that dies simply lets it expire.
+
+/**
+ * Take the lease `name` for `ms` ms, unless someone else holds it. Returns
+ * the owner token for renewLease/releaseLease, or null.
+ */
+export async function acquireLease(name, ms) {
+  const owner = crypto.randomUUID();
+  const lease = leaseEntity(name, owner, Date.now() + ms);
+  if (await backend.insertEntity(lease)) return owner;
+  const current = await getEntity("meta", lease.rowKey);
+  if (!current) return (await backend.insertEntity(lease)) ? owner : null;
+  if (current.expiresAt > Date.now()) return null;
+  return (await backend.replaceEntity(lease, current)) ? owner : null;
+}
+
+/**
+ * Extend a lease `owner` holds to `ms` ms from now. Returns false if it was
+ * lost (expired and taken by someone else).
+ */
+export async function renewLease(name, owner, ms) {
+  const lease = leaseEntity(name, owner, Date.now() + ms);
+  const current = await getEntity("meta", lease.rowKey);
+  if (!current || JSON.parse(current.value).owner !== owner) return false;
+  return await backend.replaceEntity(lease, current);
+}
+
+/**
+ * Give up a lease `owner` holds, so others can take it right away.
+ */
+export async function releaseLease(name, owner) {
+  await renewLease(name, owner, -1);
+}
+
+function leaseEntity(name, owner, expiresAt) {
+  return {
+    partitionKey: "meta",
+    rowKey: `lease-${name}`,
+    value: JSON.stringify({ owner }),
+    expiresAt,
+  };
+}
+
+// --- Link history (append-only) ---
+//
+// One row per link/relink/unlink. The RowKey starts with the Discord user ID
+// followed by a zero-padded timestamp, so a member's history is a single
+// prefix scan in chronological order. Rows are never updated or deleted.
+
+// Records carry a short random `id` (also the last RowKey segment), so a
+// restored backup writes the same rows instead of duplicating them.
+
+function historyRowKey({ discordUserId, timestamp, id }) {
+  return `${discordUserId}_${String(timestamp).padStart(15, "0")}_${id}`;
+}
+
+function parseHistory(e) {
+  return { id: e.rowKey.split("_").pop(), ...JSON.parse(e.value) };
+}
+
+export async function appendLinkHistory(record) {
+  const full = {
+    ...record,
+    id: record.id ?? crypto.randomUUID().slice(0, 8),
+    timestamp: record.timestamp ?? Date.now(),
+  };
+  await setValue("history", historyRowKey(full), JSON.stringify(full));
+}
+
+export async function hasLinkHistoryRecord(record) {
+  return (await getEntity("history", historyRowKey(record))) !== null;
+}
+
+export async function getLinkHistory(discordUserId) {
+  const records = [];
+  for await (const e of backend.listEntities("history", {
+    prefix: `${discordUserId}_`,
+  })) {
+    records.push(parseHistory(e));
+  }
+  return records;
+}
+
+export async function getAllLinkHistory() {
+  const records = [];
+  for await (const e of backend.listEntities("history")) {
+    records.push(parseHistory(e));
+  }
+  return records.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// --- Role sync plans (short-lived) ---
+//
+// A plan (see roles.createSyncPlan) can list hundreds of members, too much
+// for one row, so it is a header row keyed by the plan ID plus one row per
+// step keyed `<planId>_<zero-padded index>`. All rows expire after
+// SYNC_PLAN_TTL_MS.
+
+/**
+ * Store a plan: { id, ...header, steps }.
+ */
+export async function storeSyncPlan({ id, steps, ...header }) {
+  const expiresAt = Date.now() + SYNC_PLAN_TTL_MS;
+  await backend.upsertEntities([
+    {
+      partitionKey: "sync-plan",
+      rowKey: id,
+      value: JSON.stringify({ ...header, stepCount: steps.length }),
+      expiresAt,
+    },
+    ...steps.map((step, i) => ({
+      partitionKey: "sync-plan",
+      rowKey: `${id}_${String(i).padStart(6, "0")}`,
+      value: JSON.stringify(step),
+      expiresAt,
+    })),
+  ]);
+}
+
+/**
+ * The plan with this ID, or null if it is unknown, expired or incomplete.
+ */
+export async function getSyncPlan(id) {
+  const e = await getEntity("sync-plan", id);
+  if (!e || (e.expiresAt != null && Date.now() > e.expiresAt)) return null;
+  const { stepCount, ...header } = JSON.parse(e.value);
+  const steps = [];
+  for await (const row of backend.listEntities("sync-plan", {
+    prefix: `${id}_`,
+  })) {
+    steps.push(JSON.parse(row.value));
+  }
+  if (steps.length !== stepCount) return null;
+  return { id, ...header, steps };
+}
+
+export async function deleteSyncPlan(id) {
+  const rowKeys = [id];
+  for await (const row of backend.listEntities("sync-plan", {
+    prefix: `${id}_`,
+  })) {
+    rowKeys.push(row.rowKey);
+  }
+  await backend.deleteEntities("sync-plan", rowKeys);
+}
+
+/**
+ * Delete expired plan rows. Returns the number deleted.
+ */
+export async function purgeExpiredSyncPlans(now = Date.now()) {
+  const expired = [];
+  for await (const e of backend.listEntities("sync-plan")) {
+    if (e.expiresAt != null && now > e.expiresAt) expired.push(e.rowKey);
+  }
+  if (expired.length > 0) {
+    await backend.deleteEntities("sync-plan", expired);
+  }
+  return expired.length;
+}
+
+// --- Role registry (see role-registry.js) ---
+//
+// One row per bound role name. The RowKey is `<guildId>_<lowercased name>`,
+// URI-encoded since role names may contain characters RowKeys can't.
+
+function roleBindingRowKey(guildId, name) {
+  return `${guildId}_${encodeURIComponent(name.toLowerCase())}`;
+}
+
+/**
+ * All bindings of a guild: [{ name, roleId, source, boundAt }].
+ */
+export async function getRoleBindings(guildId) {
+  const bindings = [];
+  for await (const e of backend.listEntities("role-registry", {
+    prefix: `${guildId}_`,
+  })) {
+    bindings.push(JSON.parse(e.value));
+  }
+  return bindings;
+}
+
+/**
+ * Store a binding, replacing any binding of the same name.
+ */
+export async function setRoleBinding(guildId, binding) {
+  await setValue(
+    "role-registry",
+    roleBindingRowKey(guildId, binding.name),
+    JSON.stringify(binding),
+  );
+}
+
+/**
+ * Every guild's bindings: [{ guildId, binding }].
+ */
+export async function getAllRoleBindings() {
+  const bindings = [];
+  for await (const e of backend.listEntities("role-registry")) {
+    const guildId = e.rowKey.substring(0, e.rowKey.indexOf("_"));
+    bindings.push({ guildId, binding: JSON.parse(e.value) });
+  }
+  return bindings;
+}
+
+export async function deleteRoleBinding(guildId, name) {
+  await backend.deleteEntity("role-registry", roleBindingRowKey(guildId, name));
+}
+
+// --- ScoutNet cache (shared, persistent) ---
 //
 // The full event participant list can be several MB, which exceeds Azure
-// Table Storage's 64 KB per-property / 1 MB per-entity limit. Since this is a
-// purely ephemeral performance cache (10-minute TTL, only avoids re-hitting
-// the ScoutNet API), it lives in process memory instead. A cache miss after a
-// restart or on a fresh replica just triggers one extra ScoutNet fetch.
+// Table Storage's 64 KB per-property / 1 MB per-entity limit, so it is
+// stored as one row per participant (partition `scoutnet-<type>`, keyed by
+// member_no) plus a `scoutnet-meta` row holding the snapshot's fetch time.
+// Every replica reads the same snapshot, a single participant is a point
+// lookup, and a refresh only writes the rows that actually changed.
+//
+// The snapshot is "fresh" for SCOUTNET_TTL_MS after it was fetched.
+// clearScoutNetCache() only marks snapshots stale (`invalidated`): the rows
+// stay until the next refresh replaces them. A failed refresh never touches the rows; it is
+// only noted in the meta row (recordScoutNetFetchFailure), so the last good
+// snapshot keeps being served during a ScoutNet outage.
 
-const scoutNetCache = new Map(); // type -> { value, expiresAt }
+// Avoid a storage round trip for the freshness check on every lookup during
+// a bulk sync; a few seconds of lag between replicas is fine.
+const SCOUTNET_META_MEMO_MS = 15 * 1000;
+const scoutNetMetaMemo = new Map(); // type -> { meta, readAt }
 
-export async function storeScoutNetData(type, data) {
-  scoutNetCache.set(type, { value: data, expiresAt: Date.now() + SCOUTNET_TTL_MS });
+async function getScoutNetMeta(type) {
+  const memo = scoutNetMetaMemo.get(type);
+  if (memo && Date.now() - memo.readAt < SCOUTNET_META_MEMO_MS) {
+    return memo.meta;
+  }
+  const e = await getEntity("scoutnet-meta", type);
+  const meta = e ? JSON.parse(e.value) : null;
+  scoutNetMetaMemo.set(type, { meta, readAt: Date.now() });
+  return meta;
 }
 
+/**
+ * True if a snapshot of `type` exists and is younger than the TTL.
+ */
+export async function isScoutNetDataFresh(type) {
+  return isFresh(await getScoutNetMeta(type));
+}
+
+function isFresh(meta) {
+  return (
+    meta?.fetchedAt != null &&
+    !meta.invalidated &&
+    Date.now() - meta.fetchedAt < SCOUTNET_TTL_MS
+  );
+}
+
+/**
+ * The snapshot's meta row, or null if `type` was never fetched:
+ * { fetchedAt, count, failedAt?, error?, stale }. `fetchedAt` is null if no
+ * fetch ever succeeded; `failedAt`/`error` describe the last failed refresh
+ * (cleared by the next successful one). `stale` is !isScoutNetDataFresh.
+ */
+export async function getScoutNetStatus(type) {
+  const e = await getEntity("scoutnet-meta", type);
+  if (!e) return null;
+  const meta = JSON.parse(e.value);
+  return { ...meta, stale: !isFresh(meta) };
+}
+
+/**
+ * Note a failed refresh of `type`. The stored snapshot (if any) is kept.
+ */
+export async function recordScoutNetFetchFailure(type, error, at = Date.now()) {
+  const e = await getEntity("scoutnet-meta", type);
+  const meta = {
+    ...(e ? JSON.parse(e.value) : { fetchedAt: null, count: 0 }),
+    failedAt: at,
+    error,
+  };
+  await setValue("scoutnet-meta", type, JSON.stringify(meta));
+  scoutNetMetaMemo.set(type, { meta, readAt: Date.now() });
+}
+
+/**
+ * Replace the snapshot of `type` with `records` ({ key: object }). Only new
+ * or changed rows are written and rows missing from `records` are deleted.
+ *
+ * Returns { written, deleted, previous, changes }: `previous` is false for
+ * the very first snapshot, `changes` lists every new, changed or removed
+ * record as { key, before, after } (null for the side that doesn't exist).
+ */
+export async function storeScoutNetData(type, records) {
+  const partitionKey = `scoutnet-${type}`;
+  const oldMeta = await getEntity("scoutnet-meta", type);
+  const previous = oldMeta !== null && JSON.parse(oldMeta.value).fetchedAt != null;
+  const existing = new Map();
+  for await (const e of backend.listEntities(partitionKey)) {
+    existing.set(e.rowKey, e.value);
+  }
+
+  const changed = [];
+  const changes = [];
+  for (const [key, record] of Object.entries(records)) {
+    const value = JSON.stringify(record);
+    const old = existing.get(key);
+    if (old !== value) {
+      changed.push({ partitionKey, rowKey: key, value });
+      changes.push({
+        key,
+        before: old != null ? JSON.parse(old) : null,
+        after: record,
+      });
+    }
+    existing.delete(key);
+  }
+  const removed = [...existing.keys()];
+  for (const key of removed) {
+    changes.push({ key, before: JSON.parse(existing.get(key)), after: null });
+  }
+
+  if (changed.length > 0) await backend.upsertEntities(changed);
+  if (removed.length > 0) await backend.deleteEntities(partitionKey, removed);
+
+  const meta = { fetchedAt: Date.now(), count: Object.keys(records).length };
+  await setValue("scoutnet-meta", type, JSON.stringify(meta));
+  scoutNetMetaMemo.set(type, { meta, readAt: Date.now() });
+  return {
+    written: changed.length,
+    deleted: removed.length,
+    previous,
+    changes,
+  };
+}
+
+/**
+ * One record from the stored snapshot, regardless of freshness.
+ */
+export async function getScoutNetRecord(type, key) {
+  const e = await getEntity(`scoutnet-${type}`, String(key));
+  return e ? JSON.parse(e.value) : null;
+}
+
+/**
+ * The whole stored snapshot as { key: object }, or null if there is none.
+ */
 export async function getScoutNetData(type) {
-  const entry = scoutNetCache.get(type);
-  if (!entry) return null;
-  if (Date.now() > entry.expiresAt) {
-    scoutNetCache.delete(type);
-    return null;
+  if ((await getScoutNetMeta(type))?.fetchedAt == null) return null;
+  const records = {};
+  for await (const e of backend.listEntities(`scoutnet-${type}`)) {
+    records[e.rowKey] = JSON.parse(e.value);
   }
-  return entry.value;
+  return records;
 }
 
+/**
+ * Mark every ScoutNet snapshot stale so the next lookup refetches, even
+ * right after a failed refresh.
+ */
 export async function clearScoutNetCache() {
-  scoutNetCache.clear();
+  const types = [];
+  for await (const e of backend.listEntities("scoutnet-meta")) {
+    types.push({ type: e.rowKey, meta: JSON.parse(e.value) });
+  }
+  for (const { type, meta } of types) {
+    // Forget the last failure too, so the next lookup retries right away
+    const { fetchedAt, count } = meta;
+    await setValue(
+      "scoutnet-meta",
+      type,
+      JSON.stringify({ fetchedAt, count, invalidated: true }),
+    );
+  }
+  scoutNetMetaMemo.clear();
+}
+
+// --- ScoutNet change log ---
+//
+// Every refetch of a snapshot records what changed per member (see
+// scoutnet.js for the change kinds), so a sync can touch only the affected
+// members and admins can see what happened in ScoutNet. The RowKey is
+// `<type>_<zero-padded ms>_<member_no>`, so one snapshot's log is a prefix
+// scan in chronological order. Rows expire after SCOUTNET_DIFF_TTL_MS.
+
+function scoutNetDiffRowKey(type, at, key) {
+  return `${type}_${String(at).padStart(15, "0")}_${key}`;
+}
+
+/**
+ * Append the per-member changes of one fetch: [{ key, ...entry }].
+ */
+export async function appendScoutNetChanges(type, entries, at = Date.now()) {
+  if (entries.length === 0) return;
+  const expiresAt = at + SCOUTNET_DIFF_TTL_MS;
+  await backend.upsertEntities(
+    entries.map(({ key, ...entry }) => ({
+      partitionKey: "scoutnet-diff",
+      rowKey: scoutNetDiffRowKey(type, at, key),
+      value: JSON.stringify({ ...entry, key, at }),
+      expiresAt,
+    })),
+  );
+}
+
+/**
+ * Record that the changes of a fetch of `type` at `at` could not be stored,
+ * so the log misses them (see isScoutNetChangeLogComplete).
+ */
+export async function markScoutNetChangesIncomplete(type, at = Date.now()) {
+  await storeMeta(`scoutnet-diff-gap-${type}`, { at });
+}
+
+/**
+ * Whether the log of `type` has every change since `since` (epoch ms): its
+ * rows from then have not expired yet, and no fetch since then failed to
+ * store its changes.
+ */
+export async function isScoutNetChangeLogComplete(type, since) {
+  if (since < Date.now() - SCOUTNET_DIFF_TTL_MS) return false;
+  const gap = await getMeta(`scoutnet-diff-gap-${type}`);
+  return !gap || gap.at < since;
+}
+
+/**
+ * Changes recorded for `type` at or after `since` (epoch ms), oldest first.
+ */
+export async function getScoutNetChanges(type, since = 0) {
+  const now = Date.now();
+  const entries = [];
+  for await (const e of backend.listEntities("scoutnet-diff", {
+    prefix: `${type}_`,
+  })) {
+    if (e.expiresAt != null && now > e.expiresAt) continue;
+    const entry = JSON.parse(e.value);
+    if (entry.at >= since) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Delete expired change-log rows. Returns the number deleted.
+ */
+export async function purgeExpiredScoutNetChanges(now = Date.now()) {
+  const expired = [];
+  for await (const e of backend.listEntities("scoutnet-diff")) {
+    if (e.expiresAt != null && now > e.expiresAt) expired.push(e.rowKey);
+  }
+  if (expired.length > 0) {
+    await backend.deleteEntities("scoutnet-diff", expired);
+  }
+  return expired.length;
 }
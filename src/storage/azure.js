@@ -0,0 +1,132 @@
+import { TableClient } from "@azure/data-tables";
+import config from "../config.js";
+
+/**
+ * Storage backend: Azure Table Storage (or the Azurite emulator).
+ *
+ * Entities are stored as-is: `partitionKey` + `rowKey` plus flat properties
+ * (`value`, `expiresAt`, ...). Table Storage has no native TTL, so expiry is
+ * handled by the callers in storage.js.
+ */
+
+const client = TableClient.fromConnectionString(
+  config.TABLE_CONNECTION_STRING,
+  config.TABLE_NAME,
+);
+
+let tableReady = false;
+async function ensureTable() {
+  if (tableReady) return;
+  try {
+    await client.createTable();
+  } catch (err) {
+    // 409 = table already exists, which is the normal steady state.
+    if (err?.statusCode !== 409) throw err;
+  }
+  tableReady = true;
+}
+
+export async function getEntity(partitionKey, rowKey) {
+  await ensureTable();
+  try {
+    return await client.getEntity(partitionKey, rowKey);
+  } catch (err) {
+    if (err?.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+export async function upsertEntity(entity) {
+  await ensureTable();
+  await client.upsertEntity(entity, "Replace");
+}
+
+/**
+ * Insert `entity` unless its row exists. Returns whether it was inserted.
+ */
+export async function insertEntity(entity) {
+  await ensureTable();
+  try {
+    await client.createEntity(entity);
+    return true;
+  } catch (err) {
+    if (err?.statusCode === 409) return false;
+    throw err;
+  }
+}
+
+/**
+ * Replace the row of `entity` only if it is still `expected` (as returned by
+ * getEntity, whose etag is checked). Returns whether it was replaced.
+ */
+export async function replaceEntity(entity, expected) {
+  await ensureTable();
+  try {
+    await client.updateEntity(entity, "Replace", { etag: expected.etag });
+    return true;
+  } catch (err) {
+    if (err?.statusCode === 404 || err?.statusCode === 412) return false;
+    throw err;
+  }
+}
+
+// Table Storage transactions take at most 100 actions and 4 MB, all in one
+// partition; 50 leaves room for large ScoutNet participant rows.
+const BATCH_SIZE = 50;
+
+/**
+ * Upsert many entities of the same partition using batch transactions.
+ */
+export async function upsertEntities(entities) {
+  await ensureTable();
+  for (let i = 0; i < entities.length; i += BATCH_SIZE) {
+    await client.submitTransaction(
+      entities
+        .slice(i, i + BATCH_SIZE)
+        .map((entity) => ["upsert", entity, "Replace"]),
+    );
+  }
+}
+
+/**
+ * Delete many rows of one partition using batch transactions. Rows that are
+ * already gone are ignored, like deleteEntity does: a transaction fails as a
+ * whole on a missing row, so that batch is deleted row by row instead.
+ */
+export async function deleteEntities(partitionKey, rowKeys) {
+  await ensureTable();
+  for (let i = 0; i < rowKeys.length; i += BATCH_SIZE) {
+    const batch = rowKeys.slice(i, i + BATCH_SIZE);
+    try {
+      await client.submitTransaction(
+        batch.map((rowKey) => ["delete", { partitionKey, rowKey }]),
+      );
+    } catch (err) {
+      if (err?.statusCode !== 404) throw err;
+      for (const rowKey of batch) await deleteEntity(partitionKey, rowKey);
+    }
+  }
+}
+
+export async function deleteEntity(partitionKey, rowKey) {
+  await ensureTable();
+  try {
+    await client.deleteEntity(partitionKey, rowKey);
+  } catch (err) {
+    if (err?.statusCode !== 404) throw err;
+  }
+}
+
+/**
+ * List a partition, optionally only rows whose RowKey starts with `prefix`
+ * (expressed as a RowKey range, which Table Storage can serve efficiently).
+ */
+export async function* listEntities(partitionKey, { prefix } = {}) {
+  await ensureTable();
+  const quote = (v) => `'${v.replace(/'/g, "''")}'`;
+  let filter = `PartitionKey eq ${quote(partitionKey)}`;
+  if (prefix) {
+    filter += ` and RowKey ge ${quote(prefix)} and RowKey lt ${quote(prefix + "\uffff")}`;
+  }
+  yield* client.listEntities({ queryOptions: { filter } });
+}
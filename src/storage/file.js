@@ -0,0 +1,125 @@
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import { dirname } from "path";
+import config from "../config.js";
+
+/**
+ * Storage backend: a single JSON file on local disk.
+ *
+ * Meant for local development and small self-hosted installs running one
+ * process on one VM. The whole table is kept in memory and rewritten
+ * atomically (write to a temp file, then rename) after every change. Writes
+ * are serialized through a promise chain so concurrent requests can't
+ * interleave partial files.
+ *
+ * File layout: { "<partitionKey>": { "<rowKey>": { ...entity } } }
+ */
+
+let data = null;
+let loading = null;
+let writeChain = Promise.resolve();
+
+// Concurrent first calls must share one read, or each would install its own
+// `data` object and writes to the others would be lost. A failed read is not
+// kept, so the next call tries again.
+async function load() {
+  loading ??= readFile(config.STORAGE_FILE, "utf8")
+    .then((text) => JSON.parse(text))
+    .catch((err) => {
+      if (err?.code !== "ENOENT") throw err;
+      return {};
+    })
+    .then(
+      (table) => {
+        data = table;
+      },
+      (err) => {
+        loading = null;
+        throw err;
+      },
+    );
+  await loading;
+  return data;
+}
+
+function persist() {
+  const snapshot = JSON.stringify(data, null, 2);
+  // A failed write must not wedge every later one, hence the catch.
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const tmp = `${config.STORAGE_FILE}.tmp`;
+    await mkdir(dirname(config.STORAGE_FILE), { recursive: true });
+    await writeFile(tmp, snapshot, "utf8");
+    await rename(tmp, config.STORAGE_FILE);
+  });
+  return writeChain;
+}
+
+export async function getEntity(partitionKey, rowKey) {
+  const table = await load();
+  const entity = table[partitionKey]?.[rowKey];
+  return entity ? { ...entity } : null;
+}
+
+export async function upsertEntity(entity) {
+  const table = await load();
+  table[entity.partitionKey] ??= {};
+  table[entity.partitionKey][entity.rowKey] = { ...entity };
+  await persist();
+}
+
+/**
+ * Insert `entity` unless its row exists. Returns whether it was inserted.
+ */
+export async function insertEntity(entity) {
+  const table = await load();
+  if (table[entity.partitionKey]?.[entity.rowKey]) return false;
+  table[entity.partitionKey] ??= {};
+  table[entity.partitionKey][entity.rowKey] = { ...entity };
+  await persist();
+  return true;
+}
+
+/**
+ * Replace the row of `entity` only if it is still `expected` (as returned by
+ * getEntity). Returns whether it was replaced.
+ */
+export async function replaceEntity(entity, expected) {
+  const table = await load();
+  const current = table[entity.partitionKey]?.[entity.rowKey];
+  if (!current || JSON.stringify(current) !== JSON.stringify(expected)) {
+    return false;
+  }
+  table[entity.partitionKey][entity.rowKey] = { ...entity };
+  await persist();
+  return true;
+}
+
+export async function upsertEntities(entities) {
+  const table = await load();
+  for (const entity of entities) {
+    table[entity.partitionKey] ??= {};
+    table[entity.partitionKey][entity.rowKey] = { ...entity };
+  }
+  await persist();
+}
+
+export async function deleteEntities(partitionKey, rowKeys) {
+  const table = await load();
+  for (const rowKey of rowKeys) delete table[partitionKey]?.[rowKey];
+  await persist();
+}
+
+export async function deleteEntity(partitionKey, rowKey) {
+  const table = await load();
+  if (!table[partitionKey]?.[rowKey]) return;
+  delete table[partitionKey][rowKey];
+  await persist();
+}
+
+export async function* listEntities(partitionKey, { prefix } = {}) {
+  const table = await load();
+  const rowKeys = Object.keys(table[partitionKey] ?? {}).sort();
+  for (const rowKey of rowKeys) {
+    if (prefix && !rowKey.startsWith(prefix)) continue;
+    yield { ...table[partitionKey][rowKey] };
+  }
+}
@@ -12,3 +12,45 @@ export function getSuccessPageHTML() {
   const templatePath = join(__dirname, "templates", "success.html");
   return readFileSync(templatePath, "utf8");
 }
+
+/**
+ * Serve the page shown after a member unlinked their account
+ */
+export function getUnlinkedPageHTML() {
+  const templatePath = join(__dirname, "templates", "unlinked.html");
+  return readFileSync(templatePath, "utf8");
+}
+
+/**
+ * Serve the page asking a member to confirm unlinking, with the one-time
+ * state its form posts back
+ */
+export function getConfirmUnlinkHTML(state) {
+  const templatePath = join(__dirname, "templates", "confirm-unlink.html");
+  return readFileSync(templatePath, "utf8").replace(
+    "{{state}}",
+    escapeHTML(state),
+  );
+}
+
+/**
+ * Serve the identity provider choice page, with one button per provider
+ */
+export function getProviderChoiceHTML(providers) {
+  const templatePath = join(__dirname, "templates", "choose-provider.html");
+  const buttons = providers
+    .map(
+      (p) =>
+        `<a class="provider" href="/identity-provider/${encodeURIComponent(p.id)}">${escapeHTML(p.name)}</a>`,
+    )
+    .join("\n            ");
+  return readFileSync(templatePath, "utf8").replace("{{providers}}", buttons);
+}
+
+function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
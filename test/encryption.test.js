@@ -0,0 +1,60 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+// encryption.js reads its keys from config when it is first imported
+process.env.TOKEN_ENCRYPTION_KEYS = [
+  `k2:${crypto.randomBytes(32).toString("base64")}`,
+  `k1:${crypto.randomBytes(32).toString("base64")}`,
+].join(",");
+
+let encryption;
+before(async () => {
+  encryption = await import("../src/encryption.js");
+});
+
+describe("encryption", () => {
+  it("uses the first key for new values", () => {
+    assert.ok(encryption.isEnabled());
+    assert.equal(encryption.getActiveKeyId(), "k2");
+    const record = encryption.encrypt("secret token");
+    assert.equal(record.keyId, "k2");
+    assert.ok(!record.value.includes("secret"));
+  });
+
+  it("decrypts what it encrypts", () => {
+    const record = encryption.encrypt("åäö 🔑");
+    assert.equal(encryption.decrypt(record), "åäö 🔑");
+  });
+
+  it("gives each value its own data key", () => {
+    const a = encryption.encrypt("same");
+    const b = encryption.encrypt("same");
+    assert.notEqual(a.value, b.value);
+    assert.notEqual(a.dek, b.dek);
+  });
+
+  it("refuses a tampered value", () => {
+    const record = encryption.encrypt("secret token");
+    const buf = Buffer.from(record.value, "base64");
+    buf[buf.length - 1] ^= 1;
+    assert.throws(() =>
+      encryption.decrypt({ ...record, value: buf.toString("base64") }),
+    );
+  });
+
+  it("refuses a value wrapped by an unknown key", () => {
+    const record = encryption.encrypt("secret token");
+    assert.throws(
+      () => encryption.decrypt({ ...record, keyId: "k0" }),
+      /unknown key "k0"/,
+    );
+  });
+
+  it("passes legacy plaintext through and marks it for re-encryption", () => {
+    assert.equal(encryption.decrypt({ value: "plain" }), "plain");
+    assert.ok(encryption.needsReencryption({}));
+    assert.ok(encryption.needsReencryption({ keyId: "k1" }));
+    assert.ok(!encryption.needsReencryption({ keyId: "k2" }));
+  });
+});
@@ -0,0 +1,91 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../src/ratelimit.js";
+
+const URL = "https://discord.com/api/v10/guilds/123456789/roles";
+const BOT = { headers: { Authorization: "Bot token" } };
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/**
+ * Replace fetch with one that answers from `respond(call)` and records the
+ * time of each call, relative to the first.
+ */
+function mockFetch(respond) {
+  const calls = [];
+  let start = null;
+  globalThis.fetch = async () => {
+    start ??= Date.now();
+    calls.push(Date.now() - start);
+    const { status = 200, headers = {}, body = {} } = respond(calls.length);
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: new Headers(headers),
+    });
+  };
+  return calls;
+}
+
+describe("createRateLimiter", () => {
+  it("waits for the bucket to reset when it is used up", async () => {
+    let windowEnd = null;
+    const calls = mockFetch((n) => {
+      windowEnd ??= Date.now() + 200;
+      if (Date.now() >= windowEnd) windowEnd = Date.now() + 200;
+      return {
+        headers: {
+          "x-ratelimit-bucket": "b",
+          "x-ratelimit-limit": "2",
+          "x-ratelimit-remaining": n % 2 === 1 ? "1" : "0",
+          "x-ratelimit-reset-after": String((windowEnd - Date.now()) / 1000),
+        },
+      };
+    });
+    const limiter = createRateLimiter();
+    for (let i = 0; i < 4; i++) await limiter.fetch(URL, BOT);
+
+    assert.equal(calls.length, 4);
+    assert.ok(calls[1] < 150, `second call at ${calls[1]} ms`);
+    assert.ok(calls[2] >= 190, `third call at ${calls[2]} ms`);
+  });
+
+  it("retries a 429 after Retry-After", async () => {
+    const calls = mockFetch((n) =>
+      n === 1
+        ? { status: 429, body: { retry_after: 0.1, global: false } }
+        : { status: 200 },
+    );
+    const response = await createRateLimiter().fetch(URL, BOT);
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+    assert.ok(calls[1] >= 90, `retried after ${calls[1]} ms`);
+  });
+
+  it("returns the 429 after maxRetries", async () => {
+    const calls = mockFetch(() => ({
+      status: 429,
+      body: { retry_after: 0.01 },
+    }));
+    const response = await createRateLimiter({ maxRetries: 2 }).fetch(URL, BOT);
+
+    assert.equal(response.status, 429);
+    assert.equal(calls.length, 3);
+  });
+
+  it("keeps bot requests under the global limit", async () => {
+    const calls = mockFetch(() => ({ status: 200 }));
+    const limiter = createRateLimiter({ globalPerSecond: 3 });
+    await Promise.all(
+      [1, 2, 3, 4].map((i) =>
+        limiter.fetch(`https://discord.com/api/v10/users/${i}`, BOT),
+      ),
+    );
+
+    assert.equal(calls.length, 4);
+    assert.ok(calls[3] >= 990, `fourth call at ${calls[3]} ms`);
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as rules from "../src/rules.js";
+
+const RULES = {
+  categories: {
+    deltagare: {
+      feeIds: [25694, 27561],
+      division: { question: "88168" },
+      role: "Deltagare-{div}",
+      roleWithoutDivision: "Deltagare-Väntande",
+      nickname: "{div}",
+    },
+    cmt: { feeIds: [25697], nickname: "CMT" },
+  },
+  questionRoles: [
+    { question: "88200", equals: "2", role: "Lägerby-Norr" },
+    {
+      question: "88201",
+      choices: { 1: "Svenska", 2: "English" },
+      role: "Språk-{label}",
+    },
+    {
+      question: "88202",
+      matches: "^R\\d+$",
+      role: "Resegrupp-{value}",
+      categories: ["deltagare"],
+    },
+  ],
+};
+
+describe("compileRules", () => {
+  const model = rules.compileRules(RULES, "TEST");
+
+  it("maps fee IDs to categories", () => {
+    assert.equal(rules.getCategory(model, { fee_id: 27561 }).name, "deltagare");
+    assert.equal(rules.getCategory(model, { fee_id: "25697" }).name, "cmt");
+    assert.equal(rules.getCategory(model, { fee_id: 1 }), null);
+  });
+
+  it("fills in the division, zero-padded", () => {
+    const category = rules.getCategory(model, { fee_id: 25694 });
+    const division = rules.getDivision(category, {
+      questions: { 88168: "7" },
+    });
+    assert.equal(rules.getCategoryRole(category, division), "Deltagare-07");
+    assert.equal(rules.getNicknameSuffix(category, division), " (07)");
+    assert.equal(rules.getCategoryRole(category, null), "Deltagare-Väntande");
+  });
+
+  it("defaults a category's role to its name", () => {
+    const category = rules.getCategory(model, { fee_id: 25697 });
+    assert.equal(rules.getCategoryRole(category, null), "cmt");
+    assert.equal(rules.getNicknameSuffix(category, null), " (CMT)");
+  });
+
+  it("knows which roles it gives", () => {
+    assert.ok(rules.givesRole(model, "deltagare-17"));
+    assert.ok(rules.givesRole(model, "Deltagare-Väntande"));
+    assert.ok(rules.givesRole(model, "Språk-English"));
+    assert.ok(rules.givesRole(model, "Resegrupp-R12"));
+    assert.ok(!rules.givesRole(model, "Admin"));
+    assert.deepEqual(rules.getRolePrefixes(model).sort(), [
+      "deltagare-",
+      "resegrupp-",
+      "språk-",
+    ]);
+  });
+
+  it("rejects unknown keys with their path", () => {
+    assert.throws(
+      () =>
+        rules.compileRules(
+          { categories: { cmt: { feeIds: [1], colour: "red" } } },
+          "TEST",
+        ),
+      /TEST.*categories\.cmt.*colour/,
+    );
+  });
+
+  it("rejects a fee ID in two categories", () => {
+    assert.throws(
+      () =>
+        rules.compileRules(
+          { categories: { a: { feeIds: [1] }, b: { feeIds: [1] } } },
+          "TEST",
+        ),
+      /fee ID 1 is in both categories\.a and categories\.b/,
+    );
+  });
+
+  it("rejects question rules it couldn't manage", () => {
+    const compile = (rule) =>
+      rules.compileRules(
+        { categories: { cmt: { feeIds: [1] } }, questionRoles: [rule] },
+        "TEST",
+      );
+    assert.throws(
+      () => compile({ question: "1", role: "{value}" }),
+      /needs a prefix/,
+    );
+    assert.throws(
+      () => compile({ question: "1", role: "R{value}" }),
+      /needs a prefix/,
+    );
+    assert.throws(
+      () => compile({ question: "1", role: "Grupp-{name}" }),
+      /unknown placeholder \{name\}/,
+    );
+    assert.throws(
+      () => compile({ question: "1", role: "Grupp", categories: ["ledare"] }),
+      /unknown category "ledare"/,
+    );
+    assert.throws(
+      () =>
+        compile({ question: "1", role: "Grupp", equals: "1", contains: "1" }),
+      /only have one of/,
+    );
+  });
+});
+
+describe("rulesFromLegacy", () => {
+  const names = {
+    feeRoles: "SCOUTNET_FEE_ROLES",
+    divisionRoles: "SCOUTNET_DIVISION_ROLES",
+    nicknameSuffixes: "SCOUTNET_NICKNAME_SUFFIXES",
+  };
+
+  it("translates the legacy strings", () => {
+    const input = rules.rulesFromLegacy(
+      {
+        feeRoles: "25694:deltagare,27561:deltagare,25697:cmt,",
+        divisionRoles: "deltagare:88168:Deltagare-{div}:Deltagare-Väntande",
+        nicknameSuffixes: "deltagare:{div}:,cmt::CMT",
+      },
+      names,
+    );
+    assert.deepEqual(input.categories, {
+      deltagare: {
+        feeIds: ["25694", "27561"],
+        division: { question: "88168" },
+        role: "Deltagare-{div}",
+        roleWithoutDivision: "Deltagare-Väntande",
+        nickname: "{div}",
+        nicknameWithoutDivision: "",
+      },
+      cmt: { feeIds: ["25697"], nickname: "CMT" },
+    });
+    assert.doesNotThrow(() => rules.compileRules(input, "TEST"));
+  });
+
+  it("rejects malformed entries and unknown categories", () => {
+    assert.throws(
+      () => rules.rulesFromLegacy({ feeRoles: "25694" }, names),
+      /SCOUTNET_FEE_ROLES: "25694" is not feeId:category/,
+    );
+    assert.throws(
+      () =>
+        rules.rulesFromLegacy(
+          { feeRoles: "1:a", nicknameSuffixes: "b:x:y" },
+          names,
+        ),
+      /SCOUTNET_NICKNAME_SUFFIXES: category "b" has no fee IDs/,
+    );
+  });
+});
+
+describe("matchQuestionRoles", () => {
+  const model = rules.compileRules(RULES, "TEST");
+  const match = (questions, category = "deltagare") =>
+    rules.matchQuestionRoles(model.questionRoles, { questions }, category);
+
+  it("matches equals, choices and regex rules", () => {
+    assert.deepEqual(match({ 88200: "2" }), ["Lägerby-Norr"]);
+    assert.deepEqual(match({ 88200: "3" }), []);
+    assert.deepEqual(match({ 88201: "2" }), ["Språk-English"]);
+    assert.deepEqual(match({ 88202: "r12" }), ["Resegrupp-r12"]);
+    assert.deepEqual(match({ 88202: "X1" }), []);
+  });
+
+  it("gives one role per value of a multi-choice answer", () => {
+    assert.deepEqual(match({ 88201: { a: "1", b: "2" } }).sort(), [
+      "Språk-English",
+      "Språk-Svenska",
+    ]);
+  });
+
+  it("only applies a rule to its categories", () => {
+    assert.deepEqual(match({ 88202: "R1" }, "cmt"), []);
+  });
+
+  it("only gives the choices' roles without a prefix", () => {
+    const questionRoles = rules.compileQuestionRoles(
+      [{ question: "1", choices: { 1: "Ja" }, role: "{label}" }],
+      "TEST",
+    );
+    const roles = (answer) =>
+      rules.matchQuestionRoles(questionRoles, { questions: { 1: answer } });
+    assert.deepEqual(roles("1"), ["Ja"]);
+    assert.deepEqual(roles("Admin"), []);
+  });
+});
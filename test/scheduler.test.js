@@ -0,0 +1,41 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+
+// config is read when the scheduler is first imported; its storage import
+// must not touch real data
+process.env.SYNC_QUIET_HOURS = "22:30-06";
+process.env.SYNC_TIMEZONE = "Europe/Stockholm";
+process.env.STORAGE_BACKEND = "file";
+process.env.STORAGE_FILE = path.join(
+  os.tmpdir(),
+  `scheduler-test-${process.pid}.json`,
+);
+
+let scheduler;
+before(async () => {
+  scheduler = await import("../src/scheduler.js");
+});
+
+describe("isQuietTime", () => {
+  const quiet = (iso) => scheduler.isQuietTime(new Date(iso));
+
+  it("is quiet inside a window that wraps past midnight", () => {
+    assert.ok(quiet("2026-01-15T21:30:00Z")); // 22:30 CET
+    assert.ok(quiet("2026-01-15T23:00:00Z")); // 00:00 CET
+    assert.ok(quiet("2026-01-16T04:59:00Z")); // 05:59 CET
+  });
+
+  it("is not quiet outside the window", () => {
+    assert.ok(!quiet("2026-01-15T21:29:00Z")); // 22:29 CET
+    assert.ok(!quiet("2026-01-16T05:00:00Z")); // 06:00 CET
+    assert.ok(!quiet("2026-01-16T11:00:00Z")); // 12:00 CET
+  });
+
+  it("follows SYNC_TIMEZONE across daylight saving time", () => {
+    assert.ok(quiet("2026-07-15T20:30:00Z")); // 22:30 CEST
+    assert.ok(!quiet("2026-07-15T20:29:00Z")); // 22:29 CEST
+    assert.ok(!quiet("2026-07-15T04:00:00Z")); // 06:00 CEST
+  });
+});